@@ -2,7 +2,8 @@
 """
 Build a portable compare-scene bundle for frame 121:
 - Copies ring camera images
-- Converts occupancy NPZ -> (json + bin) without numpy
+- Converts occupancy NPZ -> (json + bin) without numpy, optionally with a uint8
+  probability grid (live threshold slider in the compare app)
 - Converts VIGT PLY -> (json + bin) by calling the pointcloud exporter
 - Writes a scene.json manifest consumed by interactive_compare_js
 
@@ -10,7 +11,7 @@ Outputs:
 interactive_compare_js/data/scenes/frame_000121/
   scene.json
   images/*.jpg
-  occ_frame000121.json + occ_frame000121.bin
+  occ_frame000121.json + occ_frame000121.bin (+ occ_frame000121_prob.bin with --occ_prob_uint8)
   vigt_frame000121.json + vigt_frame000121.bin
 """
 
@@ -88,13 +89,36 @@ def _read_small_npy_array(zf: zipfile.ZipFile, member: str) -> list[float]:
     return [float(v) for v in vals]
 
 
-def convert_occupancy_npz_to_bin_json(npz_path: Path, outdir: Path, stem: str) -> tuple[Path, Path]:
+PROBABILITY_LEVELS = 255
+
+
+def write_probability_uint8(float_bin_path: Path, out_path: Path) -> None:
+    """
+    Quantize a float32 occupancy payload to one byte per voxel:
+    level = round(clamp(p, 0, 1) * 255), decoded as p = level / 255.
+    """
+    import array
+
+    with float_bin_path.open("rb") as src, out_path.open("wb") as out:
+        while True:
+            chunk = src.read(4 * 262144)
+            if not chunk:
+                break
+            a = array.array("f")
+            a.frombytes(chunk)
+            out.write(bytes(int(round(min(1.0, max(0.0, v)) * PROBABILITY_LEVELS)) for v in a))
+
+
+def convert_occupancy_npz_to_bin_json(
+    npz_path: Path, outdir: Path, stem: str, probability_uint8: bool = False
+) -> tuple[Path, Path]:
     npz_path = Path(npz_path)
     outdir = Path(outdir)
     outdir.mkdir(parents=True, exist_ok=True)
 
     bin_path = outdir / f"{stem}.bin"
     json_path = outdir / f"{stem}.json"
+    prob_path = outdir / f"{stem}_prob.bin"
 
     with zipfile.ZipFile(npz_path, "r") as zf:
         names = set(zf.namelist())
@@ -177,6 +201,17 @@ def convert_occupancy_npz_to_bin_json(npz_path: Path, outdir: Path, stem: str) -
         "voxel_size": float(voxel_size),
         "occupancy_range": [float(min_v), float(max_v)],
     }
+    if probability_uint8:
+        write_probability_uint8(bin_path, prob_path)
+        metadata.update(
+            {
+                "probability_file": prob_path.name,
+                "probability_dtype": "uint8",
+                "probability_scale": 1.0 / PROBABILITY_LEVELS,
+                "probability_offset": 0.0,
+            }
+        )
+        print(f"Wrote {prob_path} ({prob_path.stat().st_size / (1024 * 1024):.2f} MB)")
     json_path.write_text(json.dumps(metadata, indent=2) + "\n", encoding="utf-8")
     print(f"Wrote {json_path}")
     print(f"Wrote {bin_path} ({bin_path.stat().st_size / (1024 * 1024):.2f} MB)")
@@ -227,6 +262,11 @@ def main() -> None:
     ap.add_argument("--outroot", type=str, default="interactive_compare_js/data/scenes", help="Output scenes root")
     ap.add_argument("--images", type=str, default="data_raw/frame_121", help="Input images directory")
     ap.add_argument("--occ", type=str, default="data_raw/occ_av2_121_400x400x32.npz", help="Input occupancy npz")
+    ap.add_argument(
+        "--occ_prob_uint8",
+        action="store_true",
+        help="Also write a uint8 probability grid (enables the live threshold slider)",
+    )
     ap.add_argument("--vigt_ply", type=str, default="data_raw/frame_000121/vigt_frame000121.ply", help="Input ViGT ply")
     ap.add_argument("--gt_ply", type=str, default="data_raw/frame_000121/gt_frame000121.ply", help="Input GT ply")
     ap.add_argument("--renderocc_ply", type=str, default="data_raw/frame_000121/renderocc_frame000121.ply", help="Input RenderOcc ply")
@@ -244,6 +284,7 @@ def main() -> None:
         npz_path=Path(args.occ),
         outdir=frame_dir,
         stem="occ_frame000121",
+        probability_uint8=args.occ_prob_uint8,
     )
 
     # Point clouds (export all available sources)
@@ -4,15 +4,36 @@
  * - bottom: shared-controls multi-view (occupancy + 1-2 point clouds)
  */
 
-import { loadCompareScene } from './sceneLoader.js?v=2026-02-13-layout-fix1';
+import { loadCompareScene } from './sceneLoader.js?v=2026-10-18-asset-cache-v3';
 import { ImageStrip } from '../../shared/ImageStrip.js';
-import { loadPointCloudData } from './loaders/pointCloudLoader.js?v=2026-02-13-layout-fix1';
-import { CompareMultiViewRenderer } from './renderers/CompareMultiViewRenderer.js?v=2026-02-18-vox-mesh-v1';
+import { loadPointCloudData } from './loaders/pointCloudLoader.js?v=2026-10-18-asset-cache-v3';
+import { loadOccupancyData } from './loaders/occupancyLoader.js?v=2026-10-18-asset-cache-v3';
+import { CompareMultiViewRenderer } from './renderers/CompareMultiViewRenderer.js?v=2026-10-18-pc-metrics-empty-v1';
 import { DatasetFrameDock } from '../../shared/DatasetFrameDock.js';
 import { orderCameraItemsForUi } from '../../shared/cameraOrder.js';
+import {
+  DEFAULT_FSCORE_THRESHOLDS,
+  PointCloudMetricsClient,
+  PointDistanceCache,
+  pickErrorReferenceKey
+} from '../../shared/pointCloudMetrics.js?v=2026-10-18-pc-metrics-empty-v1';
+import {
+  computeVoxelIoU,
+  occupancyThresholdRange,
+  occupancyMask,
+  sameOccupancyGrid,
+  voxelizePointCloud
+} from './utils/voxelMetrics.js?v=2026-10-18-occ-threshold-v2';
+
+// Voxel mask keys (voxel IoU references, diff sources) besides point cloud keys:
+// the scene's own occupancy grid, and the GT occupancy grid (manifest `occupancy_gt` or ?occ_gt=).
+const IOU_REF_OCCUPANCY = '__occupancy';
+const OCC_GT_MASK_KEY = '__occupancy_gt';
+// GT occupancy grids are binarized here; the threshold slider only applies to the prediction.
+const GT_OCCUPANCY_THRESHOLD = 0.5;
 
 class App {
-  static VERSION = '2026-02-18-compare-vox-mesh-v1';
+  static VERSION = '2026-10-18-asset-cache-v3';
   static NARROW_LAYOUT_MAX_WIDTH = 1120;
   static NARROW_LAYOUT_MIN_ASPECT = 1.4;
 
@@ -36,12 +57,51 @@ class App {
     this.labelPcBEl = document.getElementById('label-pc-b');
     this.resetViewEl = document.getElementById('reset-view');
 
+    this.metricsPanelEl = document.getElementById('metrics-panel');
+    this.metricsModeEl = document.getElementById('metrics-mode');
+    this.metricsThresholdsEl = document.getElementById('metrics-thresholds');
+    this.metricsStatusEl = document.getElementById('metrics-status');
+    this.metricsTableEl = document.getElementById('metrics-table');
+
+    this.iouPanelEl = document.getElementById('iou-panel');
+    this.iouPredEl = document.getElementById('iou-pred');
+    this.iouRefEl = document.getElementById('iou-ref');
+    this.iouZEdgesEl = document.getElementById('iou-z-edges');
+    this.iouRangeEdgesEl = document.getElementById('iou-range-edges');
+    this.iouCopyEl = document.getElementById('iou-copy');
+    this.iouStatusEl = document.getElementById('iou-status');
+    this.iouTableEl = document.getElementById('iou-table');
+
+    this.occThresholdRowEl = document.getElementById('occ-threshold-row');
+    this.occThresholdEl = document.getElementById('occ-threshold');
+    this.occThresholdValueEl = document.getElementById('occ-threshold-value');
+    this.occThresholdDecimals = 2;
+    this.occDiffSourceEl = document.getElementById('occ-diff-source');
+    this.occDiffClassesEl = document.getElementById('occ-diff-classes');
+    this.occDiffCaptionEl = document.getElementById('occ-diff-caption');
+    this.occDiffClassEls = ['tp', 'fp', 'fn'].map((cls) => ({
+      cls,
+      toggle: document.getElementById(`occ-diff-${cls}`),
+      count: document.getElementById(`occ-diff-${cls}-count`)
+    }));
+
+    // Per-pane point coloring controls: [pane A, pane B]
+    this.pcColorEls = ['a', 'b'].map((x) => ({
+      legend: document.getElementById(`pc-color-${x}`),
+      mode: document.getElementById(`pc-color-mode-${x}`),
+      scale: document.getElementById(`pc-color-scale-${x}`),
+      min: document.getElementById(`pc-color-min-${x}`),
+      max: document.getElementById(`pc-color-max-${x}`),
+      caption: document.getElementById(`pc-color-caption-${x}`)
+    }));
+
     this.strip = null;
     this.renderer = null;
     this.dock = null;
 
     this.scene = null;
     this.pcOptions = [];
+    this.iouRefOptions = []; // IoU reference select: occupancy grids, then the point clouds
     this.pcCacheByUrl = new Map(); // url -> pointcloudData
     this.occRenderOptions = {};
     this.renderPerfOptions = {};
@@ -50,6 +110,20 @@ class App {
     this.activePaneCount = 2;
     this._cleanupResponsivePaneHandling = null;
     this._paneRebuildToken = 0;
+    this.metricsClient = null; // created on first use (metrics panel, error coloring)
+    this.metricsThresholds = DEFAULT_FSCORE_THRESHOLDS.slice();
+    this._metricsToken = 0;
+    this.voxelMasks = new Map(); // pointcloud key | IOU_REF_OCCUPANCY -> { mask, outside }
+    this.iouRows = [];
+    this._iouToken = 0;
+    this.pointDistances = new PointDistanceCache(
+      (key) => this._loadPointCloudByKey(key),
+      () => this._getMetricsClient()
+    );
+    this._pcColorTokens = [0, 0];
+    this.occupancyGtUrl = null;
+    this.occDiff = null; // { gtMask, show: { tp, fp, fn } } while the diff view is on
+    this._occDiffToken = 0;
   }
 
   async init() {
@@ -127,6 +201,17 @@ class App {
       }
       this._populatePointCloudSelect(this.pcSelectAEl, this.pcOptions);
       this._populatePointCloudSelect(this.pcSelectBEl, this.pcOptions);
+      this._populatePointCloudSelect(this.iouPredEl, this.pcOptions);
+      const occGtParam = urlParams.get('occ_gt');
+      this.occupancyGtUrl = occGtParam
+        ? new URL(occGtParam, window.location.href).toString()
+        : this.scene.occupancyGtUrl;
+      this.iouRefOptions = [
+        { key: IOU_REF_OCCUPANCY, label: 'Occupancy grid' },
+        ...(this.occupancyGtUrl ? [{ key: OCC_GT_MASK_KEY, label: 'GT occupancy grid' }] : []),
+        ...this.pcOptions
+      ];
+      this._populatePointCloudSelect(this.iouRefEl, this.iouRefOptions);
 
       // Initial state from URL params (backed by defaults)
       const panesRaw = Number(urlParams.get('panes') || this.paneModeEl?.value || 2);
@@ -138,6 +223,11 @@ class App {
       const defaultB = this._pickDefaultKey(urlParams.get('pcB'), 1);
       if (this.pcSelectAEl) this.pcSelectAEl.value = defaultA;
       if (this.pcSelectBEl) this.pcSelectBEl.value = defaultB;
+      if (this.iouPredEl) this.iouPredEl.value = defaultA;
+      if (this.iouZEdgesEl) {
+        const [zMin, zMax] = this.scene.occupancy.bounds.z;
+        this.iouZEdgesEl.value = `${zMin}, 0.5, 2, ${zMax}`;
+      }
 
       // Apply pane mode + renderer (3-pane only on sufficiently wide layouts)
       this._applyPaneMode(this.activePaneCount);
@@ -178,6 +268,7 @@ class App {
       url.searchParams.delete('vox_top_layers');
       url.searchParams.delete('vox_mode');
       url.searchParams.delete('occ_mode');
+      url.searchParams.delete('occ_gt');
       url.searchParams.delete('dpr');
       url.searchParams.delete('dpr_idle');
       url.searchParams.delete('dpr_active');
@@ -199,6 +290,8 @@ class App {
       updateUrl('pcA', key);
       const data = await this._loadPointCloudByKey(key);
       this.renderer?.setPointCloud?.(0, data);
+      this._applyPaneColorings();
+      this._updateMetrics();
     });
 
     this.pcSelectBEl?.addEventListener('change', async () => {
@@ -207,9 +300,427 @@ class App {
       updateUrl('pcB', key);
       const data = await this._loadPointCloudByKey(key);
       this.renderer?.setPointCloud?.(1, data);
+      this._applyPaneColorings();
+      this._updateMetrics();
+    });
+
+    this.metricsPanelEl?.addEventListener('toggle', () => this._updateMetrics());
+    this.metricsModeEl?.addEventListener('change', () => this._updateMetrics());
+    this.metricsThresholdsEl?.addEventListener('change', () => {
+      const thresholds = this._parseThresholds(this.metricsThresholdsEl.value);
+      if (!thresholds) {
+        this._setMetricsStatus('F-score thresholds must be positive numbers, e.g. 0.1, 0.2, 0.5', true);
+        return;
+      }
+      this.metricsThresholds = thresholds;
+      this._updateMetrics();
+    });
+    if (this.metricsModeEl) {
+      this.metricsModeEl.querySelector('option[value="gt"]').disabled = !this._getPointCloudOptionByKey('gt');
+    }
+
+    this.iouPanelEl?.addEventListener('toggle', () => this._updateVoxelIoU());
+    this.iouPredEl?.addEventListener('change', () => this._updateVoxelIoU());
+    this.iouRefEl?.addEventListener('change', () => this._updateVoxelIoU());
+    this.iouZEdgesEl?.addEventListener('change', () => this._updateVoxelIoU());
+    this.iouRangeEdgesEl?.addEventListener('change', () => this._updateVoxelIoU());
+    this.iouCopyEl?.addEventListener('click', () => this._copyVoxelIoUTable());
+
+    const thresholdRange = this.occThresholdEl ? occupancyThresholdRange(this.scene.occupancy) : null;
+    if (thresholdRange) {
+      const { min, max, step } = thresholdRange;
+      this.occThresholdEl.min = String(min);
+      this.occThresholdEl.max = String(max);
+      this.occThresholdEl.step = String(step);
+      this.occThresholdDecimals = Math.max(0, -Math.floor(Math.log10(step)));
+      const requested = Number.isFinite(this.occRenderOptions.threshold) ? this.occRenderOptions.threshold : 0.5;
+      const initial = Math.max(min, Math.min(max, requested));
+      this.occThresholdEl.value = String(initial);
+      this.occThresholdRowEl?.classList.remove('hidden');
+      this._renderOccupancyThresholdValue(initial);
+      // Dragging re-thresholds at most once per frame; the URL follows on release.
+      let raf = 0;
+      this.occThresholdEl.addEventListener('input', () => {
+        this._renderOccupancyThresholdValue(Number(this.occThresholdEl.value));
+        if (raf) return;
+        raf = requestAnimationFrame(() => {
+          raf = 0;
+          this._applyOccupancyThreshold(Number(this.occThresholdEl.value));
+        });
+      });
+      this.occThresholdEl.addEventListener('change', () => {
+        updateUrl('vox_threshold', this.occThresholdEl.value);
+      });
+    }
+
+    const hasGt = !!this._getPointCloudOptionByKey('gt');
+    if (this.occDiffSourceEl) {
+      this.occDiffSourceEl.querySelector('option[value="pointcloud"]').disabled = !hasGt;
+      this.occDiffSourceEl.querySelector('option[value="occupancy"]').disabled = !this.occupancyGtUrl;
+      this.occDiffSourceEl.addEventListener('change', () => this._updateOccupancyDiff());
+    }
+    this.occDiffClassEls.forEach(({ toggle }) => {
+      toggle?.addEventListener('change', () => this._updateOccupancyDiff());
+    });
+
+    this.pcColorEls.forEach((els, paneIdx) => {
+      const errorOpt = els.mode?.querySelector('option[value="error"]');
+      if (errorOpt) errorOpt.disabled = !hasGt;
+      els.mode?.addEventListener('change', () => this._applyPaneColoring(paneIdx));
+      els.min?.addEventListener('input', () => this._applyPaneColoring(paneIdx));
+      els.max?.addEventListener('input', () => this._applyPaneColoring(paneIdx));
+    });
+  }
+
+  _renderOccupancyThresholdValue(threshold) {
+    if (this.occThresholdValueEl) this.occThresholdValueEl.textContent = threshold.toFixed(this.occThresholdDecimals);
+  }
+
+  _applyOccupancyThreshold(threshold) {
+    if (!Number.isFinite(threshold) || threshold === this.occRenderOptions.threshold) return;
+    this.occRenderOptions.threshold = threshold;
+    this.voxelMasks.delete(IOU_REF_OCCUPANCY);
+    const counts = this.renderer?.setOccupancyThreshold(threshold) || null;
+    if (this.occDiff) this._renderOccupancyDiffCounts(counts);
+    this._updateVoxelIoU();
+  }
+
+  _setOccupancyDiffCaption(text, isError = false) {
+    if (!this.occDiffCaptionEl) return;
+    this.occDiffCaptionEl.textContent = text;
+    this.occDiffCaptionEl.classList.toggle('error', isError);
+  }
+
+  _renderOccupancyDiffCounts(counts) {
+    this.occDiffClassEls.forEach(({ cls, count }) => {
+      if (count) count.textContent = counts ? counts[cls].toLocaleString() : '';
     });
   }
 
+  async _updateOccupancyDiff() {
+    const source = this.occDiffSourceEl?.value || 'off';
+    const token = ++this._occDiffToken;
+    this.occDiffClassesEl?.classList.toggle('hidden', source === 'off');
+    if (source === 'off') {
+      this.occDiff = null;
+      this._setOccupancyDiffCaption('');
+      this._renderOccupancyDiffCounts(null);
+      this.renderer?.setOccupancyDiff(null);
+      return;
+    }
+
+    const show = {};
+    this.occDiffClassEls.forEach(({ cls, toggle }) => { show[cls] = toggle ? toggle.checked : true; });
+    const maskKey = source === 'occupancy' ? OCC_GT_MASK_KEY : 'gt';
+    if (!this.voxelMasks.has(maskKey)) this._setOccupancyDiffCaption('Loading GT…');
+    try {
+      const { mask, outside } = await this._getVoxelMask(maskKey);
+      if (token !== this._occDiffToken) return;
+      this.occDiff = { gtMask: mask, show };
+      const counts = this.renderer?.setOccupancyDiff(this.occDiff) || null;
+      this._renderOccupancyDiffCounts(counts);
+      this._setOccupancyDiffCaption(
+        source === 'occupancy'
+          ? 'Voxels within the height filter'
+          : 'GT: voxels holding a GT point'
+            + (outside > 0 ? ` (${outside.toLocaleString()} points outside the grid)` : '')
+      );
+    } catch (err) {
+      if (token !== this._occDiffToken) return;
+      console.error('Occupancy diff failed:', err);
+      this._setOccupancyDiffCaption(`Occupancy diff failed: ${err?.message || err}`, true);
+    }
+  }
+
+  _paneKey(paneIdx) {
+    const selectEl = paneIdx === 0 ? this.pcSelectAEl : this.pcSelectBEl;
+    return selectEl?.value || this._pickDefaultKey(null, paneIdx);
+  }
+
+  _getMetricsClient() {
+    if (!this.metricsClient) this.metricsClient = new PointCloudMetricsClient();
+    return this.metricsClient;
+  }
+
+  _setPaneColorCaption(paneIdx, text, isError = false) {
+    const el = this.pcColorEls[paneIdx].caption;
+    if (!el) return;
+    el.textContent = text;
+    el.classList.toggle('error', isError);
+  }
+
+  _applyPaneColorings() {
+    this._applyPaneColoring(0);
+    if (this.activePaneCount === 3) this._applyPaneColoring(1);
+  }
+
+  async _applyPaneColoring(paneIdx) {
+    const els = this.pcColorEls[paneIdx];
+    const mode = els.mode?.value || 'solid';
+    const token = ++this._pcColorTokens[paneIdx];
+    els.scale?.classList.toggle('hidden', mode !== 'error');
+    if (mode !== 'error') {
+      this._setPaneColorCaption(paneIdx, '');
+      this.renderer?.setPointCloudColoring(paneIdx, { mode });
+      return;
+    }
+
+    const key = this._paneKey(paneIdx);
+    // A GT pane is measured against the other pane's cloud.
+    const refKey = pickErrorReferenceKey(this.pcOptions.map((o) => o.key), key, this._paneKey(1 - paneIdx));
+    if (!refKey) {
+      this._setPaneColorCaption(paneIdx, 'This scene has no GT point cloud.', true);
+      return;
+    }
+    const range = [Number(els.min?.value), Number(els.max?.value)];
+    if (!range.every(Number.isFinite) || range[0] < 0 || range[1] <= range[0]) {
+      this._setPaneColorCaption(paneIdx, 'Clamp range must satisfy 0 ≤ min < max.', true);
+      return;
+    }
+
+    const label = this._getPointCloudOptionByKey(refKey)?.label || refKey;
+    if (!this.pointDistances.has(key, refKey)) {
+      this._setPaneColorCaption(paneIdx, 'Computing distances…');
+    }
+    try {
+      const distances = await this.pointDistances.get(key, refKey);
+      if (token !== this._pcColorTokens[paneIdx]) return;
+      this.renderer?.setPointCloudColoring(paneIdx, { mode, distances, range });
+      this._setPaneColorCaption(paneIdx, `Distance to nearest ${label} point`);
+    } catch (err) {
+      if (token !== this._pcColorTokens[paneIdx]) return;
+      console.error('Error coloring failed:', err);
+      this._setPaneColorCaption(paneIdx, `Error coloring failed: ${err?.message || err}`, true);
+    }
+  }
+
+  /**
+   * Ascending bin edges from a comma-separated list; [] for an empty list, null if invalid.
+   */
+  _parseEdges(text) {
+    const values = String(text || '').split(/[\s,]+/).filter(Boolean).map(Number);
+    if (values.length === 0) return [];
+    if (values.length < 2 || values.some((v, i) => !Number.isFinite(v) || (i > 0 && v <= values[i - 1]))) {
+      return null;
+    }
+    return values;
+  }
+
+  _setIoUStatus(text, isError = false) {
+    if (!this.iouStatusEl) return;
+    this.iouStatusEl.textContent = text;
+    this.iouStatusEl.classList.toggle('error', isError);
+  }
+
+  async _getVoxelMask(key) {
+    if (this.voxelMasks.has(key)) return this.voxelMasks.get(key);
+    let entry;
+    if (key === IOU_REF_OCCUPANCY) {
+      const threshold = Number.isFinite(this.occRenderOptions.threshold) ? this.occRenderOptions.threshold : 0.5;
+      entry = { mask: occupancyMask(this.scene.occupancy, threshold), outside: 0 };
+    } else if (key === OCC_GT_MASK_KEY) {
+      if (!this.occupancyGtUrl) throw new Error('This scene has no GT occupancy grid.');
+      const gtOcc = await loadOccupancyData(this.occupancyGtUrl);
+      if (!sameOccupancyGrid(gtOcc, this.scene.occupancy)) {
+        throw new Error('GT occupancy grid shape/bounds differ from the scene occupancy grid.');
+      }
+      entry = { mask: occupancyMask(gtOcc, GT_OCCUPANCY_THRESHOLD), outside: 0 };
+    } else {
+      const data = await this._loadPointCloudByKey(key);
+      const { mask, outside } = voxelizePointCloud(data, this.scene.occupancy);
+      entry = { mask, outside };
+    }
+    this.voxelMasks.set(key, entry);
+    return entry;
+  }
+
+  async _updateVoxelIoU() {
+    if (!this.iouPanelEl?.open) return;
+    const token = ++this._iouToken;
+    const zEdges = this._parseEdges(this.iouZEdgesEl?.value);
+    const rangeEdges = this._parseEdges(this.iouRangeEdgesEl?.value);
+    if (!zEdges || !rangeEdges) {
+      this._setIoUStatus('Heights and rings must be at least two ascending numbers, or empty.', true);
+      return;
+    }
+    const predKey = this.iouPredEl?.value || this._pickDefaultKey(null, 0);
+    const refKey = this.iouRefEl?.value || IOU_REF_OCCUPANCY;
+
+    this._setIoUStatus('Voxelizing…');
+    try {
+      const [pred, ref] = await Promise.all([this._getVoxelMask(predKey), this._getVoxelMask(refKey)]);
+      if (token !== this._iouToken) return;
+      this.iouRows = computeVoxelIoU(pred.mask, ref.mask, this.scene.occupancy, { zEdges, rangeEdges });
+      this._renderVoxelIoUTable();
+      const outside = pred.outside + ref.outside;
+      const voxel = this.scene.occupancy.voxelSize;
+      this._setIoUStatus(
+        `Voxels${voxel ? ` of ${voxel} m` : ''} occupied by at least one point`
+        + (outside > 0 ? `; ${outside.toLocaleString()} points outside the grid ignored` : '')
+      );
+    } catch (err) {
+      if (token !== this._iouToken) return;
+      console.error('Voxel IoU failed:', err);
+      this._setIoUStatus(`Voxel IoU failed: ${err?.message || err}`, true);
+    }
+  }
+
+  /**
+   * @returns {Array<Array<string>>} Header row, then one row per IoU result
+   */
+  _voxelIoUTableRows() {
+    const range = (edges, unit) => (edges ? `${edges[0]}–${edges[1]} ${unit}` : 'all');
+    const fmt = (v) => (Number.isFinite(v) ? v.toFixed(3) : '–');
+    return [
+      ['Height', 'Range', 'TP', 'FP', 'FN', 'IoU', 'Precision', 'Recall'],
+      ...this.iouRows.map((r) => [
+        range(r.band, 'm'),
+        range(r.ring, 'm'),
+        String(r.tp),
+        String(r.fp),
+        String(r.fn),
+        fmt(r.iou),
+        fmt(r.precision),
+        fmt(r.recall)
+      ])
+    ];
+  }
+
+  _renderVoxelIoUTable() {
+    const table = this.iouTableEl;
+    if (!table) return;
+    table.innerHTML = '';
+    const [header, ...rows] = this._voxelIoUTableRows();
+    const head = table.createTHead().insertRow();
+    for (const text of header) {
+      const th = document.createElement('th');
+      th.textContent = text;
+      head.appendChild(th);
+    }
+    const body = table.createTBody();
+    for (const cells of rows) {
+      const row = body.insertRow();
+      for (const text of cells) row.insertCell().textContent = text;
+    }
+  }
+
+  // Tab-separated, so it pastes into spreadsheets as a table.
+  async _copyVoxelIoUTable() {
+    if (this.iouRows.length === 0) return;
+    const predLabel = this._getPointCloudOptionByKey(this.iouPredEl?.value)?.label || this.iouPredEl?.value;
+    const refKey = this.iouRefEl?.value;
+    const refLabel = this.iouRefOptions.find((o) => o.key === refKey)?.label || refKey;
+    const text = [
+      `# ${predLabel} against ${refLabel}`,
+      ...this._voxelIoUTableRows().map((cells) => cells.join('\t'))
+    ].join('\n');
+    try {
+      await navigator.clipboard.writeText(text);
+      this._setIoUStatus('Table copied (tab-separated).');
+    } catch (err) {
+      console.error('Copy failed:', err);
+      this._setIoUStatus('Copy failed: clipboard not available.', true);
+    }
+  }
+
+  _parseThresholds(text) {
+    const values = String(text || '').split(/[\s,]+/).filter(Boolean).map(Number);
+    if (values.length === 0 || values.some((v) => !Number.isFinite(v) || v <= 0)) return null;
+    return values;
+  }
+
+  _setMetricsStatus(text, isError = false) {
+    if (!this.metricsStatusEl) return;
+    this.metricsStatusEl.textContent = text;
+    this.metricsStatusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * (prediction, reference) key pairs for the metrics panel: the selected A against B, or
+   * every other cloud against the `gt` cloud.
+   */
+  _metricsPairs() {
+    if (this.metricsModeEl?.value === 'gt') {
+      if (!this._getPointCloudOptionByKey('gt')) return [];
+      return this.pcOptions.filter((o) => o.key !== 'gt').map((o) => [o.key, 'gt']);
+    }
+    const a = this.pcSelectAEl?.value || this._pickDefaultKey(null, 0);
+    const b = this.pcSelectBEl?.value || this._pickDefaultKey(null, 1);
+    return [[a, b]];
+  }
+
+  async _updateMetrics() {
+    if (!this.metricsPanelEl?.open) return;
+    const token = ++this._metricsToken;
+    const pairs = this._metricsPairs();
+    if (pairs.length === 0) {
+      this._setMetricsStatus('This scene has no GT point cloud.', true);
+      this._renderMetricsTable([]);
+      return;
+    }
+
+    this._setMetricsStatus('Computing…');
+    try {
+      const keys = [...new Set(pairs.flat())];
+      const clouds = await Promise.all(keys.map(async (key) => {
+        const data = await this._loadPointCloudByKey(key);
+        return { key, points: data.points, count: data.count };
+      }));
+      if (token !== this._metricsToken) return;
+      const startedAt = performance.now();
+      const results = await this._getMetricsClient().compute(clouds, pairs, this.metricsThresholds);
+      if (token !== this._metricsToken) return;
+      this._renderMetricsTable(results);
+      this._setMetricsStatus(
+        `Distances in meters; accuracy = prediction to reference, completeness = reference to prediction (${((performance.now() - startedAt) / 1000).toFixed(1)} s)`
+      );
+    } catch (err) {
+      if (token !== this._metricsToken) return;
+      console.error('Point cloud metrics failed:', err);
+      this._setMetricsStatus(`Metrics failed: ${err?.message || err}`, true);
+    }
+  }
+
+  _renderMetricsTable(results) {
+    const table = this.metricsTableEl;
+    if (!table) return;
+    table.innerHTML = '';
+    if (results.length === 0) return;
+
+    const labelOf = (key) => this._getPointCloudOptionByKey(key)?.label || key;
+    const fmt = (v) => (Number.isFinite(v) ? v.toFixed(3) : '–');
+    const head = table.createTHead().insertRow();
+    const columns = [
+      'Prediction → reference', 'Points', 'Accuracy', 'Completeness', 'Chamfer',
+      ...results[0].fscores.map((f) => `F@${f.threshold}`)
+    ];
+    for (const text of columns) {
+      const th = document.createElement('th');
+      th.textContent = text;
+      head.appendChild(th);
+    }
+    const body = table.createTBody();
+    for (const r of results) {
+      const row = body.insertRow();
+      const cells = [
+        `${labelOf(r.pred)} → ${labelOf(r.ref)}`,
+        `${r.predCount.toLocaleString()} / ${r.refCount.toLocaleString()}`,
+        fmt(r.accuracy),
+        fmt(r.completeness),
+        fmt(r.chamfer),
+        ...r.fscores.map((f) => fmt(f.fscore))
+      ];
+      cells.forEach((text, idx) => {
+        const td = row.insertCell();
+        td.textContent = text;
+        if (idx >= 5) {
+          const f = r.fscores[idx - 5];
+          td.title = `precision ${fmt(f.precision)}, recall ${fmt(f.recall)}`;
+        }
+      });
+    }
+  }
+
   _resolveResponsivePaneCount(requestedPanes) {
     const requested = requestedPanes === 3 ? 3 : 2;
     const vvWidth = Number(window.visualViewport?.width || 0);
@@ -242,6 +753,7 @@ class App {
     const pcBData = panes === 3 ? await this._loadPointCloudByKey(pcBKey) : null;
     if (rebuildToken !== this._paneRebuildToken) return;
     this._createRenderer(panes, pcAData, pcBData);
+    this._applyPaneColorings();
   }
 
   _installResponsivePaneHandling() {
@@ -291,7 +803,7 @@ class App {
       canvases,
       this.scene.occupancy,
       [pcAData, pcBData],
-      this.occRenderOptions,
+      { ...this.occRenderOptions, diff: this.occDiff },
       perfOptions
     );
 
@@ -428,6 +940,7 @@ class App {
     const showB = panes === 3;
     this.canvasPcB?.classList.toggle('hidden', !showB);
     this.labelPcBEl?.classList.toggle('hidden', !showB);
+    this.pcColorEls[1].legend?.classList.toggle('hidden', !showB);
     if (this.pcSelectBEl) this.pcSelectBEl.disabled = !showB;
   }
 
@@ -2,18 +2,9 @@
  * Occupancy loader (copied from interactive_occupancy_js/src/dataLoader.js, small renames)
  */
 
-export async function loadOccupancyData(jsonPath) {
-  console.log(`Loading occupancy metadata from: ${jsonPath}`);
-
-  const response = await fetch(jsonPath);
-  if (!response.ok) {
-    throw new Error(`Failed to load metadata: ${response.status} ${response.statusText}`);
-  }
-  const metadata = await response.json();
-
-  const jsonUrl = new URL(jsonPath, window.location.href);
-  const binUrl = new URL(metadata.occupancy_file, jsonUrl);
+import { resolveAssetCacheKey, readThroughAssetCache } from '../../../shared/assetCache.js?v=2026-10-18-asset-cache-v3';
 
+async function fetchOccupancyBinary(binUrl) {
   console.log(`Loading occupancy binary: ${binUrl.toString()}`);
   const binResponse = await fetch(binUrl);
   if (!binResponse.ok) {
@@ -26,8 +17,60 @@ export async function loadOccupancyData(jsonPath) {
   }
 
   const arrayBuffer = await binResponse.arrayBuffer();
+  return { value: arrayBuffer, bytes: arrayBuffer.byteLength };
+}
+
+/**
+ * Optional quantized probability grid next to the occupancy payload (same voxel order):
+ * - probability_file: string (relative to the JSON URL), one uint8 level per voxel
+ * - probability_dtype: "uint8"
+ * - probability_scale / probability_offset: probability = offset + level * scale (default 1/255, 0)
+ * When present, the occupancy can be re-thresholded live (see `probabilityLut`).
+ */
+async function loadProbabilityGrid(metadata, jsonUrl, expectedSize) {
+  const dtype = metadata.probability_dtype || 'uint8';
+  if (dtype !== 'uint8') {
+    throw new Error(`Unsupported occupancy probability_dtype "${dtype}" (expected "uint8").`);
+  }
+  const binUrl = new URL(metadata.probability_file, jsonUrl);
+  const cacheKey = await resolveAssetCacheKey('occupancy-probability', [binUrl], metadata);
+  const { value: arrayBuffer } = await readThroughAssetCache(cacheKey, () => fetchOccupancyBinary(binUrl), {
+    expectedBytes: expectedSize,
+  });
+  const probabilities = new Uint8Array(arrayBuffer);
+  if (probabilities.length !== expectedSize) {
+    console.warn(`Warning: occupancy probability size (${probabilities.length}) != expected (${expectedSize})`);
+  }
+
+  const scale = Number.isFinite(Number(metadata.probability_scale)) ? Number(metadata.probability_scale) : 1 / 255;
+  const offset = Number.isFinite(Number(metadata.probability_offset)) ? Number(metadata.probability_offset) : 0;
+  const probabilityLut = new Float32Array(256);
+  for (let level = 0; level < 256; level++) probabilityLut[level] = offset + level * scale;
+  return { probabilities, probabilityLut };
+}
+
+export async function loadOccupancyData(jsonPath) {
+  console.log(`Loading occupancy metadata from: ${jsonPath}`);
+
+  const response = await fetch(jsonPath);
+  if (!response.ok) {
+    throw new Error(`Failed to load metadata: ${response.status} ${response.statusText}`);
+  }
+  const metadata = await response.json();
+
+  const jsonUrl = new URL(jsonPath, window.location.href);
+  const binUrl = new URL(metadata.occupancy_file, jsonUrl);
+
+  const cacheKey = await resolveAssetCacheKey('occupancy', [binUrl], metadata);
   const expectedSize = metadata.grid_shape.reduce((a, b) => a * b, 1);
   const encoding = typeof metadata.encoding === 'string' ? metadata.encoding : 'raw';
+  const expectedPayloadBytes = encoding === 'bitset'
+    ? Math.ceil(expectedSize / 8)
+    : expectedSize * Float32Array.BYTES_PER_ELEMENT;
+  const [{ value: arrayBuffer }, probability] = await Promise.all([
+    readThroughAssetCache(cacheKey, () => fetchOccupancyBinary(binUrl), { expectedBytes: expectedPayloadBytes }),
+    metadata.probability_file ? loadProbabilityGrid(metadata, jsonUrl, expectedSize) : null,
+  ]);
 
   if (encoding === 'bitset') {
     const occupancyBits = new Uint8Array(arrayBuffer);
@@ -45,6 +88,7 @@ export async function loadOccupancyData(jsonPath) {
       bounds: metadata.bounds,
       voxelSize: metadata.voxel_size,
       occupancyRange: metadata.occupancy_range,
+      ...probability,
     };
   }
 
@@ -61,5 +105,6 @@ export async function loadOccupancyData(jsonPath) {
     bounds: metadata.bounds,
     voxelSize: metadata.voxel_size,
     occupancyRange: metadata.occupancy_range,
+    ...probability,
   };
 }
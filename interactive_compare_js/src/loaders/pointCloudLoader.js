@@ -2,18 +2,9 @@
  * Point cloud loader (same schema as interactive_pointcloud_js)
  */
 
-export async function loadPointCloudData(jsonPath) {
-  console.log(`Loading point cloud metadata from: ${jsonPath}`);
-
-  const response = await fetch(jsonPath);
-  if (!response.ok) {
-    throw new Error(`Failed to load metadata: ${response.status} ${response.statusText}`);
-  }
-  const metadata = await response.json();
-
-  const jsonUrl = new URL(jsonPath, window.location.href);
-  const binUrl = new URL(metadata.points_file, jsonUrl);
+import { resolveAssetCacheKey, readThroughAssetCache } from '../../../shared/assetCache.js?v=2026-10-18-asset-cache-v3';
 
+async function fetchPointCloudBinary(binUrl) {
   console.log(`Loading point cloud binary: ${binUrl.toString()}`);
   const binResponse = await fetch(binUrl);
   if (!binResponse.ok) {
@@ -26,9 +17,29 @@ export async function loadPointCloudData(jsonPath) {
   }
 
   const arrayBuffer = await binResponse.arrayBuffer();
-  const floats = new Float32Array(arrayBuffer);
+  return { value: arrayBuffer, bytes: arrayBuffer.byteLength };
+}
 
+export async function loadPointCloudData(jsonPath) {
+  console.log(`Loading point cloud metadata from: ${jsonPath}`);
+
+  const response = await fetch(jsonPath);
+  if (!response.ok) {
+    throw new Error(`Failed to load metadata: ${response.status} ${response.statusText}`);
+  }
+  const metadata = await response.json();
+
+  const jsonUrl = new URL(jsonPath, window.location.href);
+  const binUrl = new URL(metadata.points_file, jsonUrl);
+
+  const cacheKey = await resolveAssetCacheKey('pointcloud', [binUrl], metadata);
   const count = Number(metadata.count ?? 0);
+  // Build scripts write exactly `count` points of `stride_bytes` each.
+  const { value: arrayBuffer } = await readThroughAssetCache(cacheKey, () => fetchPointCloudBinary(binUrl), {
+    expectedBytes: count > 0 ? count * Number(metadata.stride_bytes ?? 12) : null,
+  });
+  const floats = new Float32Array(arrayBuffer);
+
   const inferredCount = Math.floor(floats.length / 3);
   const finalCount = count > 0 ? count : inferredCount;
   if (floats.length < finalCount * 3) {
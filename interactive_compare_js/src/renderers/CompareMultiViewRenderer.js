@@ -4,11 +4,15 @@
  * - right canvases: 1 or 2 point cloud views (camera pose synced from left every frame)
  * - controls are bound to the shared bottom pane (single interaction surface)
  *
- * Supports dynamic pointcloud swapping via setPointCloud(viewIndex, data).
+ * Supports dynamic pointcloud swapping via setPointCloud(viewIndex, data), per-view
+ * coloring (solid, height, or per-point error) via setPointCloudColoring(viewIndex, coloring),
+ * a TP/FP/FN occupancy diff against a GT voxel mask via setOccupancyDiff(diff), and live
+ * re-thresholding of probability / raw occupancy via setOccupancyThreshold(threshold).
  */
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.160.0/build/three.module.js';
 import { OrbitControls } from 'https://cdn.jsdelivr.net/npm/three@0.160.0/examples/jsm/controls/OrbitControls.js';
 import { turboColormap, normalizeHeight } from '../utils/turboColormap.js';
+import { fillErrorColors } from '../../../shared/pointCloudMetrics.js?v=2026-10-18-pc-metrics-empty-v1';
 
 const FLIP_LEFT_RIGHT = true;
 const DEFAULT_MAX_IDLE_DEVICE_PIXEL_RATIO = 0.9;
@@ -16,6 +20,19 @@ const DEFAULT_ACTIVE_PIXEL_RATIO = 0.9;
 const DEFAULT_INTERACTION_HOLD_MS = 180;
 const OCC_RENDER_MODE_CUBES = 'cubes';
 const OCC_RENDER_MODE_MESH = 'mesh';
+// Occupancy diff labels (prediction vs GT) and their colors; keep the swatches in index.html in sync.
+const OCC_DIFF_TP = 1;
+const OCC_DIFF_FP = 2;
+const OCC_DIFF_FN = 3;
+const OCC_DIFF_COLORS = {
+  [OCC_DIFF_TP]: [0.2, 0.8, 0.35],
+  [OCC_DIFF_FP]: [0.95, 0.35, 0.25],
+  [OCC_DIFF_FN]: [0.25, 0.55, 1.0],
+};
+// Re-thresholdable occupancy meshes are split into chunks of OCC_CHUNK_XY x OCC_CHUNK_XY
+// grid columns; each chunk keeps a histogram of its voxel values over OCC_VALUE_BINS bins.
+const OCC_CHUNK_XY = 50;
+const OCC_VALUE_BINS = 256;
 
 function clampPositive(value, fallback, min = 0.5, max = 4) {
   const num = Number(value);
@@ -64,7 +81,9 @@ function resolveOccupancyRenderParams(occupancyData, options = {}) {
   const bounds = occupancyData.bounds;
   const occupancy = occupancyData.occupancy;
   const occupancyBits = occupancyData.occupancyBits;
-  const occEncoding = occupancyData.encoding || (occupancyBits ? 'bitset' : 'raw');
+  const { probabilities, probabilityLut } = occupancyData;
+  // A quantized probability grid, when present, takes over from the bitset / raw payload.
+  const occEncoding = probabilities ? 'uint8' : (occupancyData.encoding || (occupancyBits ? 'bitset' : 'raw'));
   const [nx, ny, nz] = gridShape;
   const [xMin, xMax] = bounds.x;
   const [yMin, yMax] = bounds.y;
@@ -112,6 +131,8 @@ function resolveOccupancyRenderParams(occupancyData, options = {}) {
   return {
     occupancy,
     occupancyBits,
+    probabilities,
+    probabilityLut,
     occEncoding,
     bounds,
     gridShape,
@@ -138,11 +159,20 @@ function resolveOccupancyRenderParams(occupancyData, options = {}) {
   };
 }
 
+// Occupancy value (probability or raw) of voxel idx; only for 'uint8' and 'raw' encodings.
+function occupancyValueAt(params, idx) {
+  return params.occEncoding === 'uint8'
+    ? params.probabilityLut[params.probabilities[idx]]
+    : params.occupancy[idx];
+}
+
 function forEachOccupiedVoxel(params, callback) {
   const {
     occEncoding,
     occupancyBits,
     occupancy,
+    probabilities,
+    probabilityLut,
     threshold,
     nx,
     ny,
@@ -171,6 +201,18 @@ function forEachOccupiedVoxel(params, callback) {
     return;
   }
 
+  if (occEncoding === 'uint8') {
+    const count = Math.min(probabilities.length, gridVoxelCount);
+    for (let idx = 0; idx < count; idx++) {
+      if (probabilityLut[probabilities[idx]] <= threshold) continue;
+      const x = Math.floor(idx / xyStride);
+      const rem = idx - x * xyStride;
+      const y = Math.floor(rem / nz);
+      callback(x, y, rem - y * nz, idx);
+    }
+    return;
+  }
+
   for (let x = 0; x < nx; x++) {
     for (let y = 0; y < ny; y++) {
       for (let z = 0; z < nz; z++) {
@@ -183,15 +225,22 @@ function forEachOccupiedVoxel(params, callback) {
   }
 }
 
+// Instance transform of voxel (x, y, z); world X/Y are swapped grid y/x for the BEV yx view.
+function setVoxelMatrix(matrix, params, x, y, z) {
+  const { xMin, yMin, zMin, voxelSizeX, voxelSizeY, voxelSizeZ } = params;
+  matrix.makeScale(voxelSizeY, voxelSizeX, voxelSizeZ);
+  matrix.setPosition(
+    yMin + (y + 0.5) * voxelSizeY,
+    xMin + (x + 0.5) * voxelSizeX,
+    zMin + (z + 0.5) * voxelSizeZ
+  );
+}
+
 function visualizeOccupancyWithCubes(occupancyData, options = {}) {
   const startedAtMs = performance.now();
   const params = resolveOccupancyRenderParams(occupancyData, options);
   const {
     zMin,
-    yMin,
-    xMin,
-    voxelSizeX,
-    voxelSizeY,
     voxelSizeZ,
     zFilterMin,
     zFilterMax,
@@ -238,14 +287,8 @@ function visualizeOccupancyWithCubes(occupancyData, options = {}) {
     instanced.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
 
     for (let i = 0; i < cubeCount; i++) {
-      const { x, y, z, worldZ } = voxels[i];
-
-      // Match occupancy 3D convention: swap X/Y for BEV yx view.
-      const worldX = yMin + (y + 0.5) * voxelSizeY;
-      const worldY = xMin + (x + 0.5) * voxelSizeX;
-
-      matrix.makeScale(voxelSizeY, voxelSizeX, voxelSizeZ);
-      matrix.setPosition(worldX, worldY, worldZ);
+      const { x, y, z } = voxels[i];
+      setVoxelMatrix(matrix, params, x, y, z);
       instanced.setMatrixAt(i, matrix);
     }
 
@@ -263,22 +306,7 @@ function visualizeOccupancyWithCubes(occupancyData, options = {}) {
 function visualizeOccupancyAsMergedMesh(occupancyData, options = {}) {
   const startedAtMs = performance.now();
   const params = resolveOccupancyRenderParams(occupancyData, options);
-  const {
-    nx,
-    ny,
-    nz,
-    gridVoxelCount,
-    xStride,
-    yStride,
-    zMin,
-    xMin,
-    yMin,
-    voxelSizeX,
-    voxelSizeY,
-    voxelSizeZ,
-    zFilterMin,
-    zFilterMax,
-  } = params;
+  const { gridVoxelCount, zMin, voxelSizeZ, zFilterMin, zFilterMax } = params;
 
   const occupiedMask = new Uint8Array(gridVoxelCount);
   let occupiedCount = 0;
@@ -295,12 +323,176 @@ function visualizeOccupancyAsMergedMesh(occupancyData, options = {}) {
     return new THREE.Group();
   }
 
+  const zSpan = Math.max(1e-6, zFilterMax - zFilterMin);
+  return buildMergedVoxelMesh(params, occupiedMask, (label, worldZ) => (
+    turboColormap(Math.max(0, Math.min(1, (worldZ - zFilterMin) / zSpan)))
+  ), { startedAtMs });
+}
+
+/**
+ * Merged occupancy mesh that follows threshold changes without a full rebuild: one mesh per
+ * chunk of grid columns, and per chunk a histogram of voxel values, so setThreshold() knows
+ * which chunks have voxels crossing between the old and new threshold. Only those chunks
+ * and their direct neighbours (whose boundary faces depend on them) are re-meshed.
+ * Needs per-voxel values ('uint8' probability or 'raw' encoding).
+ */
+class ChunkedOccupancyMesh {
+  constructor(occupancyData, options = {}) {
+    const startedAtMs = performance.now();
+    this.params = resolveOccupancyRenderParams(occupancyData, options);
+    const { nx, ny, nz, gridVoxelCount, zMin, voxelSizeZ, zFilterMin, zFilterMax } = this.params;
+
+    this.group = new THREE.Group();
+    this.material = new THREE.MeshBasicMaterial({ vertexColors: true, side: THREE.DoubleSide });
+    this.occupiedMask = new Uint8Array(gridVoxelCount);
+    this.threshold = this.params.threshold;
+    const zSpan = Math.max(1e-6, zFilterMax - zFilterMin);
+    this.colorOf = (label, worldZ) => turboColormap(Math.max(0, Math.min(1, (worldZ - zFilterMin) / zSpan)));
+
+    // Voxel layers inside the height filter; the others never render.
+    this.zLo = nz;
+    this.zHi = 0;
+    for (let z = 0; z < nz; z++) {
+      const worldZ = zMin + (z + 0.5) * voxelSizeZ;
+      if (worldZ < zFilterMin || worldZ > zFilterMax) continue;
+      this.zLo = Math.min(this.zLo, z);
+      this.zHi = z + 1;
+    }
+
+    this.cx = Math.ceil(nx / OCC_CHUNK_XY);
+    this.cy = Math.ceil(ny / OCC_CHUNK_XY);
+    this.chunks = [];
+    for (let i = 0; i < this.cx; i++) {
+      for (let j = 0; j < this.cy; j++) {
+        const chunk = {
+          region: {
+            x0: i * OCC_CHUNK_XY,
+            x1: Math.min(nx, (i + 1) * OCC_CHUNK_XY),
+            y0: j * OCC_CHUNK_XY,
+            y1: Math.min(ny, (j + 1) * OCC_CHUNK_XY),
+          },
+          histogram: new Uint32Array(OCC_VALUE_BINS),
+          mesh: null,
+        };
+        this._forEachChunkVoxel(chunk, (idx) => {
+          const value = occupancyValueAt(this.params, idx);
+          chunk.histogram[ChunkedOccupancyMesh.valueBin(value)] += 1;
+          this.occupiedMask[idx] = value > this.threshold ? 1 : 0;
+        });
+        this.chunks.push(chunk);
+      }
+    }
+    this.chunks.forEach((chunk) => this._remeshChunk(chunk));
+
+    console.log(
+      `[occ-mesh-chunked] chunks=${this.chunks.length}, threshold=${this.threshold}, buildMs=${(performance.now() - startedAtMs).toFixed(1)}`
+    );
+  }
+
+  // Histogram bin of an occupancy value; monotonic, values outside [0, 1] clamp to the ends.
+  static valueBin(value) {
+    return Math.max(0, Math.min(OCC_VALUE_BINS - 1, Math.floor(value * OCC_VALUE_BINS)));
+  }
+
+  _forEachChunkVoxel(chunk, callback) {
+    const { nz, xStride, yStride } = this.params;
+    const { x0, x1, y0, y1 } = chunk.region;
+    for (let x = x0; x < x1; x++) {
+      for (let y = y0; y < y1; y++) {
+        const base = x * xStride + y * yStride;
+        for (let z = this.zLo; z < this.zHi && z < nz; z++) callback(base + z);
+      }
+    }
+  }
+
+  _remeshChunk(chunk) {
+    if (chunk.mesh) {
+      this.group.remove(chunk.mesh);
+      chunk.mesh.geometry?.dispose?.();
+    }
+    chunk.mesh = buildMergedVoxelMesh(this.params, this.occupiedMask, this.colorOf, {
+      region: chunk.region,
+      material: this.material,
+      log: false,
+    });
+    this.group.add(chunk.mesh);
+  }
+
+  /**
+   * @param {number} threshold Voxels with value > threshold are occupied
+   * @returns {number} Chunks re-meshed
+   */
+  setThreshold(threshold) {
+    const next = Math.max(0, Number(threshold));
+    if (!Number.isFinite(next) || next === this.threshold) return 0;
+    // Voxels with value in (lo, hi] flip; their bins lie in [binLo, binHi].
+    const binLo = ChunkedOccupancyMesh.valueBin(Math.min(this.threshold, next));
+    const binHi = ChunkedOccupancyMesh.valueBin(Math.max(this.threshold, next));
+    this.threshold = next;
+    this.params.threshold = next;
+
+    const changed = new Uint8Array(this.chunks.length);
+    this.chunks.forEach((chunk, c) => {
+      let crossing = 0;
+      for (let b = binLo; b <= binHi && crossing === 0; b++) crossing = chunk.histogram[b];
+      if (crossing === 0) return;
+      this._forEachChunkVoxel(chunk, (idx) => {
+        this.occupiedMask[idx] = occupancyValueAt(this.params, idx) > next ? 1 : 0;
+      });
+      changed[c] = 1;
+    });
+
+    let remeshed = 0;
+    for (let i = 0; i < this.cx; i++) {
+      for (let j = 0; j < this.cy; j++) {
+        const c = i * this.cy + j;
+        const near = changed[c]
+          || (i > 0 && changed[c - this.cy]) || (i + 1 < this.cx && changed[c + this.cy])
+          || (j > 0 && changed[c - 1]) || (j + 1 < this.cy && changed[c + 1]);
+        if (!near) continue;
+        this._remeshChunk(this.chunks[c]);
+        remeshed += 1;
+      }
+    }
+    return remeshed;
+  }
+}
+
+/**
+ * One merged mesh of the exposed faces of labelled voxels (occupiedMask[idx] != 0): a face is
+ * emitted where the neighbouring voxel is unlabelled or outside the grid, colored
+ * colorOf(label, worldZ).
+ *
+ * opts.region = { x0, x1, y0, y1 } limits the mesh to those grid columns (neighbours outside
+ * the region still hide faces); opts.material is used instead of a new one; opts.log = false
+ * skips the build log.
+ */
+function buildMergedVoxelMesh(params, occupiedMask, colorOf, opts = {}) {
+  const startedAtMs = opts.startedAtMs ?? performance.now();
+  const log = opts.log !== false;
+  const {
+    nx,
+    ny,
+    nz,
+    xStride,
+    yStride,
+    zMin,
+    xMin,
+    yMin,
+    voxelSizeX,
+    voxelSizeY,
+    voxelSizeZ,
+  } = params;
+  const { x0: rx0 = 0, x1: rx1 = nx, y0: ry0 = 0, y1: ry1 = ny } = opts.region || {};
+  let occupiedCount = 0;
+
   let faceCount = 0;
-  for (let x = 0; x < nx; x++) {
-    for (let y = 0; y < ny; y++) {
+  for (let x = rx0; x < rx1; x++) {
+    for (let y = ry0; y < ry1; y++) {
       for (let z = 0; z < nz; z++) {
         const idx = z + y * nz + x * yStride * ny;
         if (occupiedMask[idx] === 0) continue;
+        occupiedCount += 1;
 
         if (x === 0 || occupiedMask[idx - xStride] === 0) faceCount += 1;
         if (x === nx - 1 || occupiedMask[idx + xStride] === 0) faceCount += 1;
@@ -313,7 +505,7 @@ function visualizeOccupancyAsMergedMesh(occupancyData, options = {}) {
   }
 
   if (faceCount === 0) {
-    console.log('[occ-mesh] all occupied voxels were fully enclosed');
+    if (log) console.log('[occ-mesh] all occupied voxels were fully enclosed');
     return new THREE.Group();
   }
 
@@ -322,7 +514,6 @@ function visualizeOccupancyAsMergedMesh(occupancyData, options = {}) {
   const colors = new Float32Array(faceCount * floatsPerFace);
   let out = 0;
 
-  const zSpan = Math.max(1e-6, zFilterMax - zFilterMin);
   const writeVertex = (x, y, z, r, g, b) => {
     positions[out + 0] = x;
     positions[out + 1] = y;
@@ -343,8 +534,8 @@ function visualizeOccupancyAsMergedMesh(occupancyData, options = {}) {
 
   const halfZ = voxelSizeZ * 0.5;
 
-  for (let x = 0; x < nx; x++) {
-    for (let y = 0; y < ny; y++) {
+  for (let x = rx0; x < rx1; x++) {
+    for (let y = ry0; y < ry1; y++) {
       for (let z = 0; z < nz; z++) {
         const idx = z + y * nz + x * yStride * ny;
         if (occupiedMask[idx] === 0) continue;
@@ -357,8 +548,7 @@ function visualizeOccupancyAsMergedMesh(occupancyData, options = {}) {
         const z0 = worldZ - halfZ;
         const z1 = worldZ + halfZ;
 
-        const t = Math.max(0, Math.min(1, (worldZ - zFilterMin) / zSpan));
-        const [r, g, b] = turboColormap(t);
+        const [r, g, b] = colorOf(occupiedMask[idx], worldZ);
 
         // Neighbor checks use grid axes (x, y, z), while world coords use swapped XY mapping:
         // worldX <- grid y, worldY <- grid x.
@@ -392,22 +582,152 @@ function visualizeOccupancyAsMergedMesh(occupancyData, options = {}) {
   geometry.setAttribute('color', new THREE.BufferAttribute(finalColors, 3));
   geometry.computeBoundingSphere();
 
-  const material = new THREE.MeshBasicMaterial({
+  const material = opts.material || new THREE.MeshBasicMaterial({
     vertexColors: true,
     side: THREE.DoubleSide,
   });
 
   const mesh = new THREE.Mesh(geometry, material);
-  const triangles = Math.floor(finalPositions.length / 9);
-  const emittedFaces = Math.floor(finalPositions.length / floatsPerFace);
+  if (log) {
+    const triangles = Math.floor(finalPositions.length / 9);
+    const emittedFaces = Math.floor(finalPositions.length / floatsPerFace);
+    console.log(
+      `[occ-mesh] occupied=${occupiedCount}, faces=${emittedFaces}, triangles=${triangles}, drawCalls~=1, buildMs=${(performance.now() - startedAtMs).toFixed(1)}`
+    );
+  }
+  return mesh;
+}
+
+/**
+ * Label every voxel inside the z filter as TP (predicted and GT), FP (predicted only) or
+ * FN (GT only); classes switched off in `show` are left unlabelled.
+ *
+ * @returns {{labels: Uint8Array, counts: {tp:number, fp:number, fn:number}}} Counts include hidden classes
+ */
+function labelOccupancyDiff(params, gtMask, show = {}) {
+  const { gridVoxelCount, nz, zMin, voxelSizeZ, zFilterMin, zFilterMax } = params;
+  if (!gtMask || gtMask.length !== gridVoxelCount) {
+    throw new Error(`Occupancy diff needs a GT mask of ${gridVoxelCount} voxels, got ${gtMask?.length}.`);
+  }
+  const inZRange = new Uint8Array(nz);
+  for (let z = 0; z < nz; z++) {
+    const worldZ = zMin + (z + 0.5) * voxelSizeZ;
+    inZRange[z] = worldZ >= zFilterMin && worldZ <= zFilterMax ? 1 : 0;
+  }
+
+  const labels = new Uint8Array(gridVoxelCount);
+  forEachOccupiedVoxel(params, (x, y, z, idx) => {
+    labels[idx] = gtMask[idx] ? OCC_DIFF_TP : OCC_DIFF_FP;
+  });
+
+  const counts = { tp: 0, fp: 0, fn: 0 };
+  const visible = {
+    [OCC_DIFF_TP]: show.tp !== false,
+    [OCC_DIFF_FP]: show.fp !== false,
+    [OCC_DIFF_FN]: show.fn !== false,
+  };
+  for (let idx = 0; idx < gridVoxelCount; idx++) {
+    let label = labels[idx];
+    if (!inZRange[idx % nz]) {
+      labels[idx] = 0;
+      continue;
+    }
+    if (!label) {
+      if (!gtMask[idx]) continue;
+      label = OCC_DIFF_FN;
+    }
+    if (label === OCC_DIFF_TP) counts.tp += 1;
+    else if (label === OCC_DIFF_FP) counts.fp += 1;
+    else counts.fn += 1;
+    labels[idx] = visible[label] ? label : 0;
+  }
+  return { labels, counts };
+}
+
+function visualizeOccupancyDiffWithCubes(params, labels) {
+  const startedAtMs = performance.now();
+  const { nz, xyStride } = params;
+  const idxsByLabel = new Map();
+  for (let idx = 0; idx < labels.length; idx++) {
+    const label = labels[idx];
+    if (!label) continue;
+    let arr = idxsByLabel.get(label);
+    if (!arr) {
+      arr = [];
+      idxsByLabel.set(label, arr);
+    }
+    arr.push(idx);
+  }
+
+  const group = new THREE.Group();
+  const geometry = new THREE.BoxGeometry(1, 1, 1);
+  const matrix = new THREE.Matrix4();
+  let totalCubes = 0;
+  idxsByLabel.forEach((idxs, label) => {
+    const [r, g, b] = OCC_DIFF_COLORS[label];
+    const material = new THREE.MeshBasicMaterial({
+      color: new THREE.Color(r, g, b),
+      side: THREE.DoubleSide,
+    });
+    const instanced = new THREE.InstancedMesh(geometry, material, idxs.length);
+    for (let i = 0; i < idxs.length; i++) {
+      const idx = idxs[i];
+      const x = Math.floor(idx / xyStride);
+      const rem = idx - x * xyStride;
+      const y = Math.floor(rem / nz);
+      setVoxelMatrix(matrix, params, x, y, rem - y * nz);
+      instanced.setMatrixAt(i, matrix);
+    }
+    instanced.instanceMatrix.needsUpdate = true;
+    group.add(instanced);
+    totalCubes += idxs.length;
+  });
+
   console.log(
-    `[occ-mesh] occupied=${occupiedCount}, faces=${emittedFaces}, triangles=${triangles}, drawCalls~=1, buildMs=${(performance.now() - startedAtMs).toFixed(1)}`
+    `[occ-diff-cubes] cubes=${totalCubes}, drawCalls~=${group.children.length}, buildMs=${(performance.now() - startedAtMs).toFixed(1)}`
   );
-  return mesh;
+  return group;
+}
+
+function buildOccupancyDiffGeometry(occupancyData, options, diff) {
+  const params = resolveOccupancyRenderParams(occupancyData, options);
+  const { labels, counts } = labelOccupancyDiff(params, diff.gtMask, diff.show);
+  let object;
+  if (normalizeOccRenderMode(options.mode) === OCC_RENDER_MODE_MESH) {
+    try {
+      object = labels.some((label) => label !== 0)
+        ? buildMergedVoxelMesh(params, labels, (label) => OCC_DIFF_COLORS[label])
+        : new THREE.Group();
+    } catch (error) {
+      console.error('Merged occupancy diff mesh build failed; falling back to instanced cubes.', error);
+      object = visualizeOccupancyDiffWithCubes(params, labels);
+    }
+  } else {
+    object = visualizeOccupancyDiffWithCubes(params, labels);
+  }
+  object.userData.diffCounts = counts;
+  return object;
 }
 
+/**
+ * @param {Object} occupancyData
+ * @param {Object} [options] Render options; options.diff = { gtMask, show: { tp, fp, fn } }
+ *   draws the TP/FP/FN diff against a GT mask (same grid) instead of height colors
+ */
 function buildOccupancyGeometry(occupancyData, options = {}) {
+  if (options.diff) return buildOccupancyDiffGeometry(occupancyData, options, options.diff);
   const mode = normalizeOccRenderMode(options.mode);
+  const hasValues = !!occupancyData.probabilities || occupancyData.encoding === 'raw';
+  if (mode === OCC_RENDER_MODE_MESH && hasValues) {
+    try {
+      const chunked = new ChunkedOccupancyMesh(occupancyData, options);
+      chunked.group.userData.chunkedMesh = chunked;
+      return chunked.group;
+    } catch (error) {
+      console.error('Chunked occupancy mesh build failed; falling back to instanced cubes.', error);
+      return visualizeOccupancyWithCubes(occupancyData, options);
+    }
+  }
   if (mode === OCC_RENDER_MODE_MESH) {
     try {
       return visualizeOccupancyAsMergedMesh(occupancyData, options);
@@ -419,12 +739,7 @@ function buildOccupancyGeometry(occupancyData, options = {}) {
   return visualizeOccupancyWithCubes(occupancyData, options);
 }
 
-function buildPointCloud(points, count, bounds, opts = {}) {
-  const geometry = new THREE.BufferGeometry();
-  geometry.setAttribute('position', new THREE.BufferAttribute(points, 3));
-
-  // Height colors (optional)
-  const colors = new Float32Array(count * 3);
+function fillHeightColors(colors, points, count, bounds) {
   for (let i = 0; i < count; i++) {
     const z = points[i * 3 + 2];
     const t = normalizeHeight(z, bounds.z);
@@ -433,6 +748,15 @@ function buildPointCloud(points, count, bounds, opts = {}) {
     colors[i * 3 + 1] = g;
     colors[i * 3 + 2] = b;
   }
+}
+
+function buildPointCloud(points, count, bounds, opts = {}) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(points, 3));
+
+  // Height colors (optional)
+  const colors = new Float32Array(count * 3);
+  fillHeightColors(colors, points, count, bounds);
   geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
   geometry.computeBoundingSphere();
 
@@ -468,6 +792,9 @@ export class CompareMultiViewRenderer {
     this.controls = null;
 
     this.sceneOcc = new THREE.Scene();
+    this.occObject = null;
+    this.occDiff = occRenderOptions.diff || null;
+    this.occDiffCounts = null;
     this.scenePc = [new THREE.Scene(), new THREE.Scene()];
     this.pcObjects = [null, null];
 
@@ -615,14 +942,7 @@ export class CompareMultiViewRenderer {
     this.controls.addEventListener('end', this._onControlsEnd);
 
     // Build occupancy scene
-    const occGroup = buildOccupancyGeometry(
-      this.occ,
-      this.occRenderOptions
-    );
-    if (FLIP_LEFT_RIGHT) {
-      occGroup.scale.x = -1;
-    }
-    this.sceneOcc.add(occGroup);
+    this._buildOccupancyObject();
     this.sceneOcc.add(new THREE.AxesHelper(5));
 
     // Init pointcloud views (if provided)
@@ -707,6 +1027,52 @@ export class CompareMultiViewRenderer {
     this.rendererPc = [null, null];
   }
 
+  _buildOccupancyObject() {
+    if (this.occObject) {
+      this.sceneOcc.remove(this.occObject);
+      disposeObject3DTree(this.occObject);
+      this.occObject = null;
+    }
+    const occGroup = buildOccupancyGeometry(this.occ, { ...this.occRenderOptions, diff: this.occDiff });
+    if (FLIP_LEFT_RIGHT) {
+      occGroup.scale.x = -1;
+    }
+    this.occDiffCounts = occGroup.userData.diffCounts || null;
+    this.sceneOcc.add(occGroup);
+    this.occObject = occGroup;
+  }
+
+  /**
+   * Re-threshold the occupancy view (probability / raw grids; bitsets are fixed). The merged
+   * mesh updates only the chunks that change; cubes and the diff view are rebuilt.
+   *
+   * @param {number} threshold Voxels with value > threshold are occupied
+   * @returns {?{tp:number, fp:number, fn:number}} Diff counts while the diff view is on
+   */
+  setOccupancyThreshold(threshold) {
+    this.occRenderOptions = { ...this.occRenderOptions, threshold };
+    const chunked = this.occObject?.userData.chunkedMesh;
+    if (chunked && !this.occDiff) {
+      chunked.setThreshold(threshold);
+    } else {
+      this._buildOccupancyObject();
+    }
+    return this.occDiffCounts;
+  }
+
+  /**
+   * Switch the occupancy view between height colors (diff = null) and a TP/FP/FN diff.
+   *
+   * @param {?Object} diff { gtMask: Uint8Array over the occupancy grid (idx = z + y * nz + x * nz * ny),
+   *   show: { tp, fp, fn } (false hides a class) }
+   * @returns {?{tp:number, fp:number, fn:number}} Voxel counts within the z filter, hidden classes included
+   */
+  setOccupancyDiff(diff) {
+    this.occDiff = diff || null;
+    this._buildOccupancyObject();
+    return this.occDiffCounts;
+  }
+
   setPointCloud(viewIndex, pcData) {
     if (viewIndex !== 0 && viewIndex !== 1) return;
 
@@ -723,11 +1089,13 @@ export class CompareMultiViewRenderer {
     }
     if (!pcData) return;
 
+    const solidColor = viewIndex === 0 ? 0x66ccff : 0xffcc66;
     const obj = buildPointCloud(pcData.points, pcData.count, pcData.bounds, {
       size: 2.0,
-      color: viewIndex === 0 ? 0x66ccff : 0xffcc66,
+      color: solidColor,
       vertexColors: false,
     });
+    obj.userData = { pcData, solidColor };
     this.scenePc[viewIndex].add(obj);
     this.pcObjects[viewIndex] = obj;
 
@@ -739,6 +1107,38 @@ export class CompareMultiViewRenderer {
     });
   }
 
+  /**
+   * Recolor a point cloud view in place (until its next setPointCloud).
+   *
+   * @param {number} viewIndex
+   * @param {?Object} coloring null or { mode: 'solid' } for the view's flat color,
+   *   { mode: 'height' } for turbo over z, or { mode: 'error', distances, range } for turbo
+   *   over per-point distances (Float32Array, one per point) clamped to range = [min, max]
+   */
+  setPointCloudColoring(viewIndex, coloring) {
+    const obj = this.pcObjects[viewIndex];
+    if (!obj) return;
+    const { pcData, solidColor } = obj.userData;
+    const mode = coloring?.mode || 'solid';
+    const colorAttr = obj.geometry.getAttribute('color');
+    if (mode === 'height') {
+      fillHeightColors(colorAttr.array, pcData.points, pcData.count, pcData.bounds);
+    } else if (mode === 'error') {
+      if (coloring.distances?.length !== pcData.count) {
+        throw new Error(`Error coloring needs ${pcData.count} distances, got ${coloring.distances?.length}.`);
+      }
+      fillErrorColors(colorAttr.array, coloring.distances, pcData.count, coloring.range, turboColormap);
+    }
+    colorAttr.needsUpdate = true;
+
+    const vertexColors = mode !== 'solid';
+    obj.material.color.set(vertexColors ? 0xffffff : solidColor);
+    if (obj.material.vertexColors !== vertexColors) {
+      obj.material.vertexColors = vertexColors;
+      obj.material.needsUpdate = true;
+    }
+  }
+
   _installResizeObserver() {
     if (!('ResizeObserver' in window)) return;
     const schedule = () => {
@@ -1,5 +1,5 @@
-import { loadOccupancyData } from './loaders/occupancyLoader.js?v=2026-02-11-bitset-fix2';
-import { loadPointCloudData } from './loaders/pointCloudLoader.js?v=2026-02-11-bitset-fix2';
+import { loadOccupancyData } from './loaders/occupancyLoader.js?v=2026-10-18-asset-cache-v3';
+import { loadPointCloudData } from './loaders/pointCloudLoader.js?v=2026-10-18-asset-cache-v3';
 
 async function fetchJson(url) {
   const res = await fetch(url);
@@ -12,6 +12,8 @@ async function fetchJson(url) {
  * {
  *   "images": [{ "name": "...", "url": "images/ring_front_center.jpg" }, ...],
  *   "occupancy": { "url": "occ_frame000121.json" },
+ *   // Optional GT occupancy on the same grid (occupancy diff view; loaded on demand):
+ *   "occupancy_gt": { "url": "occ_gt_frame000121.json" },
  *   // Backward-compat:
  *   "pointcloud": { "url": "vigt_frame000121.json" },
  *   // New (preferred):
@@ -31,6 +33,7 @@ export async function loadCompareScene(sceneJsonPath) {
   }) : [];
 
   const occUrl = new URL(manifest?.occupancy?.url, sceneUrl).toString();
+  const occGtUrl = manifest?.occupancy_gt?.url ? new URL(manifest.occupancy_gt.url, sceneUrl).toString() : null;
   const legacyPcUrl = manifest?.pointcloud?.url ? new URL(manifest.pointcloud.url, sceneUrl).toString() : null;
 
   const pointclouds = Array.isArray(manifest?.pointclouds)
@@ -53,6 +56,7 @@ export async function loadCompareScene(sceneJsonPath) {
     manifest,
     images,
     occupancy,
+    occupancyGtUrl: occGtUrl,
     // Backward-compat: keep `pointcloud` for existing codepaths.
     pointcloud: pointcloud0,
     // New normalized list for UI.
@@ -0,0 +1,219 @@
+/**
+ * Voxel occupancy metrics: point clouds voxelized into the occupancy grid, compared as
+ * occupied/free masks (IoU, precision, recall), per height band and range ring.
+ *
+ * Masks are Uint8Array over the occupancy grid with the loader's layout,
+ * idx = z + y * nz + x * nz * ny, where x spans `bounds.x` and y spans `bounds.y`.
+ * Point clouds are rendered with x/y swapped relative to the grid (see the
+ * CompareMultiViewRenderer voxel placement), so a rendered point (px, py) falls in grid
+ * column x from py and y from px.
+ */
+
+/**
+ * Grid geometry shared by the helpers below.
+ *
+ * @param {Object} occupancyData From loadOccupancyData
+ * @returns {{nx:number, ny:number, nz:number, bounds:Object, vx:number, vy:number, vz:number}}
+ */
+export function occupancyGridGeometry(occupancyData) {
+  const [nx, ny, nz] = occupancyData.gridShape;
+  const { bounds } = occupancyData;
+  return {
+    nx,
+    ny,
+    nz,
+    bounds,
+    vx: (bounds.x[1] - bounds.x[0]) / nx,
+    vy: (bounds.y[1] - bounds.y[0]) / ny,
+    vz: (bounds.z[1] - bounds.z[0]) / nz
+  };
+}
+
+/**
+ * Whether two occupancy grids share shape and bounds, so their masks can be compared.
+ *
+ * @param {Object} a From loadOccupancyData
+ * @param {Object} b From loadOccupancyData
+ * @returns {boolean}
+ */
+export function sameOccupancyGrid(a, b) {
+  const same = (u, v) => u.length === v.length && u.every((x, i) => Math.abs(x - v[i]) < 1e-6);
+  return same(a.gridShape, b.gridShape)
+    && ['x', 'y', 'z'].every((axis) => same(a.bounds[axis], b.bounds[axis]));
+}
+
+/**
+ * Slider range for re-thresholding the occupancy live: probabilities span (0, 1); raw float grids
+ * span their `occupancyRange`. Bitsets alone are fixed at their `bakeThreshold`, and raw grids
+ * without a usable `occupancy_range` cannot be re-thresholded either.
+ *
+ * @param {Object} occupancyData From loadOccupancyData
+ * @returns {{min: number, max: number, step: number}|null}
+ */
+export function occupancyThresholdRange(occupancyData) {
+  if (occupancyData.probabilities) return { min: 0.01, max: 0.99, step: 0.01 };
+  if (occupancyData.encoding === 'bitset') return null;
+  const [lo, hi] = (occupancyData.occupancyRange || []).map(Number);
+  if (!Number.isFinite(lo) || !Number.isFinite(hi) || !(hi > lo)) return null;
+  return { min: lo, max: hi, step: (hi - lo) / 100 };
+}
+
+/**
+ * Occupied voxels (value > threshold) of the occupancy grid itself.
+ *
+ * @param {Object} occupancyData From loadOccupancyData
+ * @param {number} [threshold=0.5] Probability / raw grids only; bitsets were baked at `bakeThreshold`
+ * @returns {Uint8Array}
+ */
+export function occupancyMask(occupancyData, threshold = 0.5) {
+  const { nx, ny, nz } = occupancyGridGeometry(occupancyData);
+  const total = nx * ny * nz;
+  const mask = new Uint8Array(total);
+  if (occupancyData.probabilities) {
+    const { probabilities, probabilityLut } = occupancyData;
+    const n = Math.min(total, probabilities.length);
+    for (let idx = 0; idx < n; idx++) mask[idx] = probabilityLut[probabilities[idx]] > threshold ? 1 : 0;
+    return mask;
+  }
+  if (occupancyData.encoding === 'bitset') {
+    const bits = occupancyData.occupancyBits;
+    const n = Math.min(total, Number(occupancyData.numVoxels) || total, bits.length * 8);
+    const msb0 = occupancyData.bitorder === 'msb0';
+    for (let idx = 0; idx < n; idx++) {
+      const bit = msb0 ? 7 - (idx & 7) : idx & 7;
+      mask[idx] = (bits[idx >> 3] >> bit) & 1;
+    }
+    return mask;
+  }
+  const occ = occupancyData.occupancy;
+  const n = Math.min(total, occ.length);
+  for (let idx = 0; idx < n; idx++) mask[idx] = occ[idx] > threshold ? 1 : 0;
+  return mask;
+}
+
+/**
+ * Voxels of the occupancy grid containing at least one point of a cloud.
+ *
+ * @param {Object} pointcloudData From loadPointCloudData
+ * @param {Object} occupancyData From loadOccupancyData
+ * @returns {{mask: Uint8Array, inside: number, outside: number}} Points inside / outside the grid
+ */
+export function voxelizePointCloud(pointcloudData, occupancyData) {
+  const { nx, ny, nz, bounds, vx, vy, vz } = occupancyGridGeometry(occupancyData);
+  const mask = new Uint8Array(nx * ny * nz);
+  const { points, count } = pointcloudData;
+  const conv = pointcloudData.convention || {};
+  // Points stored unswapped are swapped for rendering (as in interactive_pointcloud_js).
+  const swapped = !(conv.xy_swap && conv.data_is_swapped === false);
+  let inside = 0;
+  for (let i = 0; i < count; i++) {
+    const rx = swapped ? points[i * 3] : points[i * 3 + 1];
+    const ry = swapped ? points[i * 3 + 1] : points[i * 3];
+    const x = Math.floor((ry - bounds.x[0]) / vx);
+    const y = Math.floor((rx - bounds.y[0]) / vy);
+    const z = Math.floor((points[i * 3 + 2] - bounds.z[0]) / vz);
+    if (!(x >= 0 && x < nx && y >= 0 && y < ny && z >= 0 && z < nz)) continue;
+    mask[z + y * nz + x * nz * ny] = 1;
+    inside++;
+  }
+  return { mask, inside, outside: count - inside };
+}
+
+// Index of the bin [edges[i], edges[i + 1]) containing v, or -1.
+function binIndex(v, edges) {
+  for (let i = 0; i + 1 < edges.length; i++) {
+    if (v >= edges[i] && v < edges[i + 1]) return i;
+  }
+  return -1;
+}
+
+function scores({ tp, fp, fn }) {
+  return {
+    tp,
+    fp,
+    fn,
+    iou: tp + fp + fn > 0 ? tp / (tp + fp + fn) : NaN,
+    precision: tp + fp > 0 ? tp / (tp + fp) : NaN,
+    recall: tp + fn > 0 ? tp / (tp + fn) : NaN
+  };
+}
+
+/**
+ * IoU, precision and recall of a predicted mask against a reference mask, over the whole
+ * grid and per height band x range ring. A voxel belongs to a band / ring by its center:
+ * ego z in [zEdges[i], zEdges[i + 1]), horizontal distance from the ego origin in
+ * [rangeEdges[j], rangeEdges[j + 1]).
+ *
+ * @param {Uint8Array} pred
+ * @param {Uint8Array} ref
+ * @param {Object} occupancyData Grid the masks live in
+ * @param {Object} [options]
+ * @param {Array<number>} [options.zEdges] Ascending band edges (meters); none: no bands
+ * @param {Array<number>} [options.rangeEdges] Ascending ring edges (meters); none: no rings
+ * @returns {Array<{band:?[number, number], ring:?[number, number], tp:number, fp:number, fn:number,
+ *   iou:number, precision:number, recall:number}>}
+ *   First the whole grid (band and ring null), then per band with all ranges (ring null),
+ *   per ring with all heights (band null), and every band x ring cell.
+ *   Ratios are NaN where their denominator is empty.
+ */
+export function computeVoxelIoU(pred, ref, occupancyData, options = {}) {
+  const { nx, ny, nz, bounds, vx, vy, vz } = occupancyGridGeometry(occupancyData);
+  const zEdges = options.zEdges || [];
+  const rangeEdges = options.rangeEdges || [];
+  const nBands = Math.max(0, zEdges.length - 1);
+  const nRings = Math.max(0, rangeEdges.length - 1);
+
+  const bandOfZ = new Int16Array(nz);
+  for (let z = 0; z < nz; z++) bandOfZ[z] = binIndex(bounds.z[0] + (z + 0.5) * vz, zEdges);
+
+  // Counts per (band + 1) x (ring + 1); index 0 is "outside every band / ring".
+  const stride = nRings + 1;
+  const tp = new Float64Array((nBands + 1) * stride);
+  const fp = new Float64Array(tp.length);
+  const fn = new Float64Array(tp.length);
+
+  for (let x = 0; x < nx; x++) {
+    const cx = bounds.x[0] + (x + 0.5) * vx;
+    for (let y = 0; y < ny; y++) {
+      const cy = bounds.y[0] + (y + 0.5) * vy;
+      const ring = binIndex(Math.hypot(cx, cy), rangeEdges) + 1;
+      const base = (x * ny + y) * nz;
+      for (let z = 0; z < nz; z++) {
+        const p = pred[base + z];
+        const r = ref[base + z];
+        if (!p && !r) continue;
+        const cell = (bandOfZ[z] + 1) * stride + ring;
+        if (p && r) tp[cell]++;
+        else if (p) fp[cell]++;
+        else fn[cell]++;
+      }
+    }
+  }
+
+  const sum = (bandSel, ringSel) => {
+    const acc = { tp: 0, fp: 0, fn: 0 };
+    for (let b = 0; b <= nBands; b++) {
+      if (bandSel !== null && b !== bandSel + 1) continue;
+      for (let r = 0; r <= nRings; r++) {
+        if (ringSel !== null && r !== ringSel + 1) continue;
+        acc.tp += tp[b * stride + r];
+        acc.fp += fp[b * stride + r];
+        acc.fn += fn[b * stride + r];
+      }
+    }
+    return acc;
+  };
+  const bandAt = (b) => (b === null ? null : [zEdges[b], zEdges[b + 1]]);
+  const ringAt = (r) => (r === null ? null : [rangeEdges[r], rangeEdges[r + 1]]);
+  const row = (b, r) => ({ band: bandAt(b), ring: ringAt(r), ...scores(sum(b, r)) });
+
+  const rows = [row(null, null)];
+  for (let b = 0; b < nBands; b++) rows.push(row(b, null));
+  for (let r = 0; r < nRings; r++) rows.push(row(null, r));
+  if (nBands > 0 && nRings > 0) {
+    for (let b = 0; b < nBands; b++) {
+      for (let r = 0; r < nRings; r++) rows.push(row(b, r));
+    }
+  }
+  return rows;
+}
@@ -3,10 +3,31 @@
  * Click BEV cell -> render per-camera attention overlays
  */
 
-import { loadSceneData } from './dataLoader.js?v=2026-02-10-forward-manifest-only-v1';
-import { BEVView } from './components/BEVView.js';
-import { CameraStrip } from './components/CameraStrip.js';
+import { loadSceneData } from './dataLoader.js?v=2026-10-18-asset-cache-v3';
+import { BEVView } from './components/BEVView.js?v=2026-10-18-forward-multiselect-v1';
+import { CameraStrip } from './components/CameraStrip.js?v=2026-10-18-forward-cls-badge-v1';
+import { HeadGrid } from './components/HeadGrid.js?v=2026-10-18-forward-head-grid-v1';
 import { DatasetFrameDock } from '../../shared/DatasetFrameDock.js';
+import { scalarMapLegendCss } from '../../shared/BEVFrameRenderer.js?v=2026-10-18-forward-stats-v1';
+import { getCameraColor } from './utils/colorUtils.js';
+import { rayCells, ringCells } from './utils/sweepPaths.js?v=2026-10-18-forward-sweep-v1';
+import { bevCellPillarCorners, projectPillarToImage } from '../../shared/cameraGeometry.js';
+import {
+    composeCanvasesHorizontally,
+    downloadBlob,
+    downloadCanvasPng,
+    downloadJson,
+    downloadNpy,
+    exportFileStem,
+    startCanvasWebmRecording
+} from '../../shared/attentionExport.js?v=2026-10-18-forward-sweep-v1';
+
+// Pillar outlines drawn for a multi-cell selection; more just clutters the cameras.
+const MAX_PILLAR_OUTLINES = 64;
+
+// Recorded sweep frames: cameras and BEV in one row of this height, scaled down to fit the width.
+const SWEEP_VIDEO_HEIGHT = 360;
+const SWEEP_VIDEO_MAX_WIDTH = 1920;
 
 class App {
     static normalizeAttnPrecision(raw) {
@@ -14,31 +35,89 @@ class App {
         if (v === 'int8' || v === 'int8_phs_v1') return 'int8';
         if (v === 'int4' || v === 'int4_phq_v1') return 'int4';
         if (v === 'fp32' || v === 'float32') return 'fp32';
+        if (v === 'fp16' || v === 'float16' || v === 'half') return 'fp16';
+        if (v === 'topk' || v === 'topk_v1') return 'topk';
         return 'auto';
     }
 
+    /**
+     * ?layer= value: a layer index, 'mean' (mean over layers), or null when absent/invalid.
+     */
+    static parseLayerParam(raw) {
+        const v = (raw || '').toString().trim().toLowerCase();
+        if (v === 'mean') return 'mean';
+        const idx = parseInt(v, 10);
+        return Number.isInteger(idx) && idx >= 0 ? idx : null;
+    }
+
     constructor() {
         this.sceneData = null;
         this.visualizer = null;
         
-        this.selectedQuery = null; // { queryIdx, xIdx, yIdx }
+        this.selectedCells = []; // Array<{ queryIdx, xIdx, yIdx }>
+        this.queryAggregation = 'mean'; // 'sum' | 'mean' | 'max' over the selected cells
         this.headSelection = { mode: 'mean', headIdx: null }; // mode: 'mean' | 'head'
+        this.attnLayers = null;
+        this.layerSelection = 0; // layer index | 'mean'
+        this.unsubscribeHeadReady = null;
         this.overlayAlpha = 0.6;
         // Always use global normalization (comparable across cameras)
+        this.overlayNormalization = 'patches'; // 'patches' | 'all': color scale max over patch tokens only or all keys
         this.colorScheme = 'red'; // 'red' | 'hsv'
+        // Selected cell's pillar projected into the cameras (needs meta/cameras.json)
+        this.pillar = { visible: true, zRange: [-1, 3] };
+        this.bevMapMode = 'none'; // 'none' | 'alignment' | 'entropy' | 'cls_share' | 'dominant_camera' | 'effective_patches'
+        this.bevMap = null; // result of computeBevMap() currently shown
+        this.pillarMasks = null; // { key, masks } cache for the current z range
+        this.patchPick = null; // { camName, patchIdx, pinned }: camera patch whose top queries the BEV shows
+        this.patchLookupTopN = 20;
+        this.sweepParams = { ray: 0, ring: 10 }; // heading (deg) / radius (m) per preset path
+        this.sweepSpeed = 4; // cells per second
+        this.sweep = null; // running sweep, see startSweep()
         
         // Elements
         this.loadingEl = document.getElementById('loading');
+        this.loadingTextEl = this.loadingEl ? this.loadingEl.querySelector('p') : null;
         this.mainContentEl = document.getElementById('main-content');
         this.errorEl = document.getElementById('error');
         this.errorMessageEl = document.getElementById('error-message');
         
         this.selectionStatusEl = document.getElementById('selection-status');
+        this.bevToolSelectEl = document.getElementById('bev-tool-select');
+        this.queryAggSelectEl = document.getElementById('query-agg-select');
+        this.overlayNormSelectEl = document.getElementById('overlay-norm-select');
+        this.clearSelectionBtnEl = document.getElementById('clear-selection-btn');
+        this.headGridToggleEl = document.getElementById('head-grid-toggle');
+        this.headGridViewEl = document.getElementById('head-grid-view');
+        this.headGridEl = document.getElementById('head-grid');
         this.headSelectEl = document.getElementById('heads-select');
+        this.layerSelectEl = document.getElementById('layer-select');
+        this.layerControlEl = document.getElementById('layer-control');
         this.bevZoomSelectEl = document.getElementById('bev-zoom-select');
         this.alphaSliderEl = document.getElementById('alpha-slider');
         this.alphaValueEl = document.getElementById('alpha-value');
         this.colorSchemeEl = document.getElementById('colorscheme-select');
+        this.exportSelectEl = document.getElementById('export-select');
+        this.bevMapSelectEl = document.getElementById('bev-map-select');
+        this.bevMapLegendEl = document.getElementById('bev-map-legend');
+        this.bevMapLegendBarEl = document.getElementById('bev-map-legend-bar');
+        this.bevMapLegendMinEl = document.getElementById('bev-map-legend-min');
+        this.bevMapLegendMaxEl = document.getElementById('bev-map-legend-max');
+        this.bevMapSwatchesEl = document.getElementById('bev-map-swatches');
+        this.bevMapSummaryEl = document.getElementById('bev-map-summary');
+        this.bevHoverReadoutEl = document.getElementById('bev-hover-readout');
+        this.patchLookupTopNEl = document.getElementById('patch-lookup-topn');
+        this.pillarControlEl = document.getElementById('pillar-control');
+        this.pillarToggleEl = document.getElementById('pillar-toggle');
+        this.pillarZMinEl = document.getElementById('pillar-zmin');
+        this.pillarZMaxEl = document.getElementById('pillar-zmax');
+        this.sweepPathSelectEl = document.getElementById('sweep-path-select');
+        this.sweepParamControlEl = document.getElementById('sweep-param-control');
+        this.sweepParamLabelEl = document.getElementById('sweep-param-label');
+        this.sweepParamEl = document.getElementById('sweep-param');
+        this.sweepSpeedEl = document.getElementById('sweep-speed');
+        this.sweepPlayBtnEl = document.getElementById('sweep-play-btn');
+        this.sweepRecordBtnEl = document.getElementById('sweep-record-btn');
         this.bevBaseImgEl = document.getElementById('bev-base-img');
         this.userBevBaseOverride = '';
         this.sceneBevBaseImage = '';
@@ -48,6 +127,8 @@ class App {
         // Components
         this.bevView = null;
         this.cameraStrip = null;
+        this.headGrid = null; // built on first use
+        this.headGridVisible = false;
         
         this.setupControls();
     }
@@ -66,12 +147,22 @@ class App {
             this.headSelectEl.addEventListener('change', (e) => {
                 const val = e.target.value;
                 if (val === 'mean') {
-                    this.headSelection = { mode: 'mean', headIdx: null };
+                    this.setHeadSelection({ mode: 'mean', headIdx: null });
                 } else if (val.startsWith('head:')) {
                     const headIdx = parseInt(val.split(':')[1], 10);
-                    this.headSelection = { mode: 'head', headIdx };
+                    this.setHeadSelection({ mode: 'head', headIdx });
                 }
-                this.updateCameraOverlays();
+            });
+        }
+
+        if (this.headGridToggleEl) {
+            this.headGridToggleEl.addEventListener('change', (e) => this.setHeadGridVisible(e.target.checked));
+        }
+
+        if (this.layerSelectEl) {
+            this.layerSelectEl.addEventListener('change', (e) => {
+                const layer = App.parseLayerParam(e.target.value);
+                if (layer !== null) this.setLayer(layer);
             });
         }
 
@@ -91,6 +182,109 @@ class App {
             });
         }
 
+        if (this.pillarToggleEl) {
+            this.pillarToggleEl.addEventListener('change', (e) => {
+                this.pillar.visible = e.target.checked;
+                this.updateCameraOverlays();
+            });
+        }
+
+        const onPillarZChange = () => {
+            const zMin = parseFloat(this.pillarZMinEl.value);
+            const zMax = parseFloat(this.pillarZMaxEl.value);
+            if (!Number.isFinite(zMin) || !Number.isFinite(zMax) || zMin >= zMax) return;
+            this.pillar.zRange = [zMin, zMax];
+            this.updateCameraOverlays();
+            this.updateBevMap();
+        };
+        if (this.pillarZMinEl && this.pillarZMaxEl) {
+            this.pillarZMinEl.addEventListener('change', onPillarZChange);
+            this.pillarZMaxEl.addEventListener('change', onPillarZChange);
+        }
+
+        if (this.bevToolSelectEl) {
+            this.bevToolSelectEl.addEventListener('change', (e) => {
+                this.bevView?.setTool(e.target.value);
+            });
+        }
+
+        if (this.queryAggSelectEl) {
+            this.queryAggSelectEl.addEventListener('change', (e) => {
+                this.queryAggregation = e.target.value;
+                this.updateSelectionStatus();
+                this.updateCameraOverlays();
+            });
+        }
+
+        if (this.overlayNormSelectEl) {
+            this.overlayNormSelectEl.addEventListener('change', (e) => {
+                this.overlayNormalization = e.target.value;
+                this.updateCameraOverlays();
+            });
+        }
+
+        if (this.clearSelectionBtnEl) {
+            this.clearSelectionBtnEl.addEventListener('click', () => {
+                this.stopSweep({ restoreSelection: false });
+                this.setPatchPick(null);
+                this.bevView?.setSelectedCells([]);
+                this.onBevSelectionChanged([]);
+            });
+        }
+
+        if (this.bevMapSelectEl) {
+            this.bevMapSelectEl.addEventListener('change', (e) => {
+                this.bevMapMode = e.target.value;
+                this.updateBevMap();
+            });
+        }
+
+        if (this.patchLookupTopNEl) {
+            this.patchLookupTopNEl.addEventListener('change', (e) => {
+                const val = parseInt(e.target.value, 10);
+                if (!Number.isInteger(val) || val < 1) return;
+                this.patchLookupTopN = val;
+                if (this.patchPick) this.updateBevMap();
+            });
+        }
+
+        if (this.sweepPathSelectEl) {
+            this.sweepPathSelectEl.addEventListener('change', () => this.updateSweepControls());
+        }
+
+        if (this.sweepParamEl) {
+            this.sweepParamEl.addEventListener('change', (e) => {
+                const path = this.sweepPathSelectEl ? this.sweepPathSelectEl.value : 'ray';
+                const val = parseFloat(e.target.value);
+                if (path in this.sweepParams && Number.isFinite(val)) this.sweepParams[path] = val;
+            });
+        }
+
+        if (this.sweepSpeedEl) {
+            // Read on every step, so the speed can change while a sweep runs
+            this.sweepSpeedEl.addEventListener('change', (e) => {
+                const val = parseFloat(e.target.value);
+                if (Number.isFinite(val)) this.sweepSpeed = Math.max(0.5, Math.min(30, val));
+            });
+        }
+
+        if (this.sweepPlayBtnEl) {
+            this.sweepPlayBtnEl.addEventListener('click', () => this.toggleSweep(false));
+        }
+
+        if (this.sweepRecordBtnEl) {
+            this.sweepRecordBtnEl.addEventListener('click', () => this.toggleSweep(true));
+        }
+        this.updateSweepControls();
+
+        if (this.exportSelectEl) {
+            // Acts on the chosen entry, then resets so the same export can be repeated
+            this.exportSelectEl.addEventListener('change', (e) => {
+                const format = e.target.value;
+                e.target.value = '';
+                if (format) this.exportCurrentView(format);
+            });
+        }
     }
 
     /**
@@ -137,7 +331,6 @@ class App {
         this.headSelectEl.innerHTML = '';
         const optMean = document.createElement('option');
         optMean.value = 'mean';
-        optMean.textContent = 'Mean over heads';
         this.headSelectEl.appendChild(optMean);
         
         for (let h = 0; h < nHeads; h++) {
@@ -146,6 +339,148 @@ class App {
             opt.textContent = `Head ${h}`;
             this.headSelectEl.appendChild(opt);
         }
+        this.headSelectEl.value = this.headSelection.mode === 'head'
+            ? `head:${this.headSelection.headIdx}`
+            : 'mean';
+        this.updateHeadLoadStatus();
+    }
+
+    populateLayerOptions() {
+        if (!this.layerSelectEl || !this.attnLayers) return;
+        const names = this.attnLayers.layerNames;
+        if (this.layerControlEl) {
+            this.layerControlEl.classList.toggle('hidden', names.length <= 1);
+        }
+
+        this.layerSelectEl.innerHTML = '';
+        names.forEach((name, idx) => {
+            const opt = document.createElement('option');
+            opt.value = String(idx);
+            opt.textContent = name;
+            this.layerSelectEl.appendChild(opt);
+        });
+        const optMean = document.createElement('option');
+        optMean.value = 'mean';
+        optMean.textContent = 'Mean over layers';
+        this.layerSelectEl.appendChild(optMean);
+        this.layerSelectEl.value = String(this.layerSelection);
+    }
+
+    /**
+     * Switch the visualizer to another layer (or the mean over layers) and mirror it in ?layer=.
+     */
+    setLayer(layer) {
+        if (!this.attnLayers || !this.visualizer) return;
+        const tensor = this.attnLayers.getTensor(layer);
+        this.layerSelection = layer;
+        this.visualizer.setAttentionTensor(tensor);
+        this.unsubscribeHeadReady?.();
+        this.unsubscribeHeadReady = tensor.onHeadReady((headIdx) => this.onAttentionHeadReady(headIdx));
+
+        const url = new URL(window.location.href);
+        url.searchParams.set('layer', String(layer));
+        window.history.replaceState({}, '', url.toString());
+
+        this.updateHeadLoadStatus();
+        this.requestSelectedHeads();
+        this.updateCameraOverlays();
+        this.updateBevMap();
+    }
+
+    /**
+     * Heads are decoded lazily; label the mean option while it is still partial.
+     */
+    updateHeadLoadStatus() {
+        if (!this.headSelectEl || !this.visualizer) return;
+        const optMean = this.headSelectEl.querySelector('option[value="mean"]');
+        if (!optMean) return;
+        const ready = this.visualizer.getReadyHeadCount();
+        const total = this.visualizer.getNumHeads();
+        optMean.textContent = ready < total
+            ? `Mean over heads (${ready}/${total} loaded)`
+            : 'Mean over heads';
+    }
+
+    /**
+     * Start fetching whatever the current head selection needs (all heads for the mean
+     * or the head grid).
+     */
+    requestSelectedHeads() {
+        if (!this.visualizer) return;
+        const meanHeads = this.headSelection.mode === 'mean';
+        const headIdx = meanHeads ? null : this.headSelection.headIdx;
+        const requests = [this.visualizer.ensureHeads({ meanHeads, headIdx })];
+        if (this.headGridVisible && !meanHeads) requests.push(this.visualizer.ensureHeads({ meanHeads: true }));
+        Promise.all(requests).catch((err) => {
+            console.error('Failed to load attention heads:', err);
+            this.showError(`Failed to load attention: ${err.message}`);
+        });
+    }
+
+    onAttentionHeadReady(headIdx) {
+        this.updateHeadLoadStatus();
+        const sel = this.headSelection;
+        if (sel.mode === 'mean' || sel.headIdx === headIdx) {
+            this.updateCameraOverlays();
+            this.updateBevMap();
+        } else {
+            this.updateHeadGrid();
+        }
+    }
+
+    /**
+     * @param {{mode:'mean'|'head', headIdx:?number}} selection
+     */
+    setHeadSelection(selection) {
+        this.headSelection = selection;
+        if (this.headSelectEl) {
+            this.headSelectEl.value = selection.mode === 'head' ? `head:${selection.headIdx}` : 'mean';
+        }
+        this.headGrid?.setActiveHead(selection.mode === 'head' ? selection.headIdx : null);
+        this.requestSelectedHeads();
+        this.updateCameraOverlays();
+        this.updateBevMap();
+    }
+
+    /**
+     * Show or hide the per-head small multiples; showing them fetches every head.
+     */
+    setHeadGridVisible(visible) {
+        this.headGridVisible = visible;
+        if (this.headGridViewEl) this.headGridViewEl.classList.toggle('hidden', !visible);
+        if (!visible || !this.visualizer || !this.headGridEl) return;
+
+        if (!this.headGrid) {
+            const visualizer = this.visualizer;
+            this.headGrid = new HeadGrid(
+                this.headGridEl,
+                this.sceneData.imageDisplayOrder || this.sceneData.imageNames,
+                visualizer.getNumHeads(),
+                {
+                    getPatchInfoForCam: (camName) => visualizer.getCameraInfo(camName),
+                    getImageForCam: (camName) => visualizer.getCameraImage(camName),
+                    onSelectHead: (headIdx) => this.setHeadSelection({ mode: 'head', headIdx })
+                }
+            );
+            this.headGrid.setActiveHead(this.headSelection.mode === 'head' ? this.headSelection.headIdx : null);
+        }
+        this.requestSelectedHeads();
+        this.updateHeadGrid();
+    }
+
+    updateHeadGrid() {
+        if (!this.headGridVisible || !this.headGrid || !this.visualizer) return;
+        const queryIdxs = this.selectedCells.map((c) => c.queryIdx);
+        const aggregation = this.queryAggregation;
+        this.headGrid.update(
+            (camName, headIdx) => this.visualizer.getCameraPatchAttentionForQueries(queryIdxs, camName, {
+                meanHeads: false,
+                headIdx,
+                aggregation
+            }),
+            (headIdx) => this.visualizer.isHeadReady(headIdx),
+            { alpha: this.overlayAlpha, colorScheme: this.colorScheme }
+        );
     }
     
     async loadScene(jsonPath, options = {}) {
@@ -153,8 +488,14 @@ class App {
             this.showLoading();
             this.hideError();
             
+            if (Number.isInteger(options.headIdx)) {
+                this.headSelection = { mode: 'head', headIdx: options.headIdx };
+            }
             const sceneData = await loadSceneData(jsonPath, {
-                attnPrecision: options.attnPrecision || 'auto'
+                attnPrecision: options.attnPrecision || 'auto',
+                layer: options.layer ?? 0,
+                initialHeadIdx: this.headSelection.headIdx,
+                onProgress: (p) => this.showLoading(p.fraction)
             });
             this.sceneData = sceneData;
             this.visualizer = sceneData.visualizer;
@@ -163,7 +504,12 @@ class App {
             
             this.initializeComponents(sceneData);
             this.updateBevBaseImageForCurrentZoom();
+            this.attnLayers = sceneData.attnLayers;
+            this.layerSelection = sceneData.layerSelection;
+            this.populateLayerOptions();
             this.populateHeadOptions();
+            this.unsubscribeHeadReady = sceneData.attnTensor.onHeadReady((headIdx) => this.onAttentionHeadReady(headIdx));
+            this.requestSelectedHeads();
             
             this.hideLoading();
             this.showMainContent();
@@ -189,11 +535,19 @@ class App {
             bevCanvas,
             bevRange,
             sceneData.metadata.grid_size || 32,
-            (sel) => this.onBevCellSelected(sel)
+            (cells) => {
+                // Picking cells by hand ends a running sweep
+                this.stopSweep({ restoreSelection: false });
+                this.onBevSelectionChanged(cells);
+            },
+            (sel) => this.updateBevHoverReadout(sel)
         );
         if (sceneData.lidarPts) {
             this.bevView.setLidarPoints(sceneData.lidarPts);
         }
+        if (this.bevToolSelectEl) {
+            this.bevView.setTool(this.bevToolSelectEl.value);
+        }
         
         // Camera strip
         const stripEl = document.getElementById('camera-strip');
@@ -207,44 +561,662 @@ class App {
                 if (idx === undefined) return null;
                 return sceneData.originalImages[idx] || null;
             },
-            (camName, queryIdx, opts) => this.visualizer.getCameraPatchAttentionForQuery(queryIdx, camName, opts)
+            (camName, queryIdxs, opts) => this.visualizer.getCameraPatchAttentionForQueries(queryIdxs, camName, opts),
+            (camName, type, x, y) => this.onCameraPointer(camName, type, x, y)
         );
         this.cameraStrip.setOverlayAlpha(this.overlayAlpha);
+        if (this.pillarControlEl) {
+            this.pillarControlEl.classList.toggle('hidden', !sceneData.cameraPoses);
+        }
+        if (this.bevMapSelectEl) {
+            const alignmentOpt = this.bevMapSelectEl.querySelector('option[value="alignment"]');
+            if (alignmentOpt) alignmentOpt.disabled = !sceneData.cameraPoses;
+            const clsOpt = this.bevMapSelectEl.querySelector('option[value="cls_share"]');
+            if (clsOpt) clsOpt.disabled = !this.visualizer.hasClsTokens;
+        }
+        if (this.bevMapLegendBarEl) {
+            this.bevMapLegendBarEl.style.background = scalarMapLegendCss();
+        }
+        this.pillarMasks = null;
+        this.patchPick = null;
+        this.updateBevMap();
     }
     
-    onBevCellSelected(sel) {
-        // sel: { queryIdx, xIdx, yIdx }
-        this.selectedQuery = sel;
-        if (this.selectionStatusEl) {
+    /**
+     * @param {Array<{queryIdx:number, xIdx:number, yIdx:number}>} cells Whole selection, possibly empty
+     */
+    onBevSelectionChanged(cells) {
+        this.selectedCells = cells;
+        this.updateSelectionStatus();
+        this.updateCameraOverlays();
+    }
+    
+    updateSelectionStatus() {
+        if (!this.selectionStatusEl) return;
+        const cells = this.selectedCells;
+        if (cells.length === 0) {
+            this.selectionStatusEl.textContent = 'No BEV cell selected';
+        } else if (cells.length === 1) {
+            const sel = cells[0];
             this.selectionStatusEl.textContent = `Selected: query ${sel.queryIdx} (x=${sel.xIdx}, y=${sel.yIdx})`;
+        } else {
+            this.selectionStatusEl.textContent = `Selected: ${cells.length} cells (${this.queryAggregation} of their attention)`;
         }
-        this.updateCameraOverlays();
     }
     
     updateCameraOverlays() {
-        if (!this.selectedQuery || !this.visualizer || !this.cameraStrip) return;
+        if (!this.visualizer || !this.cameraStrip) return;
+        // An empty selection still re-renders, which clears the previous overlays.
         
-        const { queryIdx } = this.selectedQuery;
+        const queryIdxs = this.selectedCells.map((c) => c.queryIdx);
         const meanHeads = this.headSelection.mode === 'mean';
         const headIdx = this.headSelection.mode === 'head' ? this.headSelection.headIdx : null;
+        const aggregation = this.queryAggregation;
         
         // Always compute global max across cameras for consistent normalization
-        const globalMax = this.visualizer.getGlobalMaxPatchAttentionForQuery(queryIdx, {
+        let globalMax = this.visualizer.getGlobalMaxPatchAttentionForQueries(queryIdxs, {
             meanHeads,
-            headIdx
+            headIdx,
+            aggregation
+        });
+        const special = this.visualizer.getSpecialTokenAttentionForQueries(queryIdxs, {
+            meanHeads,
+            headIdx,
+            aggregation
         });
+        // Over all keys, a CLS token soaking up the mass dims every patch.
+        if (special && this.overlayNormalization === 'all') globalMax = Math.max(globalMax, special.maxToken);
         
         this.cameraStrip.setOverlayAlpha(this.overlayAlpha);
-        this.cameraStrip.updateOverlaysForQuery(queryIdx, {
+        this.cameraStrip.updateOverlaysForQueries(queryIdxs, {
             meanHeads,
             headIdx,
+            aggregation,
             globalMax,
-            colorScheme: this.colorScheme
+            colorScheme: this.colorScheme,
+            outlines: this.computePillarOutlines(),
+            highlights: this.computePatchPickHighlight(),
+            badges: this.computeClsBadges(special)
         });
+        this.updateHeadGrid();
     }
     
-    showLoading() {
+    /**
+     * Per-camera badges with the share of attention on that camera's CLS token(s).
+     *
+     * @param {?Object} special Result of getSpecialTokenAttentionForQueries
+     * @returns {?Object<string, {text:string, fraction:number, title:string}>}
+     */
+    computeClsBadges(special) {
+        if (!special || !(special.total > 0)) return null;
+        const otherPct = (100 * special.unassigned / special.total).toFixed(1);
+        const clsCameras = new Set(
+            this.visualizer.tokenSegments.filter((seg) => seg.type === 'cls').map((seg) => seg.camera)
+        );
+        const badges = {};
+        for (const [camName, weight] of Object.entries(special.byCamera)) {
+            if (!clsCameras.has(camName)) continue;
+            const fraction = weight / special.total;
+            badges[camName] = {
+                text: `CLS ${(100 * fraction).toFixed(1)}%`,
+                fraction,
+                title: `Share of the selection's attention on ${camName}'s CLS token`
+                    + (special.unassigned > 0 ? ` (tokens without a camera: ${otherPct}%)` : '')
+            };
+        }
+        return badges;
+    }
+
+    /**
+     * Hovering a camera patch shows its top queries in the BEV until the pointer moves on;
+     * clicking pins the patch (and outlines it) until it is clicked again.
+     *
+     * @param {string} camName
+     * @param {'move'|'leave'|'click'} type
+     * @param {number} [x] Original-image pixels
+     * @param {number} [y]
+     */
+    onCameraPointer(camName, type, x, y) {
+        if (!this.visualizer) return;
+        if (type === 'leave') {
+            if (this.patchPick && !this.patchPick.pinned) this.setPatchPick(null);
+            return;
+        }
+        const info = this.visualizer.getCameraInfo(camName);
+        if (!info) return;
+        const patchIdx = info.patchAtPixel(x, y, this.visualizer.patchSize);
+        if (type === 'move') {
+            if (this.patchPick?.pinned) return;
+            this.setPatchPick(patchIdx >= 0 ? { camName, patchIdx, pinned: false } : null);
+            return;
+        }
+        const pick = this.patchPick;
+        const isPinned = pick?.pinned && pick.camName === camName && pick.patchIdx === patchIdx;
+        this.setPatchPick(patchIdx >= 0 && !isPinned ? { camName, patchIdx, pinned: true } : null);
+    }
+    
+    /**
+     * @param {?{camName:string, patchIdx:number, pinned:boolean}} pick
+     */
+    setPatchPick(pick) {
+        const prev = this.patchPick;
+        if (prev?.camName === pick?.camName && prev?.patchIdx === pick?.patchIdx && prev?.pinned === pick?.pinned) return;
+        this.patchPick = pick;
+        this.updateBevMap();
+        // Only a pinned patch is outlined in its camera.
+        if (prev?.pinned || pick?.pinned) this.updateCameraOverlays();
+    }
+    
+    /**
+     * @returns {?Object<string, Array<Array<[number, number]>>>} Outline of the pinned patch
+     */
+    computePatchPickHighlight() {
+        const pick = this.patchPick;
+        if (!pick?.pinned) return null;
+        const info = this.visualizer.getCameraInfo(pick.camName);
+        const w = this.visualizer.patchSize * info.wScale;
+        const h = this.visualizer.patchSize * info.hScale;
+        const x0 = (pick.patchIdx % info.patchW) * w;
+        const y0 = Math.floor(pick.patchIdx / info.patchW) * h;
+        return { [pick.camName]: [[[x0, y0], [x0 + w, y0], [x0 + w, y0 + h], [x0, y0 + h]]] };
+    }
+    
+    /**
+     * Recompute the BEV-wide map for the current mode, head selection and pillar z range.
+     * A picked camera patch takes precedence over the mode.
+     */
+    updateBevMap() {
+        if (!this.bevView || !this.visualizer) return;
+        const bevMap = this.patchPick ? this.computePatchLookupMap() : this.computeBevMap();
+        const ready = bevMap && !bevMap.pending;
+        this.bevMap = ready ? bevMap : null;
+        this.bevView.setCellMap(this.bevMap);
+        this.updateBevMapLegend(bevMap);
+    }
+    
+    /**
+     * Per-cell values for the current BEV map mode.
+     *
+     * @returns {?Object} null for 'none'; { pending: true } while heads are loading; else
+     *   { values, label, min, max, digits } for scalars or { values, label, colors, categories }.
+     *   Optional: `missing` (readout for NaN cells) and `summary` (legend text).
+     */
+    computeBevMap() {
+        const mode = this.bevMapMode;
+        if (mode === 'none') return null;
+        const meanHeads = this.headSelection.mode === 'mean';
+        const headIdx = meanHeads ? null : this.headSelection.headIdx;
+        
+        if (mode === 'alignment') {
+            const poses = this.sceneData?.cameraPoses;
+            if (!poses) return null;
+            const key = this.pillar.zRange.join(',');
+            if (!this.pillarMasks || this.pillarMasks.key !== key) {
+                this.pillarMasks = { key, masks: this.visualizer.buildPillarPatchMasks(poses, this.pillar.zRange) };
+            }
+            const values = this.visualizer.computeAlignmentScores(this.pillarMasks.masks, { meanHeads, headIdx });
+            if (!values) return { pending: true };
+            return { values, label: 'alignment', min: 0, max: 1, digits: 3, missing: 'not visible in any camera' };
+        }
+        
+        const stats = this.visualizer.computeQueryStatistics({ meanHeads, headIdx });
+        if (!stats) return { pending: true };
+        if (mode === 'dominant_camera') {
+            return {
+                values: stats.dominantCamera,
+                label: 'dominant camera',
+                colors: stats.cameraNames.map((_, idx) => getCameraColor(idx)),
+                categories: stats.cameraNames
+            };
+        }
+        if (mode === 'cls_share') {
+            if (!stats.clsShare) return null;
+            return { values: stats.clsShare, label: 'CLS share', min: 0, max: 1, digits: 3 };
+        }
+        
+        // Unbounded statistics: color over the range of this frame.
+        const values = mode === 'entropy' ? stats.entropy : stats.effectivePatches;
+        let min = Infinity;
+        let max = -Infinity;
+        for (const v of values) {
+            if (!Number.isFinite(v)) continue;
+            min = Math.min(min, v);
+            max = Math.max(max, v);
+        }
+        if (!Number.isFinite(min)) return null;
+        return mode === 'entropy'
+            ? { values, label: 'entropy (nats)', min, max, digits: 2 }
+            : { values, label: 'effective patches', min, max, digits: 1 };
+    }
+    
+    /**
+     * Sparse map of the picked patch's reverse lookup: the weights of the top
+     * `patchLookupTopN` queries on it, every other cell empty.
+     */
+    computePatchLookupMap() {
+        const { camName, patchIdx, pinned } = this.patchPick;
+        const meanHeads = this.headSelection.mode === 'mean';
+        const headIdx = meanHeads ? null : this.headSelection.headIdx;
+        const lookup = this.visualizer.getTopQueriesForPatch(camName, patchIdx, this.patchLookupTopN, { meanHeads, headIdx });
+        if (!lookup) return { pending: true };
+        
+        const info = this.visualizer.getCameraInfo(camName);
+        const patchName = `${camName} patch (${patchIdx % info.patchW}, ${Math.floor(patchIdx / info.patchW)})`;
+        const max = lookup.top.length > 0 ? lookup.top[0].weight : 0;
+        return {
+            values: lookup.values,
+            label: `weight on ${patchName}`,
+            min: 0,
+            max: max > 0 ? max : 1,
+            digits: 4,
+            missing: `not among the top ${lookup.top.length} queries`,
+            summary: `${patchName}: top ${lookup.top.length} queries${pinned ? ' (pinned, click the patch again to release)' : ''}`
+        };
+    }
+    
+    updateBevMapLegend(bevMap) {
+        if (!this.bevMapLegendEl) return;
+        this.bevMapLegendEl.classList.toggle('hidden', !bevMap);
+        if (!bevMap) return;
+        
+        const categorical = Boolean(bevMap.colors);
+        this.bevMapLegendBarEl.classList.toggle('hidden', categorical || bevMap.pending);
+        this.bevMapLegendMinEl.classList.toggle('hidden', categorical || bevMap.pending);
+        this.bevMapLegendMaxEl.classList.toggle('hidden', categorical || bevMap.pending);
+        this.bevMapSwatchesEl.innerHTML = '';
+        
+        if (bevMap.pending) {
+            this.bevMapSummaryEl.textContent = 'Waiting for attention heads...';
+            return;
+        }
+        if (categorical) {
+            bevMap.categories.forEach((name, idx) => {
+                const item = document.createElement('span');
+                item.className = 'bev-map-swatch';
+                const chip = document.createElement('i');
+                chip.style.background = bevMap.colors[idx];
+                item.appendChild(chip);
+                item.appendChild(document.createTextNode(name));
+                this.bevMapSwatchesEl.appendChild(item);
+            });
+            this.bevMapSummaryEl.textContent = '';
+            return;
+        }
+        
+        this.bevMapLegendMinEl.textContent = bevMap.min.toFixed(bevMap.digits);
+        this.bevMapLegendMaxEl.textContent = bevMap.max.toFixed(bevMap.digits);
+        if (bevMap.summary) {
+            this.bevMapSummaryEl.textContent = bevMap.summary;
+            return;
+        }
+        let sum = 0;
+        let n = 0;
+        for (const v of bevMap.values) {
+            if (!Number.isFinite(v)) continue;
+            sum += v;
+            n += 1;
+        }
+        this.bevMapSummaryEl.textContent = n > 0
+            ? `${bevMap.label}: mean ${(sum / n).toFixed(bevMap.digits)} over ${n} cells`
+            : `${bevMap.label}: no cell is visible in any camera`;
+    }
+    
+    /**
+     * @param {?{queryIdx:number, xIdx:number, yIdx:number}} sel Hovered cell, null when none
+     */
+    updateBevHoverReadout(sel) {
+        if (!this.bevHoverReadoutEl) return;
+        if (!sel) {
+            this.bevHoverReadoutEl.textContent = '';
+            return;
+        }
+        let text = `Cell x=${sel.xIdx}, y=${sel.yIdx} (query ${sel.queryIdx})`;
+        const bevMap = this.bevMap;
+        if (bevMap) {
+            const v = bevMap.values[sel.queryIdx];
+            if (!Number.isFinite(v)) {
+                text += `: ${bevMap.missing || `no ${bevMap.label}`}`;
+            } else if (bevMap.categories) {
+                text += `: ${bevMap.label} ${bevMap.categories[v]}`;
+            } else {
+                text += `: ${bevMap.label} ${v.toFixed(bevMap.digits)}`;
+            }
+        }
+        this.bevHoverReadoutEl.textContent = text;
+    }
+    
+    /**
+     * Outlines of the selected cells' pillars (footprint over `pillar.zRange`) in each camera,
+     * in the camera canvas' pixels. Cameras that cannot see a pillar skip it; large brush
+     * selections only outline their first MAX_PILLAR_OUTLINES cells.
+     *
+     * @returns {?Object<string, Array<Array<[number, number]>>>}
+     */
+    computePillarOutlines() {
+        const poses = this.sceneData?.cameraPoses;
+        if (!this.pillar.visible || !poses || this.selectedCells.length === 0) return null;
+        
+        const metadata = this.sceneData.metadata;
+        const pillars = this.selectedCells.slice(0, MAX_PILLAR_OUTLINES).map(({ xIdx, yIdx }) => (
+            bevCellPillarCorners(
+                xIdx,
+                yIdx,
+                metadata.grid_size || 32,
+                metadata.bev_range || [-40, 40, -40, 40],
+                this.pillar.zRange
+            )
+        ));
+        
+        const outlines = {};
+        for (const { camName, canvas } of this.cameraStrip.getCameraCanvases()) {
+            const pose = poses[camName];
+            if (!pose) continue;
+            outlines[camName] = pillars
+                .map((corners) => projectPillarToImage(corners, pose, canvas.width, canvas.height))
+                .filter(Boolean);
+        }
+        return outlines;
+    }
+    
+    /**
+     * Download the camera overlays ('png'), the selected queries' attention rows ('npy'),
+     * the settings sidecar ('json'), or all three ('all'). Files share a stem.
+     *
+     * The NPY holds float32 [N, K]: the raw (un-normalized, un-aggregated) attention of each
+     * selected BEV query over every token in key order, CLS tokens included; the sidecar
+     * lists the cells in row order and maps each camera's slice.
+     */
+    async exportCurrentView(format) {
+        if (!this.sceneData || !this.visualizer || !this.cameraStrip) return;
+        if (this.selectedCells.length === 0) {
+            if (this.selectionStatusEl) {
+                this.selectionStatusEl.textContent = 'Select a BEV cell before exporting';
+            }
+            return;
+        }
+        const cells = this.selectedCells;
+        const meanHeads = this.headSelection.mode === 'mean';
+        const headIdx = this.headSelection.mode === 'head' ? this.headSelection.headIdx : null;
+        const selectionTag = cells.length === 1 ? `q${cells[0].queryIdx}` : `${cells.length}cells`;
+        const stem = `${exportFileStem(this.sceneData.sceneUrl)}_forward_${selectionTag}`;
+        const valuesFile = `${stem}_attention.npy`;
+
+        try {
+            // A lazily loaded mean covers only the heads that have arrived; wait for the rest.
+            await this.visualizer.ensureHeads({ meanHeads, headIdx });
+            const readyHeads = meanHeads ? this.visualizer.getReadyHeadCount() : null;
+            if (meanHeads ? readyHeads < this.visualizer.getNumHeads() : !this.visualizer.isHeadReady(headIdx)) {
+                throw new Error(meanHeads
+                    ? `only ${readyHeads}/${this.visualizer.getNumHeads()} heads are loaded`
+                    : `head ${headIdx} is not loaded`);
+            }
+            if (format === 'png' || format === 'all') {
+                const canvases = this.cameraStrip.getCameraCanvases().map((c) => c.canvas);
+                await downloadCanvasPng(composeCanvasesHorizontally(canvases), `${stem}_cameras.png`);
+            }
+            if (format === 'npy' || format === 'all') {
+                const K = this.visualizer.kSize;
+                const rows = new Float32Array(cells.length * K);
+                cells.forEach((cell, i) => {
+                    rows.set(this.visualizer.getQueryAttentionRow(cell.queryIdx, { meanHeads, headIdx }), i * K);
+                });
+                downloadNpy(rows, [cells.length, K], valuesFile);
+            }
+            if (format === 'json' || format === 'all') {
+                downloadJson(this.buildExportSidecar(valuesFile), `${stem}_attention.json`);
+            }
+        } catch (err) {
+            console.error('Export failed:', err);
+            this.showError(`Export failed: ${err.message}`);
+        }
+    }
+
+    /**
+     * Everything needed to reproduce an exported figure from the raw values.
+     */
+    buildExportSidecar(valuesFile) {
+        const cameras = this.cameraStrip.getCameraCanvases().map(({ camName }) => {
+            const info = this.visualizer.getCameraInfo(camName);
+            return {
+                camera: camName,
+                start_idx: info.startIdx,
+                n_patches: info.nPatches,
+                patch_h: info.patchH,
+                patch_w: info.patchW
+            };
+        });
+
+        return {
+            app: 'forward_attention',
+            exported_at: new Date().toISOString(),
+            page_url: window.location.href,
+            scene_url: this.sceneData.sceneUrl,
+            selected_cells: this.selectedCells.map((cell) => ({
+                query_idx: cell.queryIdx,
+                x: cell.xIdx,
+                y: cell.yIdx
+            })),
+            query_aggregation: this.queryAggregation,
+            layer: this.layerSelection,
+            heads: this.headSelection.mode === 'mean'
+                ? {
+                    mode: 'mean',
+                    ready_heads: this.visualizer.getReadyHeadCount(),
+                    total_heads: this.visualizer.getNumHeads()
+                }
+                : { mode: 'head', index: this.headSelection.headIdx },
+            attention: {
+                shape: this.attnLayers?.shape || null,
+                requested_precision: this.attnLayers?.requestedPrecision || null,
+                selected_precision: this.attnLayers?.selectedPrecision || null,
+                fallback_used: Boolean(this.attnLayers?.fallbackUsed)
+            },
+            overlay: {
+                alpha: this.overlayAlpha,
+                color_scheme: this.colorScheme,
+                normalization: this.overlayNormalization === 'all'
+                    ? 'global_max_over_all_tokens'
+                    : 'global_max_over_cameras'
+            },
+            grid_size: this.visualizer.gridSize,
+            has_cls_tokens: this.visualizer.hasClsTokens,
+            token_layout: this.visualizer.tokenSegments,
+            cameras,
+            values: {
+                file: valuesFile,
+                dtype: 'float32',
+                shape: [this.selectedCells.length, this.visualizer.kSize],
+                layout: 'one row per selected cell (selected_cells order) over key tokens; a camera\'s patches are [start_idx, start_idx + n_patches), row-major patch_h x patch_w'
+            }
+        };
+    }
+
+    updateSweepControls() {
+        const path = this.sweepPathSelectEl ? this.sweepPathSelectEl.value : 'ray';
+        if (this.sweepParamControlEl) {
+            this.sweepParamControlEl.classList.toggle('hidden', !(path in this.sweepParams));
+        }
+        if (this.sweepParamLabelEl) {
+            this.sweepParamLabelEl.textContent = path === 'ring' ? 'Radius (m):' : 'Heading (°):';
+        }
+        if (this.sweepParamEl && path in this.sweepParams) {
+            this.sweepParamEl.value = String(this.sweepParams[path]);
+        }
+
+        const sweep = this.sweep;
+        if (this.sweepPlayBtnEl) {
+            this.sweepPlayBtnEl.textContent = sweep && !sweep.recording ? 'Stop' : 'Play';
+            this.sweepPlayBtnEl.disabled = Boolean(sweep && sweep.recording);
+        }
+        if (this.sweepRecordBtnEl) {
+            this.sweepRecordBtnEl.textContent = sweep && sweep.recording ? 'Stop recording' : 'Record WebM';
+            this.sweepRecordBtnEl.disabled = Boolean(sweep && !sweep.recording);
+        }
+    }
+
+    /**
+     * Cells visited by the sweep, in order, for the chosen path.
+     *
+     * @returns {Array<{queryIdx:number, xIdx:number, yIdx:number}>}
+     */
+    buildSweepCells() {
+        const path = this.sweepPathSelectEl ? this.sweepPathSelectEl.value : 'ray';
+        if (path === 'selection') return this.selectedCells.slice();
+        const metadata = this.sceneData.metadata;
+        const gridSize = metadata.grid_size || 32;
+        const bevRange = metadata.bev_range || [-40, 40, -40, 40];
+        return path === 'ring'
+            ? ringCells(this.sweepParams.ring, gridSize, bevRange)
+            : rayCells(this.sweepParams.ray, gridSize, bevRange);
+    }
+
+    toggleSweep(record) {
+        if (this.sweep) {
+            this.stopSweep();
+        } else {
+            this.startSweep(record);
+        }
+    }
+
+    /**
+     * Select the path's cells one at a time at `sweepSpeed`, re-rendering the overlays for
+     * each. With `record`, every step is also drawn into a cameras + BEV frame and the clip
+     * is downloaded as WebM when the sweep ends or is stopped.
+     */
+    startSweep(record) {
+        if (!this.sceneData || !this.bevView || !this.cameraStrip || this.sweep) return;
+        const cells = this.buildSweepCells();
+        if (cells.length === 0) {
+            if (this.selectionStatusEl) {
+                this.selectionStatusEl.textContent = this.sweepPathSelectEl?.value === 'selection'
+                    ? 'Select BEV cells (e.g. with the polyline tool) before sweeping them'
+                    : 'The sweep path does not cross the BEV grid';
+            }
+            return;
+        }
+
+        const sweep = {
+            cells,
+            step: 0,
+            timer: null,
+            restoreCells: this.selectedCells.slice(),
+            recording: null, // from startCanvasWebmRecording()
+            frame: null, // from createSweepFrame()
+            fileName: ''
+        };
+        if (record) {
+            const path = this.sweepPathSelectEl ? this.sweepPathSelectEl.value : 'ray';
+            const pathTag = path in this.sweepParams ? `${path}${this.sweepParams[path]}` : path;
+            sweep.fileName = `${exportFileStem(this.sceneData.sceneUrl)}_forward_sweep_${pathTag}.webm`;
+            try {
+                sweep.frame = this.createSweepFrame();
+                sweep.recording = startCanvasWebmRecording(sweep.frame.canvas, { fps: this.sweepSpeed });
+            } catch (err) {
+                console.error('Recording failed:', err);
+                this.showError(`Recording failed: ${err.message}`);
+                return;
+            }
+        }
+        this.sweep = sweep;
+        this.updateSweepControls();
+        this.advanceSweep();
+    }
+
+    advanceSweep() {
+        const sweep = this.sweep;
+        if (!sweep) return;
+        if (sweep.step >= sweep.cells.length) {
+            this.stopSweep();
+            return;
+        }
+        const cell = sweep.cells[sweep.step];
+        this.bevView.setSelectedCells([cell]);
+        this.onBevSelectionChanged([cell]);
+        if (this.selectionStatusEl) {
+            this.selectionStatusEl.textContent += ` (sweep ${sweep.step + 1}/${sweep.cells.length})`;
+        }
+        if (sweep.recording) {
+            this.drawSweepFrame(sweep.frame);
+            sweep.recording.captureFrame();
+        }
+        sweep.step += 1;
+        sweep.timer = setTimeout(() => this.advanceSweep(), 1000 / this.sweepSpeed);
+    }
+
+    /**
+     * End the running sweep, if any, and download its recording.
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.restoreSelection=true] Reselect the cells selected before the sweep
+     */
+    async stopSweep({ restoreSelection = true } = {}) {
+        const sweep = this.sweep;
+        if (!sweep) return;
+        this.sweep = null;
+        clearTimeout(sweep.timer);
+        this.updateSweepControls();
+        if (restoreSelection) {
+            this.bevView.setSelectedCells(sweep.restoreCells);
+            this.onBevSelectionChanged(sweep.restoreCells);
+        }
+        if (!sweep.recording) return;
+        try {
+            downloadBlob(await sweep.recording.stop(), sweep.fileName);
+        } catch (err) {
+            console.error('Recording failed:', err);
+            this.showError(`Recording failed: ${err.message}`);
+        }
+    }
+
+    /**
+     * Canvas for recorded sweep frames: every camera canvas, then the BEV canvas, side by
+     * side at one height. The layout is fixed for the whole clip.
+     *
+     * @returns {{ canvas: HTMLCanvasElement, height: number, slots: Array<{source: HTMLCanvasElement, x: number, width: number}> }}
+     */
+    createSweepFrame() {
+        const sources = this.cameraStrip.getCameraCanvases()
+            .map((c) => c.canvas)
+            .concat(this.bevView.canvas)
+            .filter((c) => c.width > 0 && c.height > 0);
+        const naturalWidth = sources.reduce((w, c) => w + (c.width / c.height) * SWEEP_VIDEO_HEIGHT, 0);
+        const scale = Math.min(1, SWEEP_VIDEO_MAX_WIDTH / Math.max(1, naturalWidth));
+        // Video encoders want even dimensions.
+        const even = (v) => Math.max(2, 2 * Math.round(v / 2));
+        const height = even(SWEEP_VIDEO_HEIGHT * scale);
+
+        let x = 0;
+        const slots = sources.map((source) => {
+            const width = Math.round((source.width / source.height) * height);
+            const slot = { source, x, width };
+            x += width;
+            return slot;
+        });
+        const canvas = document.createElement('canvas');
+        canvas.width = even(x);
+        canvas.height = height;
+        return { canvas, height, slots };
+    }
+
+    drawSweepFrame(frame) {
+        const ctx = frame.canvas.getContext('2d');
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, frame.canvas.width, frame.canvas.height);
+        for (const { source, x, width } of frame.slots) {
+            ctx.drawImage(source, x, 0, width, frame.height);
+        }
+    }
+
+    /**
+     * @param {?number} progress Attention load progress in [0, 1]; null shows the generic message.
+     */
+    showLoading(progress = null) {
         if (this.loadingEl) this.loadingEl.classList.remove('hidden');
+        if (this.loadingTextEl) {
+            this.loadingTextEl.textContent = Number.isFinite(progress)
+                ? `Loading attention... ${Math.round(progress * 100)}%`
+                : 'Loading scene data...';
+        }
     }
     hideLoading() {
         if (this.loadingEl) this.loadingEl.classList.add('hidden');
@@ -267,6 +1239,10 @@ document.addEventListener('DOMContentLoaded', () => {
     const app = new App();
     const urlParams = new URLSearchParams(window.location.search);
     const attnPrecision = App.normalizeAttnPrecision(urlParams.get('attn_precision') || 'auto');
+    // ?head=N opens on a single head, so only that head is fetched up front.
+    const headParam = parseInt(urlParams.get('head') || '', 10);
+    const headIdx = Number.isInteger(headParam) && headParam >= 0 ? headParam : null;
+    const layer = App.parseLayerParam(urlParams.get('layer')) ?? 0;
 
     const dockContainer = document.getElementById('context-dock');
     const initDock = async () => {
@@ -307,7 +1283,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const bevBase = urlParams.get('bev_base') || '';
         if (bevBase) app.setUserBevBaseOverride(new URL(bevBase, window.location.href).toString());
-        app.loadScene(scenePath, { attnPrecision });
+        app.loadScene(scenePath, { attnPrecision, headIdx, layer });
         window.app = app;
     })();
 });
@@ -1,9 +1,11 @@
 /**
  * BEV View Component
- * Displays BEV grid + LiDAR background and supports click selection of a cell.
+ * Displays BEV grid + LiDAR background and supports selecting cells (click, shift-click to
+ * add/remove, rectangle brush, polyline), optionally under a per-cell map (scores,
+ * statistics, categories) with hover readout.
  */
 
-import { BEVFrameRenderer } from '../../../shared/BEVFrameRenderer.js';
+import { BEVFrameRenderer } from '../../../shared/BEVFrameRenderer.js?v=2026-10-18-forward-multiselect-v1';
 import { metersToCenteredWindow, pixelToSelection } from '../../../shared/BEVViewWindow.js';
 
 export class BEVView {
@@ -12,14 +14,16 @@ export class BEVView {
      * @param {HTMLCanvasElement} canvas
      * @param {Array<number>} bevRange
      * @param {number} gridSize
-     * @param {(sel: {queryIdx:number, xIdx:number, yIdx:number}) => void} onSelect
+     * @param {(cells: Array<{queryIdx:number, xIdx:number, yIdx:number}>) => void} onSelect Called with the whole selection
+     * @param {(sel: ?{queryIdx:number, xIdx:number, yIdx:number}) => void} [onHover] null when the pointer leaves
      */
-    constructor(container, canvas, bevRange = [-40, 40, -40, 40], gridSize = 32, onSelect = null) {
+    constructor(container, canvas, bevRange = [-40, 40, -40, 40], gridSize = 32, onSelect = null, onHover = null) {
         this.container = container;
         this.canvas = canvas;
         this.bevRange = bevRange;
         this.gridSize = gridSize;
         this.onSelect = onSelect;
+        this.onHover = onHover;
         
         // Default zoom for forward: medium (40x40 meters) centered window.
         this.viewWindow = metersToCenteredWindow(this.gridSize, 40, this.bevRange);
@@ -33,7 +37,11 @@ export class BEVView {
         this.baseImageLoadToken = 0;
         this.lidarPts = null;
         
-        this.selected = null; // { xIdx, yIdx, queryIdx }
+        this.selectedCells = []; // Array<{ xIdx, yIdx, queryIdx }>, in selection order
+        this.tool = 'cell'; // 'cell' | 'rect' | 'polyline'
+        this._drag = null; // rect tool: { start, end, additive } in continuous grid coords
+        this._polyline = null; // polyline tool: { points, additive } in continuous grid coords
+        this.cellMap = null; // { values, min, max } | { values, colors } | null
         
         this.resizeCanvas();
         window.addEventListener('resize', () => this.resizeCanvas());
@@ -46,29 +54,212 @@ export class BEVView {
         this.setupEventListeners();
     }
     
+    _eventToCanvasPx(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        // Canvas may be scaled by CSS; map client px to canvas px.
+        return {
+            x: (e.clientX - rect.left) * (this.canvas.width / (rect.width || 1)),
+            y: (e.clientY - rect.top) * (this.canvas.height / (rect.height || 1))
+        };
+    }
+    
+    _eventToSelection(e) {
+        const { x, y } = this._eventToCanvasPx(e);
+        return pixelToSelection(
+            x,
+            y,
+            this.canvas.width,
+            this.canvas.height,
+            this.gridSize,
+            this.viewWindow
+        );
+    }
+    
+    /**
+     * Canvas px -> continuous grid coords (floor gives xIdx/yIdx; both axes are flipped on screen).
+     */
+    _eventToGrid(e) {
+        const { x, y } = this._eventToCanvasPx(e);
+        const win = this.viewWindow;
+        const winW = win.x1 - win.x0;
+        const winH = win.y1 - win.y0;
+        return {
+            gx: win.x0 + winW - x / (this.canvas.width / winW),
+            gy: win.y0 + winH - y / (this.canvas.height / winH)
+        };
+    }
+    
+    _gridToCanvasPx({ gx, gy }) {
+        const win = this.viewWindow;
+        const winW = win.x1 - win.x0;
+        const winH = win.y1 - win.y0;
+        return [
+            (win.x0 + winW - gx) * (this.canvas.width / winW),
+            (win.y0 + winH - gy) * (this.canvas.height / winH)
+        ];
+    }
+    
+    _cell(xIdx, yIdx) {
+        return { xIdx, yIdx, queryIdx: yIdx * this.gridSize + xIdx };
+    }
+    
+    _cellsInRect(a, b) {
+        const clampIdx = (v) => Math.max(0, Math.min(this.gridSize - 1, Math.floor(v)));
+        const x0 = clampIdx(Math.min(a.gx, b.gx));
+        const x1 = clampIdx(Math.max(a.gx, b.gx));
+        const y0 = clampIdx(Math.min(a.gy, b.gy));
+        const y1 = clampIdx(Math.max(a.gy, b.gy));
+        const cells = [];
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) cells.push(this._cell(x, y));
+        }
+        return cells;
+    }
+    
+    /**
+     * Cells crossed by a polyline, in order along it (sampled every 1/4 cell).
+     */
+    _cellsAlongPolyline(points) {
+        const seen = new Set();
+        const cells = [];
+        const visit = (gx, gy) => {
+            const x = Math.floor(gx);
+            const y = Math.floor(gy);
+            if (x < 0 || y < 0 || x >= this.gridSize || y >= this.gridSize) return;
+            const cell = this._cell(x, y);
+            if (seen.has(cell.queryIdx)) return;
+            seen.add(cell.queryIdx);
+            cells.push(cell);
+        };
+        if (points.length === 1) visit(points[0].gx, points[0].gy);
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const steps = Math.max(1, Math.ceil(Math.hypot(b.gx - a.gx, b.gy - a.gy) * 4));
+            for (let s = 0; s <= steps; s++) {
+                const t = s / steps;
+                visit(a.gx + (b.gx - a.gx) * t, a.gy + (b.gy - a.gy) * t);
+            }
+        }
+        return cells;
+    }
+    
+    /**
+     * Replace the selection, or add to it (keeping existing cells first).
+     */
+    _applySelection(cells, additive) {
+        if (additive) {
+            const have = new Set(this.selectedCells.map((c) => c.queryIdx));
+            this.selectedCells = this.selectedCells.concat(cells.filter((c) => !have.has(c.queryIdx)));
+        } else {
+            this.selectedCells = cells;
+        }
+        this.render();
+        if (this.onSelect) this.onSelect(this.selectedCells.slice());
+    }
+    
+    _finishPolyline() {
+        const draft = this._polyline;
+        this._polyline = null;
+        if (!draft || draft.points.length === 0) {
+            this.render();
+            return;
+        }
+        this._applySelection(this._cellsAlongPolyline(draft.points), draft.additive);
+    }
+    
     setupEventListeners() {
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (this.tool !== 'rect' || e.button !== 0) return;
+            const start = this._eventToGrid(e);
+            this._drag = { start, end: start, additive: e.shiftKey };
+        });
+        
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (this.onHover) this.onHover(this._eventToSelection(e));
+            if (this._drag) {
+                this._drag.end = this._eventToGrid(e);
+                this.render();
+            }
+        });
+        this.canvas.addEventListener('mouseleave', () => {
+            if (this.onHover) this.onHover(null);
+        });
+        
+        // Finish a brush even when the pointer is released outside the canvas.
+        window.addEventListener('mouseup', (e) => {
+            const drag = this._drag;
+            if (!drag) return;
+            this._drag = null;
+            if (e.target === this.canvas) drag.end = this._eventToGrid(e);
+            this._applySelection(this._cellsInRect(drag.start, drag.end), drag.additive);
+        });
+        
         this.canvas.addEventListener('click', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
+            if (this.tool === 'polyline') {
+                // The second click of a double-click ends the line instead of adding a vertex.
+                if (e.detail > 1) return;
+                if (!this._polyline) this._polyline = { points: [], additive: e.shiftKey };
+                this._polyline.points.push(this._eventToGrid(e));
+                this.render();
+                return;
+            }
+            if (this.tool !== 'cell') return;
             
-            const sel = pixelToSelection(
-                x,
-                y,
-                this.canvas.width,
-                this.canvas.height,
-                this.gridSize,
-                this.viewWindow
-            );
+            const sel = this._eventToSelection(e);
             if (!sel) return;
-            
-            this.selected = sel;
-            this.render();
-            
-            if (this.onSelect) this.onSelect(sel);
+            if (e.shiftKey) {
+                const idx = this.selectedCells.findIndex((c) => c.queryIdx === sel.queryIdx);
+                if (idx >= 0) {
+                    const next = this.selectedCells.slice();
+                    next.splice(idx, 1);
+                    this._applySelection(next, false);
+                } else {
+                    this._applySelection([sel], true);
+                }
+            } else {
+                this._applySelection([sel], false);
+            }
+        });
+        
+        this.canvas.addEventListener('dblclick', (e) => {
+            if (this.tool !== 'polyline') return;
+            e.preventDefault();
+            this._finishPolyline();
+        });
+        
+        window.addEventListener('keydown', (e) => {
+            if (!this._polyline && !this._drag) return;
+            if (e.key === 'Enter' && this._polyline) {
+                this._finishPolyline();
+            } else if (e.key === 'Escape') {
+                this._polyline = null;
+                this._drag = null;
+                this.render();
+            }
         });
     }
     
+    /**
+     * @param {'cell'|'rect'|'polyline'} tool
+     */
+    setTool(tool) {
+        this.tool = tool;
+        this._drag = null;
+        this._polyline = null;
+        this.render();
+    }
+    
+    /**
+     * Replace the selection without notifying onSelect.
+     *
+     * @param {Array<{queryIdx:number, xIdx:number, yIdx:number}>} cells
+     */
+    setSelectedCells(cells) {
+        this.selectedCells = cells.slice();
+        this.render();
+    }
+    
     /**
      * Set BEV zoom preset in meters (e.g. 80, 40, 20) as a centered sub-grid.
      */
@@ -120,6 +311,17 @@ export class BEVView {
         this.render();
     }
     
+    /**
+     * Per-cell map drawn under the grid; `values` is row-major [gridSize*gridSize].
+     * With `colors` the values are category indices, otherwise scalars colored over [min, max].
+     *
+     * @param {?{values:Float32Array, min?:number, max?:number, colors?:Array<string>}} cellMap null hides it
+     */
+    setCellMap(cellMap) {
+        this.cellMap = cellMap;
+        this.render();
+    }
+    
     setLidarPoints(lidarPts) {
         this.lidarPts = lidarPts;
         this.render();
@@ -137,10 +339,27 @@ export class BEVView {
             this.renderer.renderLidarPoints(this.lidarPts, 'grey', 0.42, 2);
         }
         
+        if (this.cellMap?.colors) {
+            this.renderer.renderCategoricalMap(this.cellMap.values, this.cellMap.colors, { alpha: 0.75 });
+        } else if (this.cellMap) {
+            const { values, min = 0, max = 1 } = this.cellMap;
+            this.renderer.renderScalarMap(values, { min, max, alpha: 0.75 });
+        }
+        
         this.renderer.renderGrid('white', 0.12);
         
-        if (this.selected) {
-            this.renderer.renderSelectedCell(this.selected.xIdx, this.selected.yIdx, '#ff2d2d');
+        for (const cell of this.selectedCells) {
+            this.renderer.renderSelectedCell(cell.xIdx, cell.yIdx, '#ff2d2d');
+        }
+        
+        if (this._drag) {
+            const [ax, ay] = this._gridToCanvasPx(this._drag.start);
+            const [bx, by] = this._gridToCanvasPx(this._drag.end);
+            this.renderer.renderCanvasPolyline([[ax, ay], [bx, ay], [bx, by], [ax, by]], { closed: true });
+        }
+        if (this._polyline) {
+            const points = this._polyline.points.map((p) => this._gridToCanvasPx(p));
+            this.renderer.renderCanvasPolyline(points, { closed: false, markVertices: true });
         }
     }
 }
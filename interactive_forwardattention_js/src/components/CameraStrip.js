@@ -3,8 +3,8 @@
  * Renders a horizontal strip of camera canvases with attention overlays.
  */
 
-import { CameraRenderer } from '../renderers/CameraRenderer.js';
-import { CameraCanvasStrip } from '../../../shared/CameraCanvasStrip.js';
+import { CameraRenderer } from '../renderers/CameraRenderer.js?v=2026-10-18-forward-pillar-v1';
+import { CameraCanvasStrip } from '../../../shared/CameraCanvasStrip.js?v=2026-10-18-forward-cls-badge-v1';
 
 export class CameraStrip {
     /**
@@ -12,9 +12,10 @@ export class CameraStrip {
      * @param {Array<string>} cameraDisplayOrder
      * @param {(camName:string) => Object} getPatchInfoForCam
      * @param {(camName:string) => Image} getImageForCam
-     * @param {(camName:string, queryIdx:number, opts:{meanHeads:boolean, headIdx:?number}) => Float32Array} getPatchAttention
+     * @param {(camName:string, queryIdxs:Array<number>, opts:{meanHeads:boolean, headIdx:?number, aggregation:string}) => Float32Array} getPatchAttention
+     * @param {(camName:string, type:'move'|'leave'|'click', x?:number, y?:number) => void} [onCanvasPointer] Pointer over a camera, in image pixels
      */
-    constructor(container, cameraDisplayOrder, getPatchInfoForCam, getImageForCam, getPatchAttention) {
+    constructor(container, cameraDisplayOrder, getPatchInfoForCam, getImageForCam, getPatchAttention, onCanvasPointer = null) {
         this.overlayAlpha = 0.6;
         this._impl = new CameraCanvasStrip(
             container,
@@ -23,6 +24,7 @@ export class CameraStrip {
                 getPatchInfoForCam,
                 getImageForCam,
                 getPatchAttention,
+                onCanvasPointer,
                 rendererFactory: (canvas) => new CameraRenderer(canvas)
             },
             {
@@ -39,18 +41,27 @@ export class CameraStrip {
     }
     
     /**
-     * Recompute and render overlays for all cameras for a given query.
+     * @returns {Array<{camName:string, canvas:HTMLCanvasElement}>} One canvas per camera, in display order
+     */
+    getCameraCanvases() {
+        return this._impl.getCameraCanvases();
+    }
+    
+    /**
+     * Recompute and render overlays for all cameras for the selected queries.
      *
-     * @param {number} queryIdx
+     * @param {Array<number>} queryIdxs
      * @param {Object} opts
      * @param {boolean} opts.meanHeads
      * @param {?number} opts.headIdx
      * @param {?number} opts.globalMax
      * @param {string} opts.colorScheme
+     * @param {string} opts.aggregation 'sum' | 'mean' | 'max' over the queries
+     * @param {?Object<string, Array<Array<[number, number]>>>} [opts.outlines] Pixel polygons per camera
+     * @param {?Object<string, Array<Array<[number, number]>>>} [opts.highlights] Same, in the highlight color
      */
-    updateOverlaysForQuery(queryIdx, opts = {}) {
-        // Keep signature identical; delegate.
+    updateOverlaysForQueries(queryIdxs, opts = {}) {
         this._impl.setOverlayAlpha(this.overlayAlpha);
-        this._impl.updateOverlaysForQuery(queryIdx, opts);
+        this._impl.updateOverlaysForQuery(queryIdxs, opts);
     }
 }
@@ -0,0 +1,128 @@
+/**
+ * Head grid component
+ * Small multiples of the selected queries' attention: one row per head, one column per
+ * camera, all tiles normalized by one shared maximum so heads can be compared directly.
+ */
+
+import { CameraRenderer } from '../renderers/CameraRenderer.js?v=2026-10-18-forward-pillar-v1';
+
+export class HeadGrid {
+    /**
+     * @param {HTMLElement} container
+     * @param {Array<string>} cameraDisplayOrder
+     * @param {number} numHeads
+     * @param {Object} deps
+     * @param {(camName:string) => Object} deps.getPatchInfoForCam
+     * @param {(camName:string) => Image} deps.getImageForCam Model-input (patch-aligned) image
+     * @param {(headIdx:number) => void} deps.onSelectHead Called when a tile is clicked
+     */
+    constructor(container, cameraDisplayOrder, numHeads, deps) {
+        this.container = container;
+        this.cameraNames = cameraDisplayOrder;
+        this.numHeads = numHeads;
+        this.getPatchInfoForCam = deps.getPatchInfoForCam;
+        this.getImageForCam = deps.getImageForCam;
+        this.onSelectHead = deps.onSelectHead;
+
+        this.activeHead = null;
+        this._rows = []; // per head: { rowEls, statusEl, tiles: Map<camName, CameraRenderer> }
+        this._build();
+    }
+
+    _build() {
+        this.container.innerHTML = '';
+        this.container.style.gridTemplateColumns = `auto repeat(${this.cameraNames.length}, minmax(0, 1fr))`;
+
+        const corner = document.createElement('div');
+        corner.className = 'head-grid-corner';
+        this.container.appendChild(corner);
+        for (const camName of this.cameraNames) {
+            const header = document.createElement('div');
+            header.className = 'head-grid-camera';
+            header.textContent = camName;
+            this.container.appendChild(header);
+        }
+
+        for (let h = 0; h < this.numHeads; h++) {
+            const label = document.createElement('div');
+            label.className = 'head-grid-label';
+            label.textContent = `Head ${h}`;
+            const statusEl = document.createElement('span');
+            statusEl.className = 'head-grid-status';
+            label.appendChild(statusEl);
+            this.container.appendChild(label);
+
+            const rowEls = [label];
+            const tiles = new Map();
+            for (const camName of this.cameraNames) {
+                const canvas = document.createElement('canvas');
+                canvas.className = 'head-grid-tile';
+                canvas.title = `Head ${h}, ${camName} (click to show this head)`;
+                canvas.addEventListener('click', () => {
+                    if (this.onSelectHead) this.onSelectHead(h);
+                });
+                this.container.appendChild(canvas);
+                rowEls.push(canvas);
+                tiles.set(camName, new CameraRenderer(canvas));
+            }
+            this._rows.push({ rowEls, statusEl, tiles });
+        }
+    }
+
+    /**
+     * @param {?number} headIdx Head shown in the main view; null for the mean over heads
+     */
+    setActiveHead(headIdx) {
+        this.activeHead = headIdx;
+        this._rows.forEach((row, h) => {
+            for (const el of row.rowEls) el.classList.toggle('active', h === headIdx);
+        });
+    }
+
+    /**
+     * Redraw every tile.
+     *
+     * @param {(camName:string, headIdx:number) => Float32Array} getPatchAttention
+     * @param {(headIdx:number) => boolean} isHeadReady Heads still loading show the image only
+     * @param {Object} options
+     * @param {number} options.alpha
+     * @param {string} options.colorScheme 'red' | 'hsv'
+     */
+    update(getPatchAttention, isHeadReady, options = {}) {
+        const { alpha = 0.6, colorScheme = 'red' } = options;
+
+        // One maximum over all heads and cameras: tiles are directly comparable.
+        const attn = this._rows.map((row, h) => {
+            if (!isHeadReady(h)) return null;
+            const perCam = new Map();
+            for (const camName of this.cameraNames) perCam.set(camName, getPatchAttention(camName, h));
+            return perCam;
+        });
+        let globalMax = 0;
+        for (const perCam of attn) {
+            if (!perCam) continue;
+            for (const values of perCam.values()) {
+                for (let i = 0; i < values.length; i++) {
+                    if (values[i] > globalMax) globalMax = values[i];
+                }
+            }
+        }
+
+        this._rows.forEach((row, h) => {
+            row.statusEl.textContent = attn[h] ? '' : ' (loading)';
+            for (const camName of this.cameraNames) {
+                const renderer = row.tiles.get(camName);
+                const patchInfo = this.getPatchInfoForCam(camName);
+                renderer.clear();
+                renderer.renderImage(this.getImageForCam(camName));
+                if (!attn[h] || globalMax <= 0) continue;
+                // Tiles show the model-input image, so patches are not rescaled.
+                renderer.renderPatchAttentionOverlay(attn[h].get(camName), { ...patchInfo, wScale: 1, hScale: 1 }, {
+                    alpha,
+                    globalMax,
+                    colorScheme
+                });
+            }
+        });
+    }
+}
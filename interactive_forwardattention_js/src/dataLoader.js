@@ -2,9 +2,10 @@
  * Data loader for scene JSON files
  */
 
-import { ForwardAttentionVisualizer } from './forwardAttention.js';
+import { ForwardAttentionVisualizer } from './forwardAttention.js?v=2026-10-18-forward-cls-badge-v1';
 import { orderCameraNamesForUi } from '../../shared/cameraOrder.js';
-import { loadAttentionAsFloat32 } from '../../shared/attentionDecode.js?v=2026-02-10-attn-decode-v2';
+import { openAttentionLayers } from '../../shared/attentionDecode.js?v=2026-10-18-asset-cache-v3';
+import { parseCameraPoses } from '../../shared/cameraGeometry.js';
 
 function loadImageFromUrl(url) {
     return new Promise((resolve, reject) => {
@@ -15,12 +16,32 @@ function loadImageFromUrl(url) {
     });
 }
 
+/**
+ * Camera poses for the scene: `camera_meta_file` from the manifest, else the frame's
+ * `meta/cameras.json` next to `manifests/`. Optional; null when unavailable.
+ */
+async function loadCameraPoses(data, jsonUrl) {
+    const metaUrl = new URL(data.camera_meta_file || '../meta/cameras.json', jsonUrl);
+    try {
+        const response = await fetch(metaUrl);
+        if (!response.ok) return null;
+        const poses = parseCameraPoses(await response.json());
+        return Object.keys(poses).length > 0 ? poses : null;
+    } catch (err) {
+        console.warn('Camera poses unavailable:', metaUrl.toString(), err);
+        return null;
+    }
+}
+
 /**
  * Load scene data from JSON file
  *
  * @param {string} jsonPath - Path to JSON scene file
  * @param {Object} options
- * @param {string} options.attnPrecision - auto|int8|int4|fp32
+ * @param {string} options.attnPrecision - auto|int8|int4|fp16|fp32|topk
+ * @param {number|'mean'} [options.layer] - Attention layer index, or 'mean' over layers
+ * @param {?number} [options.initialHeadIdx] - Head shown first; null = mean over heads
+ * @param {(p:{phase:string, fraction:number}) => void} [options.onProgress] - Progress of the first head
  * @returns {Promise<Object>} Loaded scene data with visualizer
  */
 export async function loadSceneData(jsonPath, options = {}) {
@@ -81,24 +102,24 @@ export async function loadSceneData(jsonPath, options = {}) {
         );
     }
     
-    // Load attention weights from manifest-linked binary variants only.
-    const loaded = await loadAttentionAsFloat32(
-        data,
-        jsonUrl,
-        options.attnPrecision || 'auto'
-    );
-    const attnWeights = loaded.float32;
-    const attnWeightsShape = loaded.shape;
-    if (loaded.fallbackUsed) {
-        console.warn(
-            `Attention precision fallback used (requested=${loaded.requestedPrecision}, selected=${loaded.selectedPrecision}).`
-        );
+    // Load attention weights from manifest-linked binary variants only. Heads are
+    // decoded lazily: wait for the one shown first, the rest stream in afterwards.
+    const attnLayers = openAttentionLayers(data, jsonUrl, options.attnPrecision || 'auto');
+    let layerSelection = options.layer ?? 0;
+    if (layerSelection !== 'mean' && !(Number.isInteger(layerSelection) && layerSelection < attnLayers.numLayers)) {
+        console.warn(`Attention layer ${layerSelection} not available; showing layer 0.`);
+        layerSelection = 0;
     }
+    const attnTensor = attnLayers.getTensor(layerSelection);
+    const attnWeightsShape = attnTensor.shape;
+    const initialHeadIdx = Number.isInteger(options.initialHeadIdx) ? options.initialHeadIdx : null;
+    await attnTensor.loadHead(initialHeadIdx ?? 0, { onProgress: options.onProgress });
     
     const lidarPts = data.lidar_pts || null;
+    const cameraPoses = await loadCameraPoses(data, jsonUrl);
     
     const visualizer = new ForwardAttentionVisualizer(
-        attnWeights,
+        attnTensor,
         cameraImages,
         data.image_names,
         {
@@ -106,6 +127,7 @@ export async function loadSceneData(jsonPath, options = {}) {
             patchSize,
             bevRange,
             hasClsTokens,
+            tokenLayout: data.token_layout || null,
             originalImages,
             attnWeightsShape
         }
@@ -132,10 +154,15 @@ export async function loadSceneData(jsonPath, options = {}) {
     
     return {
         visualizer,
+        attnLayers,
+        attnTensor,
+        layerSelection,
         imageNames: data.image_names,
         imageDisplayOrder,
         originalImages,
         lidarPts,
-        metadata
+        cameraPoses,
+        metadata,
+        sceneUrl: jsonUrl.toString()
     };
 }
@@ -3,277 +3,310 @@
  *
  * Forward attention: BEV query -> image patches (where does this query look?)
  *
- * Implementation notes:
- * - Attention weights are expected as [1, H, Q, K]
- * - K is the concatenation of tokens from all cameras, with optional CLS token
- *   inserted before each camera's patch block.
- * - Cameras are indexed for token layout in lexicographic camera-name order,
- *   matching the Python utilities and the existing inverse-attention app.
+ * Token layout, head reduction and the basic query/patch lookups live in
+ * shared/attentionCore.js; this adds the forward app's multi-query overlays, per-query
+ * statistics and pillar alignment.
  */
 
-class PatchInfo {
-    constructor(camName, camIdx, startIdx, nPatches, patchH, patchW, imgH, imgW, hScale, wScale) {
-        this.camName = camName;
-        this.camIdx = camIdx;     // original image index in arrays passed to loader
-        this.startIdx = startIdx; // global K index (points at first patch token, after CLS if present)
-        this.nPatches = nPatches;
-        this.patchH = patchH;
-        this.patchW = patchW;
-        this.imgH = imgH;
-        this.imgW = imgW;
-        this.hScale = hScale;
-        this.wScale = wScale;
-    }
-}
+import { AttentionCore, PatchInfo } from '../../shared/attentionCore.js?v=2026-10-18-token-layout-v1';
+import { bevCellPillarCorners, pointInPolygon, projectPillarToImage } from '../../shared/cameraGeometry.js';
 
-class ForwardAttentionVisualizer {
+class ForwardAttentionVisualizer extends AttentionCore {
     /**
-     * @param {Array|Float32Array|ArrayBuffer} attnWeights Attention weights [1][H][Q][K] or flat
-     * @param {Array} cameraImages Scaled images (patch-aligned sizing)
-     * @param {Array<string>} cameraNames Camera names
+     * Per-patch attention for a camera, aggregated over several BEV queries.
+     *
+     * @param {Array<number>} queryIdxs
+     * @param {string} camName
      * @param {Object} options
+     * @param {boolean} options.meanHeads
+     * @param {?number} options.headIdx
+     * @param {'sum'|'mean'|'max'} [options.aggregation='mean']
+     * @returns {Float32Array} length = nPatches for that camera (zeros for no queries)
      */
-    constructor(attnWeights, cameraImages, cameraNames, options = {}) {
-        // Handle both nested array format and flat array format (including TypedArrays)
-        if (attnWeights instanceof Float32Array || attnWeights instanceof ArrayBuffer) {
-            if (attnWeights instanceof ArrayBuffer) {
-                this.attnWeightsFlat = new Float32Array(attnWeights);
+    getCameraPatchAttentionForQueries(queryIdxs, camName, options = {}) {
+        const { aggregation = 'mean', ...headOptions } = options;
+        if (!['sum', 'mean', 'max'].includes(aggregation)) {
+            throw new Error(`Unknown aggregation: ${aggregation}`);
+        }
+        if (queryIdxs.length === 1) {
+            return this.getCameraPatchAttentionForQuery(queryIdxs[0], camName, headOptions);
+        }
+        const info = this.getCameraInfo(camName);
+        if (!info) throw new Error(`Unknown camera: ${camName}`);
+        
+        const out = new Float32Array(info.nPatches);
+        for (const queryIdx of queryIdxs) {
+            const attn = this.getCameraPatchAttentionForQuery(queryIdx, camName, headOptions);
+            if (aggregation === 'max') {
+                for (let i = 0; i < out.length; i++) if (attn[i] > out[i]) out[i] = attn[i];
             } else {
-                this.attnWeightsFlat = attnWeights;
+                for (let i = 0; i < out.length; i++) out[i] += attn[i];
             }
-            this.attnWeightsShape = options.attnWeightsShape || [1, 8, 1024, 0];
-            this.attnWeights = null;
-        } else if (Array.isArray(attnWeights) && attnWeights.length > 0 && typeof attnWeights[0] === 'number') {
-            this.attnWeightsFlat = new Float32Array(attnWeights);
-            this.attnWeightsShape = options.attnWeightsShape || [1, 8, 1024, 0];
-            this.attnWeights = null;
-        } else {
-            // Nested array format (legacy)
-            this.attnWeights = attnWeights; // [1][H][Q][K]
-            this.attnWeightsFlat = null;
-            this.attnWeightsShape = null;
         }
-        
-        this.cameraImages = cameraImages;
-        this.originalImages = options.originalImages || cameraImages;
-        this.cameraNames = cameraNames;
-        
-        this.gridSize = options.gridSize || 32;
-        this.patchSize = options.patchSize || 14;
-        this.bevRange = options.bevRange || [-40, 40, -40, 40];
-        this.hasClsTokens = options.hasClsTokens !== undefined ? options.hasClsTokens : true;
-        
-        this.nQueries = this.gridSize * this.gridSize;
-        
-        if (this.attnWeightsShape) {
-            this.nHeads = this.attnWeightsShape[1];
-            this.kSize = this.attnWeightsShape[3];
-        } else {
-            this.nHeads = attnWeights[0].length;
-            this.kSize = attnWeights[0][0][0].length;
+        if (aggregation === 'mean' && queryIdxs.length > 0) {
+            for (let i = 0; i < out.length; i++) out[i] /= queryIdxs.length;
         }
-        
-        this._patchInfo = this._buildPatchInfo();
-        this._nameToInfo = {};
-        this._patchInfo.forEach(info => {
-            this._nameToInfo[info.camName] = info;
-        });
-    }
-    
-    getNumHeads() {
-        return this.nHeads;
-    }
-    
-    getCameraInfo(camName) {
-        return this._nameToInfo[camName];
+        return out;
     }
-    
+
     /**
-     * Build mapping of cameras to their patch indices.
-     * Cameras are ordered by name for token layout.
+     * Maximum aggregated patch attention across all cameras for several queries.
+     * Used for global normalization of overlays.
      */
-    _buildPatchInfo() {
-        const infos = [];
-        let currentIdx = 0;
-        
-        const cameras = this.cameraNames.map((name, idx) => ({
-            name,
-            idx,
-            img: this.cameraImages[idx],
-            origImg: this.originalImages[idx]
-        })).sort((a, b) => a.name.localeCompare(b.name));
-        
-        cameras.forEach(({ name, idx, img, origImg }) => {
-            let H, W;
-            if (img instanceof Image || img) {
-                // Prefer natural dimensions (robust for `new Image()` not in DOM).
-                H = img.naturalHeight || img.height || 0;
-                W = img.naturalWidth || img.width || 0;
-            } else if (Array.isArray(img)) {
-                H = img[0].length;
-                W = img[0][0].length;
-            } else {
-                throw new Error(`Unknown image format for camera ${name}`);
+    getGlobalMaxPatchAttentionForQueries(queryIdxs, options = {}) {
+        if (queryIdxs.length === 1) {
+            return this.getGlobalMaxPatchAttentionForQuery(queryIdxs[0], options);
+        }
+        let maxVal = 0;
+        for (const camName of this.cameraNames) {
+            const attn = this.getCameraPatchAttentionForQueries(queryIdxs, camName, options);
+            for (let i = 0; i < attn.length; i++) {
+                if (attn[i] > maxVal) maxVal = attn[i];
             }
+        }
+        return maxVal;
+    }
 
-            if (!H || !W) {
-                throw new Error(`Camera image has zero size for ${name} (not loaded/decoded yet)`);
-            }
-            
-            const patchH = Math.floor(H / this.patchSize);
-            const patchW = Math.floor(W / this.patchSize);
-            const nPatches = patchH * patchW;
-            
-            let origH, origW;
-            if (origImg instanceof Image || origImg) {
-                origH = origImg.naturalHeight || origImg.height || 0;
-                origW = origImg.naturalWidth || origImg.width || 0;
-            } else if (Array.isArray(origImg)) {
-                origH = origImg[0].length;
-                origW = origImg[0][0].length;
-            } else {
-                origH = H;
-                origW = W;
+    /**
+     * Attention on the key tokens outside the camera patch grids (CLS, register and global
+     * tokens, see getNonPatchTokenIdxs), aggregated over several queries like
+     * getCameraPatchAttentionForQueries.
+     *
+     * @param {Array<number>} queryIdxs
+     * @param {Object} options - { meanHeads, headIdx, aggregation }
+     * @returns {?{byCamera: Object<string, number>, unassigned: number, maxToken: number, total: number}}
+     *   `byCamera`: summed weight of each camera's CLS tokens; `unassigned`: summed weight of
+     *   tokens without a camera; `maxToken`: largest single non-patch token; `total`: weight
+     *   over all keys. null for no queries or while a lazily loaded head has not arrived yet.
+     */
+    getSpecialTokenAttentionForQueries(queryIdxs, options = {}) {
+        const { aggregation = 'mean', meanHeads = true, headIdx = null } = options;
+        if (queryIdxs.length === 0 || !this._getHeadSlab(meanHeads, headIdx)) return null;
+
+        const K = this.kSize;
+        const agg = new Float32Array(K);
+        for (const queryIdx of queryIdxs) {
+            const row = this.getQueryAttentionRow(queryIdx, { meanHeads, headIdx });
+            for (let k = 0; k < K; k++) {
+                if (aggregation === 'max') {
+                    if (row[k] > agg[k]) agg[k] = row[k];
+                } else {
+                    agg[k] += row[k];
+                }
             }
-            
-            const hScale = origH / H;
-            const wScale = origW / W;
-            
-            if (this.hasClsTokens) {
-                currentIdx += 1;
+        }
+        if (aggregation === 'mean') {
+            for (let k = 0; k < K; k++) agg[k] /= queryIdxs.length;
+        }
+
+        const byCamera = {};
+        for (const camName of this.cameraNames) byCamera[camName] = 0;
+        let unassigned = 0;
+        let maxToken = 0;
+        for (const seg of this.tokenSegments) {
+            if (seg.type === 'patch') continue;
+            for (let k = seg.offset; k < seg.offset + seg.count; k++) {
+                if (agg[k] > maxToken) maxToken = agg[k];
+                if (seg.type === 'cls' && seg.camera !== null) byCamera[seg.camera] += agg[k];
+                else unassigned += agg[k];
             }
-            
-            infos.push(new PatchInfo(
-                name,
-                idx,
-                currentIdx,
-                nPatches,
-                patchH,
-                patchW,
-                H,
-                W,
-                hScale,
-                wScale
-            ));
-            
-            currentIdx += nPatches;
-        });
-        
-        return infos;
-    }
-    
-    _getAttnFlat(b, h, q, k) {
-        if (!this.attnWeightsFlat || !this.attnWeightsShape) {
-            throw new Error('Flat array format not available');
         }
-        const [d1, d2, d3, d4] = this.attnWeightsShape;
-        void (d1);
-        const idx = b * d2 * d3 * d4 + h * d3 * d4 + q * d4 + k;
-        return this.attnWeightsFlat[idx];
+        let total = 0;
+        for (let k = 0; k < K; k++) total += agg[k];
+        return { byCamera, unassigned, maxToken, total };
     }
-    
+
     /**
-     * Return per-patch attention for a given camera for a selected BEV query.
-     *
-     * @param {number} queryIdx
+     * Reverse lookup: the BEV queries that put the most weight on one camera patch.
+     * 
      * @param {string} camName
-     * @param {Object} options
-     * @param {boolean} options.meanHeads
-     * @param {?number} options.headIdx
-     * @returns {Float32Array} length = nPatches for that camera
+     * @param {number} patchIdx - Row-major patch index within the camera (see PatchInfo.patchAtPixel)
+     * @param {number} topN
+     * @param {Object} options - { meanHeads, headIdx }
+     * @returns {?{values: Float32Array, top: Array<{queryIdx:number, weight:number}>}}
+     *   `values` is [Q] with NaN outside the top N; `top` is sorted by descending weight.
+     *   null while a lazily loaded head has not arrived yet.
      */
-    getCameraPatchAttentionForQuery(queryIdx, camName, options = {}) {
-        const { meanHeads = true, headIdx = null } = options;
+    getTopQueriesForPatch(camName, patchIdx, topN, options = {}) {
         const info = this.getCameraInfo(camName);
         if (!info) throw new Error(`Unknown camera: ${camName}`);
+        if (patchIdx < 0 || patchIdx >= info.nPatches) throw new Error(`Patch ${patchIdx} out of range for ${camName}`);
         
-        const out = new Float32Array(info.nPatches);
+        const column = this.getKeyAttentionColumn(info.startIdx + patchIdx, options);
+        if (!column) return null;
         
-        if (this.attnWeightsFlat) {
-            const H = this.nHeads;
-            for (let i = 0; i < info.nPatches; i++) {
-                const kIdx = info.startIdx + i;
-                if (meanHeads) {
-                    let sum = 0;
-                    for (let h = 0; h < H; h++) {
-                        sum += this._getAttnFlat(0, h, queryIdx, kIdx);
+        const order = Array.from(column.keys()).sort((a, b) => column[b] - column[a]);
+        const top = order.slice(0, Math.max(0, topN)).map((queryIdx) => ({ queryIdx, weight: column[queryIdx] }));
+        const values = new Float32Array(this.nQueries).fill(NaN);
+        for (const { queryIdx, weight } of top) values[queryIdx] = weight;
+        return { values, top };
+    }
+
+    /**
+     * For every query, the patch tokens whose centers fall inside the projection of its
+     * cell's pillar, over all cameras. Depends only on geometry, so callers can cache it.
+     * 
+     * @param {Object<string, Object>} cameraPoses - camName -> pose (shared/cameraGeometry.js)
+     * @param {[number, number]} zRange - Pillar bottom and top (ego z, meters)
+     * @returns {Array<Int32Array>} [Q] global K indices; empty where no camera sees the cell
+     */
+    buildPillarPatchMasks(cameraPoses, zRange) {
+        const masks = new Array(this.nQueries);
+        for (let q = 0; q < this.nQueries; q++) {
+            const xIdx = q % this.gridSize;
+            const yIdx = Math.floor(q / this.gridSize);
+            const corners = bevCellPillarCorners(xIdx, yIdx, this.gridSize, this.bevRange, zRange);
+            const inside = [];
+            
+            for (const info of this._patchInfo) {
+                const pose = cameraPoses[info.camName];
+                if (!pose) continue;
+                // Patch grid lives in the (scaled) model input image.
+                const poly = projectPillarToImage(corners, pose, info.imgW, info.imgH);
+                if (!poly) continue;
+                
+                let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+                for (const [x, y] of poly) {
+                    minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+                    minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+                }
+                const px0 = Math.max(0, Math.floor(minX / this.patchSize));
+                const px1 = Math.min(info.patchW - 1, Math.floor(maxX / this.patchSize));
+                const py0 = Math.max(0, Math.floor(minY / this.patchSize));
+                const py1 = Math.min(info.patchH - 1, Math.floor(maxY / this.patchSize));
+                for (let py = py0; py <= py1; py++) {
+                    for (let px = px0; px <= px1; px++) {
+                        const cx = (px + 0.5) * this.patchSize;
+                        const cy = (py + 0.5) * this.patchSize;
+                        if (pointInPolygon(cx, cy, poly)) inside.push(info.startIdx + py * info.patchW + px);
                     }
-                    out[i] = sum / H;
-                } else if (headIdx !== null) {
-                    out[i] = this._getAttnFlat(0, headIdx, queryIdx, kIdx);
-                } else {
-                    throw new Error('Specify headIdx or set meanHeads=true');
                 }
             }
-            return out;
+            masks[q] = Int32Array.from(inside);
         }
+        return masks;
+    }
+
+    /**
+     * Alignment score per query: the fraction of its patch-token attention (CLS tokens
+     * excluded) that falls inside its projected pillar.
+     * 
+     * @param {Array<Int32Array>} masks - From buildPillarPatchMasks()
+     * @param {Object} options - { meanHeads, headIdx }
+     * @returns {?Float32Array} [Q] row-major (y * gridSize + x); NaN where no camera sees the
+     *   cell. Null while a lazily loaded head has not arrived yet.
+     */
+    computeAlignmentScores(masks, options = {}) {
+        const { meanHeads = true, headIdx = null } = options;
+        const slab = this._getHeadSlab(meanHeads, headIdx);
+        if (!slab) return null;
         
-        // Nested array fallback
-        const attn = this.attnWeights[0];
-        if (meanHeads) {
-            for (let i = 0; i < info.nPatches; i++) {
-                const kIdx = info.startIdx + i;
-                let sum = 0;
-                for (let h = 0; h < this.nHeads; h++) {
-                    sum += attn[h][queryIdx][kIdx];
-                }
-                out[i] = sum / this.nHeads;
+        const K = this.kSize;
+        const scores = new Float32Array(this.nQueries);
+        for (let q = 0; q < this.nQueries; q++) {
+            const mask = masks[q];
+            if (!mask || mask.length === 0) {
+                scores[q] = NaN;
+                continue;
             }
-        } else if (headIdx !== null) {
-            for (let i = 0; i < info.nPatches; i++) {
-                const kIdx = info.startIdx + i;
-                out[i] = attn[headIdx][queryIdx][kIdx];
+            const row = slab.subarray(q * K, (q + 1) * K);
+            
+            let total = 0;
+            for (const info of this._patchInfo) {
+                for (let i = info.startIdx; i < info.startIdx + info.nPatches; i++) total += row[i];
             }
-        } else {
-            throw new Error('Specify headIdx or set meanHeads=true');
+            let inside = 0;
+            for (let i = 0; i < mask.length; i++) inside += row[mask[i]];
+            scores[q] = total > 0 ? inside / total : 0;
         }
+        return scores;
+    }
+
+    /**
+     * Per-query statistics of the attention row, for BEV-wide overlays:
+     * - entropy: over all K tokens (nats, row renormalized to sum 1)
+     * - clsShare: mass on CLS tokens / total mass (null without CLS tokens)
+     * - dominantCamera: index into `cameraNames` of the camera with most patch mass
+     * - effectivePatches: exp(entropy) of the patch-only distribution, i.e. how many
+     *   patches the query spreads its mass over (1 = a single patch)
+     * 
+     * @param {Object} options - { meanHeads, headIdx }
+     * @returns {?{entropy:Float32Array, clsShare:?Float32Array, dominantCamera:Float32Array,
+     *   effectivePatches:Float32Array, cameraNames:Array<string>}} [Q] maps (y * gridSize + x),
+     *   NaN where a row has no mass; null while a lazily loaded head has not arrived yet
+     */
+    computeQueryStatistics(options = {}) {
+        const { meanHeads = true, headIdx = null } = options;
+        const slab = this._getHeadSlab(meanHeads, headIdx);
+        if (!slab) return null;
         
-        return out;
+        const K = this.kSize;
+        const Q = this.nQueries;
+        const entropy = new Float32Array(Q);
+        const clsShare = this.hasClsTokens ? new Float32Array(Q) : null;
+        const dominantCamera = new Float32Array(Q);
+        const effectivePatches = new Float32Array(Q);
+        // H = log(S) - sum(v log v) / S for an unnormalized row with sum S.
+        const xlogx = (v) => (v > 0 ? v * Math.log(v) : 0);
+        
+        for (let q = 0; q < Q; q++) {
+            const row = slab.subarray(q * K, (q + 1) * K);
+            
+            let total = 0;
+            let totalXlogx = 0;
+            for (let k = 0; k < K; k++) {
+                total += row[k];
+                totalXlogx += xlogx(row[k]);
+            }
+            
+            let patchTotal = 0;
+            let patchXlogx = 0;
+            let cls = 0;
+            for (const k of this.clsTokenIdxs) cls += row[k];
+            let bestCam = -1;
+            let bestMass = 0;
+            this._patchInfo.forEach((info, camIdx) => {
+                let mass = 0;
+                for (let i = info.startIdx; i < info.startIdx + info.nPatches; i++) {
+                    mass += row[i];
+                    patchXlogx += xlogx(row[i]);
+                }
+                patchTotal += mass;
+                if (mass > bestMass) {
+                    bestMass = mass;
+                    bestCam = camIdx;
+                }
+            });
+            
+            entropy[q] = total > 0 ? Math.log(total) - totalXlogx / total : NaN;
+            if (clsShare) clsShare[q] = total > 0 ? cls / total : NaN;
+            dominantCamera[q] = bestCam >= 0 ? bestCam : NaN;
+            effectivePatches[q] = patchTotal > 0 ? Math.exp(Math.log(patchTotal) - patchXlogx / patchTotal) : NaN;
+        }
+        
+        return {
+            entropy,
+            clsShare,
+            dominantCamera,
+            effectivePatches,
+            cameraNames: this._patchInfo.map((info) => info.camName)
+        };
     }
-    
+
     /**
      * Compute the maximum patch attention across all cameras for a given query.
      * Used for global normalization of overlays.
      */
     getGlobalMaxPatchAttentionForQuery(queryIdx, options = {}) {
         const { meanHeads = true, headIdx = null } = options;
+        const slab = this._getHeadSlab(meanHeads, headIdx);
+        if (!slab) return 0;
         let maxVal = 0;
-        for (const camName of this.cameraNames) {
-            const info = this.getCameraInfo(camName);
-            if (!info) continue;
-            
-            if (this.attnWeightsFlat) {
-                const H = this.nHeads;
-                for (let i = 0; i < info.nPatches; i++) {
-                    const kIdx = info.startIdx + i;
-                    let v;
-                    if (meanHeads) {
-                        let sum = 0;
-                        for (let h = 0; h < H; h++) sum += this._getAttnFlat(0, h, queryIdx, kIdx);
-                        v = sum / H;
-                    } else if (headIdx !== null) {
-                        v = this._getAttnFlat(0, headIdx, queryIdx, kIdx);
-                    } else {
-                        throw new Error('Specify headIdx or set meanHeads=true');
-                    }
-                    if (v > maxVal) maxVal = v;
-                }
-            } else {
-                const attn = this.attnWeights[0];
-                for (let i = 0; i < info.nPatches; i++) {
-                    const kIdx = info.startIdx + i;
-                    let v;
-                    if (meanHeads) {
-                        let sum = 0;
-                        for (let h = 0; h < this.nHeads; h++) sum += attn[h][queryIdx][kIdx];
-                        v = sum / this.nHeads;
-                    } else if (headIdx !== null) {
-                        v = attn[headIdx][queryIdx][kIdx];
-                    } else {
-                        throw new Error('Specify headIdx or set meanHeads=true');
-                    }
-                    if (v > maxVal) maxVal = v;
-                }
+        for (const info of this._patchInfo) {
+            const base = queryIdx * this.kSize + info.startIdx;
+            for (let i = 0; i < info.nPatches; i++) {
+                const v = slab[base + i];
+                if (v > maxVal) maxVal = v;
             }
         }
         return maxVal;
@@ -281,4 +314,3 @@ class ForwardAttentionVisualizer {
 }
 
 export { ForwardAttentionVisualizer, PatchInfo };
-
@@ -105,6 +105,34 @@ export class CameraRenderer {
         this.ctx.restore();
     }
     
+    /**
+     * Closed polygon outline in image pixels (e.g. a projected BEV pillar). Line width scales
+     * with the image so it stays visible once the canvas is shrunk into the strip.
+     *
+     * @param {Array<[number, number]>} points
+     * @param {string} color
+     */
+    renderPolygonOutline(points, color = '#ffd400') {
+        if (!points || points.length < 3) return;
+        const lineWidth = Math.max(2, Math.round(this.canvas.width / 320));
+        
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.moveTo(points[0][0], points[0][1]);
+        for (let i = 1; i < points.length; i++) {
+            this.ctx.lineTo(points[i][0], points[i][1]);
+        }
+        this.ctx.closePath();
+        // Dark halo first so the outline reads on both bright sky and the red overlay.
+        this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.lineWidth = lineWidth * 2;
+        this.ctx.stroke();
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = lineWidth;
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+    
     renderPatchGrid(patchInfo, color = 'cyan', alpha = 0.15) {
         if (!patchInfo) return;
         const { patchH, patchW, wScale, hScale } = patchInfo;
@@ -102,3 +102,17 @@ export function rgbToCss(rgb) {
     const [r, g, b] = rgb;
     return `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
 }
+
+/**
+ * Categorical color per camera index (stable for a given camera order).
+ *
+ * @param {number} index - Camera index (0-based, cycles through 10 colors)
+ * @returns {string} Hex color
+ */
+export function getCameraColor(index) {
+    const colors = [
+        '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd',
+        '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'
+    ];
+    return colors[index % colors.length];
+}
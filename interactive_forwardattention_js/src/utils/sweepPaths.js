@@ -0,0 +1,73 @@
+/**
+ * Preset BEV paths for the attention sweep: ordered cells walked by the animation.
+ *
+ * Cells follow the BEV views: `yIdx` runs along ego x (forward) and `xIdx` along ego y
+ * (left) over `bevRange` = [xMin, xMax, yMin, yMax]. Headings are in degrees from ego
+ * forward, counter-clockwise (90 = left).
+ */
+
+function egoToCell(x, y, gridSize, bevRange) {
+    const [xMin, xMax, yMin, yMax] = bevRange;
+    const yIdx = Math.floor((x - xMin) / ((xMax - xMin) / gridSize));
+    const xIdx = Math.floor((y - yMin) / ((yMax - yMin) / gridSize));
+    if (xIdx < 0 || yIdx < 0 || xIdx >= gridSize || yIdx >= gridSize) return null;
+    return { xIdx, yIdx, queryIdx: yIdx * gridSize + xIdx };
+}
+
+// Sample ego points in order and keep each cell once, at its first visit.
+function uniqueCells(points, gridSize, bevRange) {
+    const seen = new Set();
+    const cells = [];
+    for (const [x, y] of points) {
+        const cell = egoToCell(x, y, gridSize, bevRange);
+        if (!cell || seen.has(cell.queryIdx)) continue;
+        seen.add(cell.queryIdx);
+        cells.push(cell);
+    }
+    return cells;
+}
+
+function cellSizeMeters(gridSize, bevRange) {
+    const [xMin, xMax, yMin, yMax] = bevRange;
+    return Math.min((xMax - xMin) / gridSize, (yMax - yMin) / gridSize);
+}
+
+/**
+ * Cells along a ray from the ego origin outward, nearest first.
+ *
+ * @param {number} headingDeg
+ * @param {number} gridSize
+ * @param {Array<number>} bevRange
+ * @returns {Array<{xIdx:number, yIdx:number, queryIdx:number}>}
+ */
+export function rayCells(headingDeg, gridSize, bevRange) {
+    const [xMin, xMax, yMin, yMax] = bevRange;
+    const step = cellSizeMeters(gridSize, bevRange) / 4;
+    const maxDist = Math.hypot(Math.max(-xMin, xMax), Math.max(-yMin, yMax));
+    const rad = headingDeg * Math.PI / 180;
+    const points = [];
+    for (let d = 0; d <= maxDist; d += step) {
+        points.push([d * Math.cos(rad), d * Math.sin(rad)]);
+    }
+    return uniqueCells(points, gridSize, bevRange);
+}
+
+/**
+ * Cells on a circle around the ego origin, starting straight ahead and turning left.
+ *
+ * @param {number} radius Meters
+ * @param {number} gridSize
+ * @param {Array<number>} bevRange
+ * @returns {Array<{xIdx:number, yIdx:number, queryIdx:number}>}
+ */
+export function ringCells(radius, gridSize, bevRange) {
+    if (!(radius > 0)) return [];
+    const step = cellSizeMeters(gridSize, bevRange) / 4;
+    const n = Math.max(8, Math.ceil((2 * Math.PI * radius) / step));
+    const points = [];
+    for (let i = 0; i < n; i++) {
+        const a = (2 * Math.PI * i) / n;
+        points.push([radius * Math.cos(a), radius * Math.sin(a)]);
+    }
+    return uniqueCells(points, gridSize, bevRange);
+}
@@ -3,13 +3,14 @@
  * Coordinates all components and handles user interactions
  */
 
-import { loadSceneData } from './dataLoader.js?v=2026-02-10-inv-manifest-only-v1';
-import { CameraThumbStrip } from '../../shared/CameraThumbStrip.js';
-import { CameraView } from './components/CameraView.js';
-import { BEVView } from './components/BEVView.js';
-import { Controls } from './components/Controls.js';
+import { loadSceneData } from './dataLoader.js?v=2026-10-18-asset-cache-v3';
+import { CameraThumbStrip } from '../../shared/CameraThumbStrip.js?v=2026-10-18-inv-lasso-v1';
+import { CameraView } from './components/CameraView.js?v=2026-10-18-camera-view-destroy-v1';
+import { BEVView } from './components/BEVView.js?v=2026-10-18-inv-contrast-v1';
+import { Controls } from './components/Controls.js?v=2026-10-18-inv-attn-rollout-v1';
 import { getDistinctColor } from './utils/colorUtils.js';
 import { DatasetFrameDock } from '../../shared/DatasetFrameDock.js';
+import { downloadCanvasPng, downloadJson, downloadNpy, exportFileStem } from '../../shared/attentionExport.js?v=2026-10-18-inv-export-v1';
 
 class App {
     static normalizeAttnPrecision(raw) {
@@ -17,9 +18,21 @@ class App {
         if (v === 'int8' || v === 'int8_phs_v1') return 'int8';
         if (v === 'int4' || v === 'int4_phq_v1') return 'int4';
         if (v === 'fp32' || v === 'float32') return 'fp32';
+        if (v === 'fp16' || v === 'float16' || v === 'half') return 'fp16';
+        if (v === 'topk' || v === 'topk_v1') return 'topk';
         return 'auto';
     }
 
+    /**
+     * ?layer= value: a layer index, 'mean' (mean over layers), or null when absent/invalid.
+     */
+    static parseLayerParam(raw) {
+        const v = (raw || '').toString().trim().toLowerCase();
+        if (v === 'mean') return 'mean';
+        const idx = parseInt(v, 10);
+        return Number.isInteger(idx) && idx >= 0 ? idx : null;
+    }
+
     constructor() {
         this.visualizer = null;
         this.sceneData = null;
@@ -27,9 +40,17 @@ class App {
         this.regionsByCamera = new Map(); // Map<cameraName, Array<region>>
         this.nextRegionId = 1; // Monotonic global region id/color assignment
         this.headSelection = { mode: 'mean', headIdx: null };
+        this.attnLayers = null;
+        this.layerSelection = 0; // layer index | 'mean'
+        this.bevMode = 'layer'; // 'layer' (selected layer) | 'rollout' (through all layers)
+        this.unsubscribeHeadReady = null;
+        this.previewRegion = null; // { camName, region } while a region is being dragged
+        this.contrast = { mode: 'difference', lambda: 1 }; // used once a region is negative
+        this.bevUpdateFrame = 0;
         
         // Initialize UI elements
         this.loadingEl = document.getElementById('loading');
+        this.loadingTextEl = this.loadingEl ? this.loadingEl.querySelector('p') : null;
         this.mainContentEl = document.getElementById('main-content');
         this.errorEl = document.getElementById('error');
         this.errorMessageEl = document.getElementById('error-message');
@@ -109,6 +130,52 @@ class App {
                 this.clearAllCameras();
             });
         }
+        
+        // Export menu: acts on the chosen entry, then resets
+        const exportSelect = document.getElementById('export-select');
+        if (exportSelect) {
+            exportSelect.addEventListener('change', () => {
+                const format = exportSelect.value;
+                exportSelect.value = '';
+                if (format) this.exportCurrentView(format);
+            });
+        }
+        
+        // Region tool (rectangle / lasso / polygon)
+        const toolSelect = document.getElementById('region-tool-select');
+        if (toolSelect) {
+            toolSelect.addEventListener('change', () => {
+                this.cameraView?.setTool(toolSelect.value);
+            });
+        }
+        
+        // Contrastive view (shown once any region is negative)
+        const contrastSelect = document.getElementById('contrast-mode-select');
+        if (contrastSelect) {
+            contrastSelect.addEventListener('change', () => {
+                this.contrast.mode = contrastSelect.value === 'ratio' ? 'ratio' : 'difference';
+                this.updateBEVView();
+            });
+        }
+        const lambdaInput = document.getElementById('contrast-lambda-input');
+        if (lambdaInput) {
+            lambdaInput.addEventListener('input', () => {
+                const lambda = parseFloat(lambdaInput.value);
+                if (!Number.isFinite(lambda)) return;
+                this.contrast.lambda = lambda;
+                const valueEl = document.getElementById('contrast-lambda-value');
+                if (valueEl) valueEl.textContent = lambda.toFixed(1);
+                this.updateBEVView();
+            });
+        }
+        
+        // Patch coverage required by lasso / polygon regions
+        const coverageInput = document.getElementById('coverage-input');
+        if (coverageInput) {
+            coverageInput.addEventListener('input', () => {
+                this.setMinPatchCoverage(parseFloat(coverageInput.value));
+            });
+        }
 
     }
     
@@ -120,8 +187,17 @@ class App {
             this.showLoading();
             this.hideError();
             
+            if (Number.isInteger(options.headIdx)) {
+                this.headSelection = { mode: 'head', headIdx: options.headIdx };
+            }
+            if (options.bevMode === 'rollout') {
+                this.bevMode = 'rollout';
+            }
             const sceneData = await loadSceneData(jsonPath, {
-                attnPrecision: options.attnPrecision || 'auto'
+                attnPrecision: options.attnPrecision || 'auto',
+                layer: options.layer ?? 0,
+                initialHeadIdx: this.headSelection.headIdx,
+                onProgress: (p) => this.showLoading(p.fraction)
             });
             this.sceneData = sceneData;
             this.visualizer = sceneData.visualizer;
@@ -222,13 +298,19 @@ class App {
         
         // Camera View
         const cameraCanvas = document.getElementById('camera-canvas');
+        this.cameraView?.destroy();
         this.cameraView = new CameraView(
             document.getElementById('camera-view'),
             cameraCanvas,
             (camName, region) => this.onRegionAdded(camName, region),
             (camName, index) => this.onRegionDeleted(camName, index),
-            this.visualizer
+            this.visualizer,
+            (camName, region) => this.onRegionPreview(camName, region)
         );
+        const toolSelect = document.getElementById('region-tool-select');
+        if (toolSelect) this.cameraView.setTool(toolSelect.value);
+        const coverageInput = document.getElementById('coverage-input');
+        if (coverageInput) this.setMinPatchCoverage(parseFloat(coverageInput.value));
         
         // BEV View
         const bevCanvas = document.getElementById('bev-canvas');
@@ -250,15 +332,30 @@ class App {
             controlsContainer,
             (head) => {
                 this.headSelection = head;
+                this.requestSelectedHeads();
                 this.updateBEVView();
             },
             (meters) => {
                 if (!this.bevView) return;
                 this.bevView.setZoomMeters(meters);
                 this.updateBevBaseImageForCurrentZoom();
-            }
+            },
+            (layer) => this.setLayer(layer),
+            (mode) => this.setBevMode(mode)
         );
+        this.attnLayers = sceneData.attnLayers;
+        this.layerSelection = sceneData.layerSelection;
+        this.visualizer.setAttentionLayers(this.attnLayers);
+        if (this.attnLayers.numLayers <= 1) {
+            this.bevMode = 'layer';
+        }
+        this.controls.setLayerOptions(this.attnLayers.layerNames, this.layerSelection);
+        this.controls.setBevMode(this.bevMode, this.attnLayers.numLayers > 1);
+        this.controls.setHeadSelection(this.headSelection);
         this.controls.setHeadOptions(this.visualizer.getNumHeads());
+        this.subscribeHeadReady();
+        this.updateHeadLoadStatus();
+        this.requestSelectedHeads();
 
         // Keep BEV renderer zoom in sync with the currently selected UI zoom on first load.
         // BEVView defaults to 80m internally, while the UI default may differ (e.g. 40m).
@@ -334,13 +431,19 @@ class App {
     onRegionAdded(camName, region) {
         const regions = this.regionsByCamera.get(camName) || [];
         
-        // Check for duplicates (with small tolerance for floating point)
+        // Check for duplicates (with small tolerance for floating point).
+        // Lasso/polygon regions also compare their outlines, not just their bounding boxes.
         const tolerance = 1.0; // 1 pixel tolerance
+        const samePoints = (a, b) => (!a && !b) || (
+            a && b && a.length === b.length &&
+            a.every((p, i) => Math.abs(p[0] - b[i][0]) < tolerance && Math.abs(p[1] - b[i][1]) < tolerance)
+        );
         const isDuplicate = regions.some(r => 
             Math.abs(r.xRange[0] - region.xRange[0]) < tolerance &&
             Math.abs(r.xRange[1] - region.xRange[1]) < tolerance &&
             Math.abs(r.yRange[0] - region.yRange[0]) < tolerance &&
-            Math.abs(r.yRange[1] - region.yRange[1]) < tolerance
+            Math.abs(r.yRange[1] - region.yRange[1]) < tolerance &&
+            samePoints(r.polygon, region.polygon)
         );
         
         if (!isDuplicate) {
@@ -424,7 +527,20 @@ class App {
             
             const info = document.createElement('span');
             info.className = 'region-info';
-            info.textContent = `Region ${regionId}`;
+            const negative = region.polarity === 'negative';
+            const tags = [region.shape, negative ? 'negative' : null].filter(Boolean);
+            info.textContent = tags.length > 0 ? `Region ${regionId} (${tags.join(', ')})` : `Region ${regionId}`;
+            if (negative) div.classList.add('region-item--negative');
+            
+            const polarityBtn = document.createElement('button');
+            polarityBtn.className = 'btn btn-small btn-polarity';
+            polarityBtn.textContent = negative ? '−' : '+';
+            polarityBtn.title = negative
+                ? 'Negative: subtracted from the positive regions. Click to make positive.'
+                : 'Positive. Click to make negative (contrastive view).';
+            polarityBtn.addEventListener('click', () => {
+                this.toggleRegionPolarity(this.selectedCamera, index);
+            });
             
             const deleteBtn = document.createElement('button');
             deleteBtn.className = 'btn btn-small';
@@ -434,6 +550,7 @@ class App {
             });
             
             div.appendChild(info);
+            div.appendChild(polarityBtn);
             div.appendChild(deleteBtn);
             regionsListEl.appendChild(div);
         });
@@ -460,7 +577,136 @@ class App {
     }
     
     /**
-     * Update BEV view with all regions
+     * Start fetching whatever the current head selection needs (all heads for the mean,
+     * in every layer for rollout).
+     */
+    requestSelectedHeads() {
+        if (!this.visualizer) return;
+        const meanHeads = this.headSelection.mode === 'mean';
+        const headIdx = meanHeads ? null : this.headSelection.headIdx;
+        const rollout = this.bevMode === 'rollout';
+        this.visualizer.ensureHeads({ meanHeads, headIdx, rollout }).catch((err) => {
+            console.error('Failed to load attention heads:', err);
+            this.showError(`Failed to load attention: ${err.message}`);
+        });
+    }
+    
+    /**
+     * Switch the visualizer to another layer (or the mean over layers) and mirror it in ?layer=.
+     */
+    setLayer(layer) {
+        if (!this.attnLayers || !this.visualizer) return;
+        const tensor = this.attnLayers.getTensor(layer);
+        this.layerSelection = layer;
+        this.visualizer.setAttentionTensor(tensor);
+        this.subscribeHeadReady();
+        
+        const url = new URL(window.location.href);
+        url.searchParams.set('layer', String(layer));
+        window.history.replaceState({}, '', url.toString());
+        
+        this.updateHeadLoadStatus();
+        this.requestSelectedHeads();
+        this.updateBEVView();
+    }
+    
+    /**
+     * Toggle the BEV heatmap between the selected layer and attention rollout through all
+     * layers, and mirror it in ?bev=.
+     * @param {'layer'|'rollout'} mode
+     */
+    setBevMode(mode) {
+        if (!this.attnLayers || !this.visualizer) return;
+        this.bevMode = mode === 'rollout' ? 'rollout' : 'layer';
+        this.controls?.setBevMode(this.bevMode, this.attnLayers.numLayers > 1);
+        this.subscribeHeadReady();
+        
+        const url = new URL(window.location.href);
+        if (this.bevMode === 'rollout') {
+            url.searchParams.set('bev', 'rollout');
+        } else {
+            url.searchParams.delete('bev');
+        }
+        window.history.replaceState({}, '', url.toString());
+        
+        this.updateHeadLoadStatus();
+        this.requestSelectedHeads();
+        this.updateBEVView();
+    }
+    
+    /**
+     * Listen for heads of the tensor the BEV currently shows (every layer for rollout).
+     */
+    subscribeHeadReady() {
+        this.unsubscribeHeadReady?.();
+        const tensor = this.bevMode === 'rollout'
+            ? this.attnLayers.getLayerMean()
+            : this.attnLayers.getTensor(this.layerSelection);
+        this.unsubscribeHeadReady = tensor.onHeadReady((headIdx) => this.onAttentionHeadReady(headIdx));
+    }
+    
+    /**
+     * Label the mean option with how many heads the current view has so far.
+     */
+    updateHeadLoadStatus() {
+        const ready = this.visualizer.getReadyHeadCount(this.bevMode === 'rollout');
+        this.controls?.setHeadLoadStatus(ready, this.visualizer.getNumHeads());
+    }
+    
+    /**
+     * A lazily decoded head arrived: refresh the mean label and, if it is on screen, the BEV.
+     */
+    onAttentionHeadReady(headIdx) {
+        this.updateHeadLoadStatus();
+        const sel = this.headSelection;
+        if (sel.mode === 'mean' || sel.headIdx === headIdx) {
+            this.updateBEVView();
+        }
+    }
+    
+    /**
+     * Flip a region between positive (A) and negative (B) for the contrastive view.
+     */
+    toggleRegionPolarity(camName, index) {
+        const regions = this.regionsByCamera.get(camName) || [];
+        const region = regions[index];
+        if (!region) return;
+        if (region.polarity === 'negative') {
+            delete region.polarity;
+        } else {
+            region.polarity = 'negative';
+        }
+        this.updateRegionList();
+        this.updateBEVView();
+    }
+    
+    /**
+     * Set the fraction of a patch a lasso/polygon must cover, then refresh both views.
+     */
+    setMinPatchCoverage(coverage) {
+        if (!Number.isFinite(coverage)) return;
+        const valueEl = document.getElementById('coverage-value');
+        if (valueEl) valueEl.textContent = `${Math.round(coverage * 100)}%`;
+        if (!this.visualizer) return;
+        this.visualizer.setMinPatchCoverage(coverage);
+        this.cameraView?.render();
+        this.updateBEVView();
+    }
+    
+    /**
+     * Live preview of the region being dragged: refresh the BEV once per animation frame.
+     */
+    onRegionPreview(camName, region) {
+        this.previewRegion = region ? { camName, region } : null;
+        if (this.bevUpdateFrame) return;
+        this.bevUpdateFrame = requestAnimationFrame(() => {
+            this.bevUpdateFrame = 0;
+            this.updateBEVView();
+        });
+    }
+    
+    /**
+     * Update BEV view with all regions (plus the one being dragged, if any)
      */
     updateBEVView() {
         if (!this.bevView || !this.visualizer) {
@@ -468,8 +714,37 @@ class App {
             return;
         }
         
+        const maps = this.computeBevMaps();
+        const contrastControl = document.getElementById('contrast-control');
+        if (contrastControl) contrastControl.classList.toggle('hidden', !maps.contrastive);
+        if (maps.contrastive) {
+            this.bevView.setSignedMap(maps.signedMap);
+            return;
+        }
+        
+        this.bevView.setSignedMap(null);
+        this.bevView.setRegions(maps.overlays);
+    }
+    
+    /**
+     * BEV maps for the current regions: a signed contrastive map as soon as any region is
+     * negative, otherwise one overlay {bevMap, color, alpha, camName, region} per region.
+     * @param {Object} [options]
+     * @param {boolean} [options.includePreview=true] - Include the region being dragged
+     * @returns {{contrastive:boolean, signedMap?:Float32Array, overlays?:Array<Object>}}
+     */
+    computeBevMaps(options = {}) {
+        const { includePreview = true } = options;
+        const hasNegative = Array.from(this.regionsByCamera.values()).some(
+            regions => regions.some(region => region.polarity === 'negative')
+        );
+        // Any negative region switches to the signed A-vs-B view
+        if (hasNegative) {
+            return { contrastive: true, signedMap: this.computeContrastiveMap(includePreview) };
+        }
+        
         // Collect all regions from all cameras
-        const allRegions = [];
+        const overlays = [];
         
         this.regionsByCamera.forEach((regions, camName) => {
             regions.forEach(region => {
@@ -478,47 +753,216 @@ class App {
                     return;
                 }
                 
-                try {
-                    // Get patch indices for this region
-                    const patches = this.visualizer.getPatchIndicesForRegion(
-                        camName,
-                        region.xRange,
-                        region.yRange
-                    );
-                    
-                    if (patches.length === 0) {
-                        console.warn('No patches found for region:', region);
-                        return;
-                    }
-                    
-                    // Compute BEV attention map
-                    const meanHeads = this.headSelection.mode === 'mean';
-                    const headIdx = this.headSelection.mode === 'head' ? this.headSelection.headIdx : null;
-                    const bevMap = this.visualizer.getInverseAttention(patches, {
-                        meanHeads,
-                        headIdx,
-                        aggregation: 'sum'
-                    });
-                    
-                    // Ensure region has a color
-                    if (!region.color) {
-                        const fallbackId = Number.isFinite(region?.id) ? region.id : 1;
-                        region.color = getDistinctColor(fallbackId - 1);
-                    }
-                    
-                    allRegions.push({
-                        bevMap,
-                        color: region.color,
-                        alpha: 0.7
-                    });
-                } catch (error) {
-                    console.error('Error computing BEV map for region:', error, region);
+                // Ensure region has a color
+                if (!region.color) {
+                    const fallbackId = Number.isFinite(region?.id) ? region.id : 1;
+                    region.color = getDistinctColor(fallbackId - 1);
                 }
+                
+                const overlay = this.computeRegionOverlay(camName, region, region.color);
+                if (overlay) overlays.push(overlay);
             });
         });
         
-        console.log(`Updating BEV with ${allRegions.length} regions`);
-        this.bevView.setRegions(allRegions);
+        if (includePreview && this.previewRegion) {
+            // The dragged region gets the color it will have once added.
+            const { camName, region } = this.previewRegion;
+            const overlay = this.computeRegionOverlay(camName, region, getDistinctColor(this.nextRegionId - 1));
+            if (overlay) overlays.push(overlay);
+        }
+        
+        return { contrastive: false, overlays };
+    }
+    
+    /**
+     * Download the BEV heatmap ('png'), its raw values ('npy'), the settings sidecar ('json'),
+     * or all three ('all'). Files share a stem so they stay together.
+     *
+     * The NPY holds float32 [R, gridSize, gridSize] (one map per region, camera by camera),
+     * or [gridSize, gridSize] for the signed contrastive map; cell [y][x] is BEV query y*gridSize + x.
+     */
+    async exportCurrentView(format) {
+        if (!this.sceneData || !this.visualizer) return;
+        const stem = `${exportFileStem(this.sceneData.sceneUrl)}_inverse`;
+        const grid = this.visualizer.gridSize;
+        
+        try {
+            // A lazily loaded mean covers only the heads that have arrived; wait for the rest.
+            const meanHeads = this.headSelection.mode === 'mean';
+            const headIdx = meanHeads ? null : this.headSelection.headIdx;
+            const rollout = this.bevMode === 'rollout';
+            await this.visualizer.ensureHeads({ meanHeads, headIdx, rollout });
+            const readyHeads = meanHeads ? this.visualizer.getReadyHeadCount(rollout) : null;
+            if (meanHeads ? readyHeads < this.visualizer.getNumHeads() : !this.visualizer.isHeadReady(headIdx, rollout)) {
+                throw new Error(meanHeads
+                    ? `only ${readyHeads}/${this.visualizer.getNumHeads()} heads are loaded`
+                    : `head ${headIdx} is not loaded`);
+            }
+            
+            const maps = this.computeBevMaps({ includePreview: false });
+            let values;
+            let shape;
+            if (maps.contrastive) {
+                if (!maps.signedMap) {
+                    throw new Error('the contrastive map could not be computed (see the console)');
+                }
+                values = maps.signedMap;
+                shape = [grid, grid];
+            } else {
+                values = new Float32Array(maps.overlays.length * grid * grid);
+                maps.overlays.forEach((overlay, i) => values.set(overlay.bevMap, i * grid * grid));
+                shape = [maps.overlays.length, grid, grid];
+            }
+            
+            if (format === 'png' || format === 'all') {
+                await downloadCanvasPng(document.getElementById('bev-canvas'), `${stem}_bev.png`);
+            }
+            if (format === 'npy' || format === 'all') {
+                downloadNpy(values, shape, `${stem}_bev.npy`);
+            }
+            if (format === 'json' || format === 'all') {
+                downloadJson(this.buildExportSidecar(maps, shape, `${stem}_bev.npy`), `${stem}_bev.json`);
+            }
+        } catch (err) {
+            console.error('Export failed:', err);
+            this.showError(`Export failed: ${err.message}`);
+        }
+    }
+    
+    /**
+     * Everything needed to reproduce the exported figure.
+     */
+    buildExportSidecar(maps, shape, valuesFile) {
+        const zoomSelect = document.getElementById('bev-zoom-select');
+        const regions = [];
+        this.regionsByCamera.forEach((list, camName) => {
+            list.forEach(region => {
+                regions.push({
+                    camera: camName,
+                    id: region.id,
+                    shape: region.shape || 'rect',
+                    x_range: region.xRange,
+                    y_range: region.yRange,
+                    ...(region.polygon ? { polygon: region.polygon } : {}),
+                    polarity: region.polarity || 'positive',
+                    color: region.color
+                });
+            });
+        });
+        
+        return {
+            app: 'inverse_attention',
+            exported_at: new Date().toISOString(),
+            page_url: window.location.href,
+            scene_url: this.sceneData.sceneUrl,
+            layer: this.layerSelection,
+            bev_mode: this.bevMode,
+            heads: this.headSelection.mode === 'mean'
+                ? {
+                    mode: 'mean',
+                    ready_heads: this.visualizer.getReadyHeadCount(this.bevMode === 'rollout'),
+                    total_heads: this.visualizer.getNumHeads()
+                }
+                : { mode: 'head', index: this.headSelection.headIdx },
+            aggregation: maps.contrastive
+                ? {
+                    type: 'contrastive',
+                    contrast: this.contrast.mode,
+                    lambda: this.contrast.lambda,
+                    per_patch: this.bevMode === 'rollout' ? 'rollout' : 'mean'
+                }
+                : { type: this.bevMode === 'rollout' ? 'rollout' : 'sum' },
+            attention: {
+                shape: this.attnLayers?.shape,
+                requested_precision: this.attnLayers?.requestedPrecision,
+                selected_precision: this.attnLayers?.selectedPrecision,
+                fallback_used: this.attnLayers?.fallbackUsed
+            },
+            regions,
+            min_patch_coverage: this.visualizer.minPatchCoverage,
+            grid_size: this.visualizer.gridSize,
+            bev_range: this.visualizer.bevRange,
+            zoom_m: zoomSelect ? parseInt(zoomSelect.value, 10) : null,
+            values: {
+                file: valuesFile,
+                dtype: 'float32',
+                shape,
+                layout: maps.contrastive
+                    ? 'signed map [y][x]; BEV query = y * grid_size + x'
+                    : 'one map per region (see region_ids), [region][y][x]; BEV query = y * grid_size + x',
+                region_ids: maps.contrastive ? undefined : maps.overlays.map(o => o.region?.id)
+            }
+        };
+    }
+    
+    /**
+     * Signed map for positive regions (A, including the one being dragged) minus negative ones (B).
+     */
+    computeContrastiveMap(includePreview = true) {
+        const positive = new Set();
+        const negative = new Set();
+        const addPatches = (camName, region, target) => {
+            for (const idx of this.visualizer.getPatchIndicesForSelection(camName, region)) target.add(idx);
+        };
+        this.regionsByCamera.forEach((regions, camName) => {
+            regions.forEach(region => {
+                if (!region.xRange || !region.yRange) return;
+                addPatches(camName, region, region.polarity === 'negative' ? negative : positive);
+            });
+        });
+        if (includePreview && this.previewRegion) {
+            addPatches(this.previewRegion.camName, this.previewRegion.region, positive);
+        }
+        
+        try {
+            const meanHeads = this.headSelection.mode === 'mean';
+            const headIdx = this.headSelection.mode === 'head' ? this.headSelection.headIdx : null;
+            return this.visualizer.getContrastiveAttention(Array.from(positive), Array.from(negative), {
+                meanHeads,
+                headIdx,
+                contrast: this.contrast.mode,
+                lambda: this.contrast.lambda,
+                aggregation: this.bevMode === 'rollout' ? 'rollout' : 'mean'
+            });
+        } catch (error) {
+            console.error('Error computing contrastive BEV map:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * BEV overlay {bevMap, color, alpha} for one image region, or null if it covers no patches.
+     */
+    computeRegionOverlay(camName, region, color) {
+        try {
+            // Get patch indices for this region (rectangle, lasso or polygon)
+            const patches = this.visualizer.getPatchIndicesForSelection(camName, region);
+            
+            if (patches.length === 0) {
+                console.warn('No patches found for region:', region);
+                return null;
+            }
+            
+            // Compute BEV attention map
+            const meanHeads = this.headSelection.mode === 'mean';
+            const headIdx = this.headSelection.mode === 'head' ? this.headSelection.headIdx : null;
+            const bevMap = this.visualizer.getInverseAttention(patches, {
+                meanHeads,
+                headIdx,
+                aggregation: this.bevMode === 'rollout' ? 'rollout' : 'sum'
+            });
+            
+            return {
+                bevMap,
+                color,
+                alpha: 0.7,
+                camName,
+                region
+            };
+        } catch (error) {
+            console.error('Error computing BEV map for region:', error, region);
+            return null;
+        }
     }
     
     /**
@@ -567,11 +1011,17 @@ class App {
     
     /**
      * Show/hide loading state
+     * @param {?number} progress - Attention load progress in [0, 1]; null shows the generic message
      */
-    showLoading() {
+    showLoading(progress = null) {
         if (this.loadingEl) {
             this.loadingEl.classList.remove('hidden');
         }
+        if (this.loadingTextEl) {
+            this.loadingTextEl.textContent = Number.isFinite(progress)
+                ? `Loading attention... ${Math.round(progress * 100)}%`
+                : 'Loading scene data...';
+        }
     }
     
     hideLoading() {
@@ -609,6 +1059,11 @@ document.addEventListener('DOMContentLoaded', () => {
     const app = new App();
     const urlParams = new URLSearchParams(window.location.search);
     const attnPrecision = App.normalizeAttnPrecision(urlParams.get('attn_precision') || 'auto');
+    // ?head=N opens on a single head, so only that head is fetched up front.
+    const headParam = parseInt(urlParams.get('head') || '', 10);
+    const headIdx = Number.isInteger(headParam) && headParam >= 0 ? headParam : null;
+    const layer = App.parseLayerParam(urlParams.get('layer')) ?? 0;
+    const bevMode = urlParams.get('bev') === 'rollout' ? 'rollout' : 'layer';
 
     const dockContainer = document.getElementById('context-dock');
     const initDock = async () => {
@@ -649,7 +1104,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const bevBase = urlParams.get('bev_base') || '';
         if (bevBase) app.setUserBevBaseOverride(new URL(bevBase, window.location.href).toString());
-        app.loadScene(scenePath, { attnPrecision });
+        app.loadScene(scenePath, { attnPrecision, headIdx, layer, bevMode });
         window.app = app;
     })();
 });
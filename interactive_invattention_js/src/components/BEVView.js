@@ -3,7 +3,7 @@
  * Displays BEV attention heatmap
  */
 
-import { BEVFrameRenderer } from '../../../shared/BEVFrameRenderer.js';
+import { BEVFrameRenderer } from '../../../shared/BEVFrameRenderer.js?v=2026-10-18-inv-contrast-v1';
 import { metersToCenteredWindow } from '../../../shared/BEVViewWindow.js';
 
 export class BEVView {
@@ -30,6 +30,7 @@ export class BEVView {
         this.baseImageLoadToken = 0;
         this.lidarPts = null;
         this.regions = []; // Array of {bevMap, color, alpha}
+        this.signedMap = null; // Contrastive map; replaces the region overlays while set
         
         // Set canvas size
         this.resizeCanvas();
@@ -103,11 +104,22 @@ export class BEVView {
         this.render();
     }
     
+    /**
+     * Show a signed (contrastive) map with a diverging colormap instead of the region overlays.
+     * @param {Float32Array|null} bevMap - Row-major [gridSize*gridSize], or null to go back to regions
+     */
+    setSignedMap(bevMap) {
+        if (!bevMap && !this.signedMap) return;
+        this.signedMap = bevMap || null;
+        this.render();
+    }
+    
     /**
      * Clear all regions
      */
     clearRegions() {
         this.regions = [];
+        this.signedMap = null;
         this.render();
     }
 
@@ -135,8 +147,12 @@ export class BEVView {
             this.renderer.renderLidarPoints(this.lidarPts, 'grey', 0.1, 1); // 10% alpha
         }
         
-        // Render multi-region overlays
-        if (this.regions.length > 0) this.renderer.renderRegions(this.regions);
+        // Render the contrastive map, or multi-region overlays
+        if (this.signedMap) {
+            this.renderer.renderSignedMap(this.signedMap);
+        } else if (this.regions.length > 0) {
+            this.renderer.renderRegions(this.regions);
+        }
         
         // Render grid
         this.renderer.renderGrid('white', 0.1);
@@ -3,7 +3,7 @@
  * Displays camera image with interactive region selection
  */
 
-import { CameraRenderer } from '../renderers/CameraRenderer.js';
+import { CameraRenderer } from '../renderers/CameraRenderer.js?v=2026-10-18-inv-lasso-v1';
 import { getDistinctColor } from '../utils/colorUtils.js';
 
 export class CameraView {
@@ -13,13 +13,16 @@ export class CameraView {
      * @param {Function} onRegionAdd - Callback when region is added
      * @param {Function} onRegionDelete - Callback when region is deleted
      * @param {Object} visualizer - InverseAttentionVisualizer instance
+     * @param {Function} [onRegionPreview] - Called on every pointer move while drawing with
+     *   (camName, region), and with (camName, null) when the drawing ends
      */
-    constructor(container, canvas, onRegionAdd, onRegionDelete, visualizer = null) {
+    constructor(container, canvas, onRegionAdd, onRegionDelete, visualizer = null, onRegionPreview = null) {
         this.container = container;
         this.canvas = canvas;
         this.onRegionAdd = onRegionAdd;
         this.onRegionDelete = onRegionDelete;
         this.visualizer = visualizer;
+        this.onRegionPreview = onRegionPreview;
         
         this.renderer = new CameraRenderer(canvas);
         this.currentCamera = null;
@@ -32,12 +35,18 @@ export class CameraView {
         this.dragStart = null;
         this.dragEnd = null;
         this.activePointerId = null;
+        
+        // Region tool: 'rect' (drag), 'lasso' (freehand drag) or 'polygon' (click vertices)
+        this.tool = 'rect';
+        this.lassoPoints = null;
+        this.polygonPoints = null;
+        this.polygonHover = null;
 
         this.setupEventListeners();
     }
     
     /**
-     * Setup event listeners for drag-to-select
+     * Setup event listeners for drag-to-select (rectangle and lasso) and click-to-add (polygon)
      */
     setupEventListeners() {
         // Touch-first pointer interaction for drag-to-select on mobile and desktop.
@@ -48,23 +57,43 @@ export class CameraView {
             if (e.button !== undefined && e.button !== 0) return;
 
             const { x, y } = this._eventToCanvasXY(e);
+            e.preventDefault();
+
+            if (this.tool === 'polygon') {
+                this._addPolygonVertex(x, y);
+                return;
+            }
+
             this.activePointerId = e.pointerId ?? null;
             this.isDragging = true;
             this.dragStart = { x, y };
             this.dragEnd = { x, y };
+            this.lassoPoints = this.tool === 'lasso' ? [[x, y]] : null;
             this.canvas.setPointerCapture?.(e.pointerId);
-            e.preventDefault();
             this.render();
         });
 
         this.canvas.addEventListener('pointermove', (e) => {
+            if (this.tool === 'polygon') {
+                if (!this.polygonPoints) return;
+                const { x, y } = this._eventToCanvasXY(e);
+                this.polygonHover = [x, y];
+                this.render();
+                this._emitPreview(this._getPolygonDraftRegion());
+                return;
+            }
             if (!this.isDragging) return;
             if (this.activePointerId !== null && e.pointerId !== this.activePointerId) return;
 
             const { x, y } = this._eventToCanvasXY(e);
             this.dragEnd = { x, y };
+            if (this.lassoPoints) {
+                const [lx, ly] = this.lassoPoints[this.lassoPoints.length - 1];
+                if (Math.hypot(x - lx, y - ly) >= 3) this.lassoPoints.push([x, y]);
+            }
             e.preventDefault();
             this.render();
+            this._emitPreview(this._getDragRegion());
         });
 
         const finishDrag = (e) => {
@@ -75,21 +104,14 @@ export class CameraView {
             this.dragEnd = { x, y };
 
             // Finalize selection.
-            const x1 = Math.min(this.dragStart.x, this.dragEnd.x);
-            const x2 = Math.max(this.dragStart.x, this.dragEnd.x);
-            const y1 = Math.min(this.dragStart.y, this.dragEnd.y);
-            const y2 = Math.max(this.dragStart.y, this.dragEnd.y);
-
-            // Lower threshold to make finger drag easier on phones.
-            if (Math.abs(x2 - x1) > 6 && Math.abs(y2 - y1) > 6) {
-                this.addRegion([x1, x2], [y1, y2]);
+            const region = this._getDragRegion();
+            this._emitPreview(null);
+            if (region) {
+                this._commitRegion(region);
             }
 
             this.canvas.releasePointerCapture?.(e.pointerId);
-            this.isDragging = false;
-            this.dragStart = null;
-            this.dragEnd = null;
-            this.activePointerId = null;
+            this._resetDrag();
             e.preventDefault();
             this.render();
         };
@@ -97,15 +119,150 @@ export class CameraView {
         this.canvas.addEventListener('pointerup', finishDrag);
         this.canvas.addEventListener('pointercancel', finishDrag);
         this.canvas.addEventListener('pointerleave', (e) => {
+            if (this.tool === 'polygon' && this.polygonHover) {
+                this.polygonHover = null;
+                this.render();
+                return;
+            }
             // Keep drag active when pointer is captured; otherwise cancel.
             if (!this.isDragging) return;
             if (this.canvas.hasPointerCapture?.(e.pointerId)) return;
-            this.isDragging = false;
-            this.dragStart = null;
-            this.dragEnd = null;
-            this.activePointerId = null;
+            this._resetDrag();
+            this._emitPreview(null);
             this.render();
         });
+
+        // Polygon: double-click (or clicking the first vertex, or Enter) closes, Escape cancels.
+        this.canvas.addEventListener('dblclick', (e) => {
+            if (this.tool !== 'polygon') return;
+            e.preventDefault();
+            this._closePolygon();
+        });
+        this._onKeyDown = (e) => {
+            if (!this.polygonPoints) return;
+            if (e.key === 'Escape') {
+                this._cancelPolygon();
+            } else if (e.key === 'Enter') {
+                this._closePolygon();
+            }
+        };
+        window.addEventListener('keydown', this._onKeyDown);
+    }
+
+    /**
+     * Remove the window listener; call before replacing this view (e.g. on scene change).
+     */
+    destroy() {
+        if (this._onKeyDown) window.removeEventListener('keydown', this._onKeyDown);
+        this._onKeyDown = null;
+    }
+
+    /**
+     * Select the drawing tool for new regions.
+     * @param {'rect'|'lasso'|'polygon'} tool
+     */
+    setTool(tool) {
+        this.tool = tool === 'lasso' || tool === 'polygon' ? tool : 'rect';
+        this._resetDrag();
+        this._cancelPolygon();
+    }
+
+    _resetDrag() {
+        this.isDragging = false;
+        this.dragStart = null;
+        this.dragEnd = null;
+        this.lassoPoints = null;
+        this.activePointerId = null;
+    }
+
+    _addPolygonVertex(x, y) {
+        const points = this.polygonPoints || [];
+        if (points.length > 0) {
+            const [lx, ly] = points[points.length - 1];
+            // The second click of a double-click lands on the last vertex; ignore it.
+            if (Math.hypot(x - lx, y - ly) < 3) return;
+            const [fx, fy] = points[0];
+            if (points.length >= 3 && Math.hypot(x - fx, y - fy) < 10) {
+                this._closePolygon();
+                return;
+            }
+        }
+        points.push([x, y]);
+        this.polygonPoints = points;
+        this.render();
+        this._emitPreview(this._getPolygonDraftRegion());
+    }
+
+    _closePolygon() {
+        const region = this.polygonPoints ? this._polygonRegion(this.polygonPoints, 'polygon') : null;
+        this.polygonPoints = null;
+        this.polygonHover = null;
+        this._emitPreview(null);
+        if (region) {
+            this._commitRegion(region);
+        }
+        this.render();
+    }
+
+    _cancelPolygon() {
+        if (!this.polygonPoints) return;
+        this.polygonPoints = null;
+        this.polygonHover = null;
+        this._emitPreview(null);
+        this.render();
+    }
+
+    /**
+     * Region for a polygon outline (bounding box kept as xRange/yRange), or null while too small.
+     */
+    _polygonRegion(points, shape) {
+        if (!points || points.length < 3) return null;
+        const xs = points.map(p => p[0]);
+        const ys = points.map(p => p[1]);
+        const xRange = [Math.min(...xs), Math.max(...xs)];
+        const yRange = [Math.min(...ys), Math.max(...ys)];
+        if (xRange[1] - xRange[0] <= 6 || yRange[1] - yRange[0] <= 6) return null;
+        return { shape, polygon: points.map(p => [p[0], p[1]]), xRange, yRange };
+    }
+
+    _getPolygonDraftRegion() {
+        if (!this.polygonPoints) return null;
+        const points = this.polygonHover ? [...this.polygonPoints, this.polygonHover] : this.polygonPoints;
+        return this._polygonRegion(points, 'polygon');
+    }
+
+    /**
+     * Current drag selection as a region, or null while it is too small to count.
+     */
+    _getDragRegion() {
+        if (this.lassoPoints) {
+            return this._polygonRegion(this.lassoPoints, 'lasso');
+        }
+        if (!this.dragStart || !this.dragEnd) return null;
+        const x1 = Math.min(this.dragStart.x, this.dragEnd.x);
+        const x2 = Math.max(this.dragStart.x, this.dragEnd.x);
+        const y1 = Math.min(this.dragStart.y, this.dragEnd.y);
+        const y2 = Math.max(this.dragStart.y, this.dragEnd.y);
+
+        // Lower threshold to make finger drag easier on phones.
+        if (Math.abs(x2 - x1) > 6 && Math.abs(y2 - y1) > 6) {
+            return { xRange: [x1, x2], yRange: [y1, y2] };
+        }
+        return null;
+    }
+
+    _commitRegion(region) {
+        if (region.polygon) {
+            this.onRegionAdd(this.currentCamera, region);
+        } else {
+            this.addRegion(region.xRange, region.yRange);
+        }
+    }
+
+    _emitPreview(region) {
+        if (typeof this.onRegionPreview === 'function') {
+            this.onRegionPreview(this.currentCamera, region);
+        }
     }
 
     _eventToCanvasXY(e) {
@@ -134,6 +291,7 @@ export class CameraView {
      * Set current camera and image
      */
     setCamera(camName, image, patchInfo) {
+        this._cancelPolygon();
         this.currentCamera = camName;
         this.currentImage = image;
         this.currentPatchInfo = patchInfo;
@@ -203,24 +361,9 @@ export class CameraView {
         
         // Highlight patches for all regions
         if (this.currentPatchInfo && this.regions.length > 0 && this.visualizer) {
-            // Collect all patch indices for all regions
-            const allPatches = [];
-            this.regions.forEach(region => {
-                const patches = this.visualizer.getPatchIndicesForRegion(
-                    this.currentCamera,
-                    region.xRange,
-                    region.yRange
-                );
-                allPatches.push(...patches);
-            });
-            
             // Highlight patches with region colors
             this.regions.forEach((region, idx) => {
-                const patches = this.visualizer.getPatchIndicesForRegion(
-                    this.currentCamera,
-                    region.xRange,
-                    region.yRange
-                );
+                const patches = this.visualizer.getPatchIndicesForSelection(this.currentCamera, region);
                 this.renderer.highlightPatches(
                     patches,
                     this.currentPatchInfo,
@@ -236,8 +379,14 @@ export class CameraView {
             this.renderer.renderRegionBoundaries(this.regions);
         }
         
-        // Render drag selection rectangle
-        if (this.isDragging && this.dragStart && this.dragEnd) {
+        // Render in-progress lasso / polygon
+        if (this.lassoPoints) {
+            this.renderer.renderSelectionPolygon(this.lassoPoints, true);
+        } else if (this.polygonPoints) {
+            const points = this.polygonHover ? [...this.polygonPoints, this.polygonHover] : this.polygonPoints;
+            this.renderer.renderSelectionPolygon(points, false);
+        } else if (this.isDragging && this.dragStart && this.dragEnd) {
+            // Render drag selection rectangle
             this.renderer.renderSelectionRect(
                 this.dragStart.x,
                 this.dragStart.y,
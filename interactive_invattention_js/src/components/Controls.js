@@ -1,17 +1,22 @@
 /**
  * Controls Component
- * UI controls for head selection and zoom.
+ * UI controls for layer/head selection and zoom.
  */
 
 export class Controls {
     /**
      * @param {HTMLElement} container - Container element
      * @param {Function} onHeadChange - Callback when head selection changes
+     * @param {Function} [onZoomChange] - Callback with the zoom in meters
+     * @param {Function} [onLayerChange] - Callback with a layer index or 'mean'
+     * @param {Function} [onBevModeChange] - Callback with 'layer' or 'rollout'
      */
-    constructor(container, onHeadChange, onZoomChange = null) {
+    constructor(container, onHeadChange, onZoomChange = null, onLayerChange = null, onBevModeChange = null) {
         this.container = container;
         this.onHeadChange = onHeadChange;
         this.onZoomChange = onZoomChange;
+        this.onLayerChange = onLayerChange;
+        this.onBevModeChange = onBevModeChange;
         
         this.headSelection = { mode: 'mean', headIdx: null };
         
@@ -34,6 +39,28 @@ export class Controls {
             });
         }
 
+        // Layer selector (only shown for multi-layer scenes)
+        const layerSelect = this.container.querySelector('#layer-select');
+        if (layerSelect) {
+            layerSelect.addEventListener('change', (e) => {
+                const val = e.target.value;
+                const layer = val === 'mean' ? 'mean' : parseInt(val, 10);
+                if (typeof this.onLayerChange === 'function' && (layer === 'mean' || Number.isInteger(layer))) {
+                    this.onLayerChange(layer);
+                }
+            });
+        }
+
+        // Single layer vs rollout through all layers (multi-layer scenes)
+        const bevModeSelect = this.container.querySelector('#bev-mode-select');
+        if (bevModeSelect) {
+            bevModeSelect.addEventListener('change', (e) => {
+                if (typeof this.onBevModeChange === 'function') {
+                    this.onBevModeChange(e.target.value);
+                }
+            });
+        }
+
         // Head selector
         const headSelect = this.container.querySelector('#heads-select');
         if (headSelect) {
@@ -50,6 +77,59 @@ export class Controls {
         }
     }
 
+    /**
+     * @param {Array<string>} layerNames - One name per attention layer
+     * @param {number|'mean'} selection - Current layer index or 'mean'
+     */
+    setLayerOptions(layerNames, selection) {
+        const layerSelect = this.container.querySelector('#layer-select');
+        if (!layerSelect) return;
+        const layerControl = this.container.querySelector('#layer-control');
+        if (layerControl) {
+            layerControl.classList.toggle('hidden', layerNames.length <= 1);
+        }
+
+        layerSelect.innerHTML = '';
+        layerNames.forEach((name, idx) => {
+            const opt = document.createElement('option');
+            opt.value = String(idx);
+            opt.textContent = name;
+            layerSelect.appendChild(opt);
+        });
+        const optMean = document.createElement('option');
+        optMean.value = 'mean';
+        optMean.textContent = 'Mean over layers';
+        layerSelect.appendChild(optMean);
+        layerSelect.value = String(selection);
+    }
+
+    /**
+     * @param {'layer'|'rollout'} mode - Current BEV view
+     * @param {boolean} available - Rollout needs more than one layer
+     */
+    setBevMode(mode, available) {
+        const bevModeControl = this.container.querySelector('#bev-mode-control');
+        if (bevModeControl) {
+            bevModeControl.classList.toggle('hidden', !available);
+        }
+        const bevModeSelect = this.container.querySelector('#bev-mode-select');
+        if (bevModeSelect) {
+            bevModeSelect.value = mode;
+        }
+        // Rollout always spans every layer, so the layer choice does not apply.
+        const layerSelect = this.container.querySelector('#layer-select');
+        if (layerSelect) {
+            layerSelect.disabled = mode === 'rollout';
+        }
+    }
+
+    /**
+     * Preselect a head (e.g. from the URL) before setHeadOptions() builds the list.
+     */
+    setHeadSelection(selection) {
+        this.headSelection = selection;
+    }
+
     setHeadOptions(nHeads) {
         const headSelect = this.container.querySelector('#heads-select');
         if (!headSelect) return;
@@ -77,6 +157,17 @@ export class Controls {
             this.headSelection = { mode: 'mean', headIdx: null };
         }
     }
+
+    /**
+     * Heads are decoded lazily; label the mean option while it is still partial.
+     */
+    setHeadLoadStatus(readyHeads, totalHeads) {
+        const optMean = this.container.querySelector('#heads-select option[value="mean"]');
+        if (!optMean) return;
+        optMean.textContent = readyHeads < totalHeads
+            ? `Mean over heads (${readyHeads}/${totalHeads} loaded)`
+            : 'Mean over heads';
+    }
     
     /**
      * Get current head selection
@@ -2,9 +2,9 @@
  * Data loader for scene JSON files
  */
 
-import { InverseAttentionVisualizer } from './inverseAttention.js';
+import { InverseAttentionVisualizer } from './inverseAttention.js?v=2026-10-18-export-heads-v1';
 import { orderCameraNamesForUi } from '../../shared/cameraOrder.js';
-import { loadAttentionAsFloat32 } from '../../shared/attentionDecode.js?v=2026-02-10-attn-decode-v2';
+import { openAttentionLayers } from '../../shared/attentionDecode.js?v=2026-10-18-asset-cache-v3';
 
 function loadImageFromUrl(url) {
     return new Promise((resolve, reject) => {
@@ -20,7 +20,10 @@ function loadImageFromUrl(url) {
  * 
  * @param {string} jsonPath - Path to JSON scene file
  * @param {Object} options
- * @param {string} options.attnPrecision - auto|int8|int4|fp32
+ * @param {string} options.attnPrecision - auto|int8|int4|fp16|fp32|topk
+ * @param {number|'mean'} [options.layer] - Attention layer index, or 'mean' over layers
+ * @param {?number} [options.initialHeadIdx] - Head shown first; null = mean over heads
+ * @param {(p:{phase:string, fraction:number}) => void} [options.onProgress] - Progress of the first head
  * @returns {Promise<Object>} Loaded scene data with visualizer
  */
 export async function loadSceneData(jsonPath, options = {}) {
@@ -123,21 +126,20 @@ export async function loadSceneData(jsonPath, options = {}) {
         
         // Load attention weights from manifest-linked binary variants only.
         console.log('Loading attention weights...');
-        const loaded = await loadAttentionAsFloat32(
-            data,
-            jsonUrl,
-            options.attnPrecision || 'auto'
-        );
-        const attnWeights = loaded.float32;
-        const attnWeightsShape = loaded.shape;
+        // Heads are decoded lazily: wait for the one shown first, the rest stream in afterwards.
+        const attnLayers = openAttentionLayers(data, jsonUrl, options.attnPrecision || 'auto');
+        let layerSelection = options.layer ?? 0;
+        if (layerSelection !== 'mean' && !(Number.isInteger(layerSelection) && layerSelection < attnLayers.numLayers)) {
+            console.warn(`Attention layer ${layerSelection} not available; showing layer 0.`);
+            layerSelection = 0;
+        }
+        const attnTensor = attnLayers.getTensor(layerSelection);
+        const attnWeightsShape = attnTensor.shape;
+        const initialHeadIdx = Number.isInteger(options.initialHeadIdx) ? options.initialHeadIdx : null;
+        await attnTensor.loadHead(initialHeadIdx ?? 0, { onProgress: options.onProgress });
         console.log(
-            `  Attention loaded as Float32Array (${attnWeights.length} elements, shape: ${attnWeightsShape.join(', ')}, selected=${loaded.selectedPrecision})`
+            `  Attention head ${initialHeadIdx ?? 0} loaded (shape: ${attnWeightsShape.join(', ')}, selected=${attnLayers.selectedPrecision})`
         );
-        if (loaded.fallbackUsed) {
-            console.warn(
-                `  Attention precision fallback used (requested=${loaded.requestedPrecision}, selected=${loaded.selectedPrecision})`
-            );
-        }
         
         // LiDAR points
         const lidarPts = data.lidar_pts || null;
@@ -145,7 +147,7 @@ export async function loadSceneData(jsonPath, options = {}) {
         // Create visualizer
         console.log('Initializing visualizer...');
         const visualizer = new InverseAttentionVisualizer(
-            attnWeights,
+            attnTensor,
             cameraImages,
             data.image_names,
             {
@@ -153,6 +155,7 @@ export async function loadSceneData(jsonPath, options = {}) {
                 patchSize,
                 bevRange,
                 hasClsTokens,
+                tokenLayout: data.token_layout || null,
                 originalImages,
                 attnWeightsShape // Pass shape for flat array format
             }
@@ -181,11 +184,15 @@ export async function loadSceneData(jsonPath, options = {}) {
         
         return {
             visualizer,
+            attnLayers,
+            attnTensor,
+            layerSelection,
             imageNames: data.image_names, // Original order for data processing
             imageDisplayOrder, // Custom order for visual display
             originalImages,
             lidarPts,
-            metadata
+            metadata,
+            sceneUrl: jsonUrl.toString()
         };
         
     } catch (error) {
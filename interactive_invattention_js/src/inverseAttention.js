@@ -4,168 +4,74 @@
  * Core logic for computing inverse attention: given image regions,
  * which BEV queries attend to those regions?
  * 
- * Ported from attention_viz/inverse_attention.py
+ * Ported from attention_viz/inverse_attention.py. Token layout, head reduction and the
+ * basic patch -> query lookup live in shared/attentionCore.js; this adds region selection,
+ * rollout through layers and contrastive maps.
  */
 
-class PatchInfo {
-    constructor(camName, camIdx, startIdx, nPatches, patchH, patchW, imgH, imgW, hScale, wScale) {
-        this.camName = camName;
-        this.camIdx = camIdx;
-        this.startIdx = startIdx;
-        this.nPatches = nPatches;
-        this.patchH = patchH;
-        this.patchW = patchW;
-        this.imgH = imgH;
-        this.imgW = imgW;
-        this.hScale = hScale;
-        this.wScale = wScale;
+import { AttentionCore, PatchInfo } from '../../shared/attentionCore.js?v=2026-10-18-token-layout-v1';
+
+/**
+ * Clip a polygon to an axis-aligned rectangle (Sutherland-Hodgman).
+ * @param {Array<Array<number>>} points - [[x, y], ...]
+ * @returns {Array<Array<number>>}
+ */
+function clipPolygonToRect(points, x0, y0, x1, y1) {
+    const edges = [
+        [(p) => p[0] >= x0, (a, b) => [x0, a[1] + (b[1] - a[1]) * (x0 - a[0]) / (b[0] - a[0])]],
+        [(p) => p[0] <= x1, (a, b) => [x1, a[1] + (b[1] - a[1]) * (x1 - a[0]) / (b[0] - a[0])]],
+        [(p) => p[1] >= y0, (a, b) => [a[0] + (b[0] - a[0]) * (y0 - a[1]) / (b[1] - a[1]), y0]],
+        [(p) => p[1] <= y1, (a, b) => [a[0] + (b[0] - a[0]) * (y1 - a[1]) / (b[1] - a[1]), y1]]
+    ];
+    let out = points;
+    for (const [inside, intersect] of edges) {
+        if (out.length === 0) break;
+        const input = out;
+        out = [];
+        for (let i = 0; i < input.length; i++) {
+            const cur = input[i];
+            const prev = input[(i + input.length - 1) % input.length];
+            if (inside(cur)) {
+                if (!inside(prev)) out.push(intersect(prev, cur));
+                out.push(cur);
+            } else if (inside(prev)) {
+                out.push(intersect(prev, cur));
+            }
+        }
     }
+    return out;
 }
 
-class InverseAttentionVisualizer {
+/**
+ * Unsigned polygon area (shoelace).
+ */
+function polygonArea(points) {
+    let twice = 0;
+    for (let i = 0; i < points.length; i++) {
+        const [xa, ya] = points[i];
+        const [xb, yb] = points[(i + 1) % points.length];
+        twice += xa * yb - xb * ya;
+    }
+    return Math.abs(twice) / 2;
+}
+
+class InverseAttentionVisualizer extends AttentionCore {
     /**
      * Initialize inverse attention visualizer.
      * 
-     * @param {Array} attnWeights - Attention weights [1][H][Q][K]
+     * @param {AttentionTensor|Array} attnWeights - Attention weights [1][H][Q][K], flat, or a lazily
+     *   decoded AttentionTensor (shared/attentionDecode.js) whose heads arrive one at a time
      * @param {Array} cameraImages - List of camera images (scaled to patch boundaries)
      * @param {Array} cameraNames - List of camera names
-     * @param {Object} options - Configuration options
+     * @param {Object} options - AttentionCore options plus minPatchCoverage
      */
     constructor(attnWeights, cameraImages, cameraNames, options = {}) {
-        // Handle both nested array format and flat array format (including TypedArrays)
-        if (attnWeights instanceof Float32Array || attnWeights instanceof ArrayBuffer) {
-            // Flat array format (TypedArray or ArrayBuffer) - store as flat and use index calculations
-            if (attnWeights instanceof ArrayBuffer) {
-                this.attnWeightsFlat = new Float32Array(attnWeights);
-            } else {
-                this.attnWeightsFlat = attnWeights;
-            }
-            this.attnWeightsShape = options.attnWeightsShape || [1, 8, 1024, 1645];
-            this.attnWeights = null; // Will use flat access
-        } else if (Array.isArray(attnWeights) && attnWeights.length > 0 && typeof attnWeights[0] === 'number') {
-            // Flat array format (regular array) - convert to TypedArray for efficiency
-            this.attnWeightsFlat = new Float32Array(attnWeights);
-            this.attnWeightsShape = options.attnWeightsShape || [1, 8, 1024, 1645];
-            this.attnWeights = null;
-        } else {
-            // Nested array format (legacy)
-            this.attnWeights = attnWeights; // [1][H][Q][K]
-            this.attnWeightsFlat = null;
-            this.attnWeightsShape = null;
-        }
-        
-        this.cameraImages = cameraImages;
-        this.originalImages = options.originalImages || cameraImages;
-        this.cameraNames = cameraNames;
-        
-        this.gridSize = options.gridSize || 32;
-        this.patchSize = options.patchSize || 14;
-        this.bevRange = options.bevRange || [-40, 40, -40, 40];
-        this.hasClsTokens = options.hasClsTokens !== undefined ? options.hasClsTokens : true;
-        
-        this.nQueries = this.gridSize * this.gridSize;
-        
-        // Determine number of heads
-        if (this.attnWeightsShape) {
-            this.nHeads = this.attnWeightsShape[1]; // Second dimension
-        } else {
-            this.nHeads = attnWeights[0].length;
-        }
-        
-        // Build patch info for each camera
-        this._patchInfo = this._buildPatchInfo();
-        this._nameToInfo = {};
-        this._patchInfo.forEach(info => {
-            this._nameToInfo[info.camName] = info;
-        });
-    }
-    
-    /**
-     * Build mapping of cameras to their patch indices.
-     * @returns {Array<PatchInfo>}
-     */
-    _buildPatchInfo() {
-        const infos = [];
-        let currentIdx = 0;
-        
-        // Sort cameras by name for consistency
-        const cameras = this.cameraNames.map((name, idx) => ({
-            name,
-            idx,
-            img: this.cameraImages[idx],
-            origImg: this.originalImages[idx]
-        })).sort((a, b) => a.name.localeCompare(b.name));
-        
-        cameras.forEach(({ name, idx, img, origImg }) => {
-            // Get image dimensions
-            let H, W;
-            if (Array.isArray(img)) {
-                // Nested array format [C][H][W]
-                H = img[0].length;
-                W = img[0][0].length;
-            } else if (img instanceof Image || (img.height && img.width)) {
-                // Image object (HTMLImageElement or similar)
-                H = img.height;
-                W = img.width;
-            } else {
-                throw new Error(`Unknown image format for camera ${name}`);
-            }
-            
-            const patchH = Math.floor(H / this.patchSize);
-            const patchW = Math.floor(W / this.patchSize);
-            const nPatches = patchH * patchW;
-            
-            // Calculate scale factors
-            let origH, origW;
-            if (Array.isArray(origImg)) {
-                origH = origImg[0].length;
-                origW = origImg[0][0].length;
-            } else if (origImg instanceof Image || (origImg.height && origImg.width)) {
-                origH = origImg.height;
-                origW = origImg.width;
-            } else {
-                origH = H;
-                origW = W;
-            }
-            
-            const hScale = origH / H;
-            const wScale = origW / W;
-            
-            // Account for CLS token before this camera's patches
-            if (this.hasClsTokens) {
-                currentIdx += 1; // Skip CLS token
-            }
-            
-            infos.push(new PatchInfo(
-                name,
-                idx,
-                currentIdx,
-                nPatches,
-                patchH,
-                patchW,
-                H,
-                W,
-                hScale,
-                wScale
-            ));
-            
-            currentIdx += nPatches;
-        });
-        
-        return infos;
-    }
-    
-    /**
-     * Get patch info for a camera.
-     * @param {string} camName - Camera name
-     * @returns {PatchInfo}
-     */
-    getCameraInfo(camName) {
-        return this._nameToInfo[camName];
-    }
-
-    getNumHeads() {
-        return this.nHeads;
+        super(attnWeights, cameraImages, cameraNames, options);
+        this.attnLayers = null;
+        // Row sums per key-major index (see _getRowSums).
+        this._rowSumCache = new WeakMap();
+        // Fraction of a patch a lasso/polygon must cover for the patch to be selected.
+        this.minPatchCoverage = options.minPatchCoverage ?? 0.5;
     }
     
     /**
@@ -251,6 +157,70 @@ class InverseAttentionVisualizer {
         return indices;
     }
     
+    /**
+     * Get global patch indices covered by a polygon (freehand lasso or clicked polygon).
+     * 
+     * A patch is selected when the polygon covers at least `minCoverage` of its area
+     * (any overlap when minCoverage is 0). Assumes a simple (non self-intersecting) outline.
+     * 
+     * @param {string} camName - Camera name
+     * @param {Array<Array<number>>} polygon - [[x, y], ...] pixel vertices
+     * @param {number} minCoverage - Required covered fraction of each patch, 0..1 (default: minPatchCoverage)
+     * @returns {Array<number>} List of global patch indices
+     */
+    getPatchIndicesForPolygon(camName, polygon, minCoverage = this.minPatchCoverage) {
+        const info = this.getCameraInfo(camName);
+        if (!polygon || polygon.length < 3) return [];
+        
+        const cellW = this.patchSize * info.wScale;
+        const cellH = this.patchSize * info.hScale;
+        const xs = polygon.map(p => p[0]);
+        const ys = polygon.map(p => p[1]);
+        const patchXMin = Math.max(0, Math.floor(Math.min(...xs) / cellW));
+        const patchXMax = Math.min(info.patchW - 1, Math.floor(Math.max(...xs) / cellW));
+        const patchYMin = Math.max(0, Math.floor(Math.min(...ys) / cellH));
+        const patchYMax = Math.min(info.patchH - 1, Math.floor(Math.max(...ys) / cellH));
+        
+        const cellArea = cellW * cellH;
+        const indices = [];
+        for (let py = patchYMin; py <= patchYMax; py++) {
+            for (let px = patchXMin; px <= patchXMax; px++) {
+                const x0 = px * cellW;
+                const y0 = py * cellH;
+                const clipped = clipPolygonToRect(polygon, x0, y0, x0 + cellW, y0 + cellH);
+                if (clipped.length < 3) continue;
+                const coverage = polygonArea(clipped) / cellArea;
+                if (coverage > 0 && coverage >= minCoverage) {
+                    indices.push(info.startIdx + py * info.patchW + px);
+                }
+            }
+        }
+        
+        return indices;
+    }
+    
+    /**
+     * Get global patch indices for a selected region of any shape: a rectangle
+     * {xRange, yRange} or a lasso/polygon {polygon}.
+     * 
+     * @param {string} camName - Camera name
+     * @param {Object} region - Region as stored by CameraView
+     * @returns {Array<number>} List of global patch indices
+     */
+    getPatchIndicesForSelection(camName, region) {
+        if (Array.isArray(region.polygon)) {
+            return this.getPatchIndicesForPolygon(camName, region.polygon);
+        }
+        return this.getPatchIndicesForRegion(camName, region.xRange, region.yRange);
+    }
+    
+    /**
+     * @param {number} coverage - Fraction 0..1 used by getPatchIndicesForPolygon()
+     */
+    setMinPatchCoverage(coverage) {
+        this.minPatchCoverage = Math.max(0, Math.min(1, coverage));
+    }
+    
     /**
      * Get all patch indices for a camera.
      * @param {string} camName - Camera name
@@ -268,174 +238,204 @@ class InverseAttentionVisualizer {
     /**
      * Get BEV attention map for selected patches.
      * 
+     * 'sum', 'max' and 'mean' are AttentionCore.getInverseAttention(); cheap enough to
+     * recompute on every pointer move while dragging.
+     * 
      * @param {Array<number>} patchIndices - List of global patch indices
      * @param {Object} options - Computation options
      * @param {boolean} options.meanHeads - Average over attention heads (default: true)
      * @param {number} options.headIdx - Specific head index (ignored if meanHeads=true)
-     * @param {string} options.aggregation - How to combine attention: 'sum', 'max', or 'mean' (default: 'sum')
-     * @returns {Array<Array<number>>} BEV attention map [gridSize][gridSize]
+     * @param {string} options.aggregation - How to combine attention: 'sum', 'max', 'mean', or
+     *   'rollout' (summed attention rolled out through every layer, see _getRolloutAttention) (default: 'sum')
+     * @param {number} options.residual - Identity weight mixed into each layer for 'rollout' (default: 0.5)
+     * @returns {Float32Array} BEV attention map [gridSize*gridSize], row-major (index y*gridSize + x).
+     *   All zeros while a lazily decoded head is still loading.
      */
     getInverseAttention(patchIndices, options = {}) {
         const {
             meanHeads = true,
             headIdx = null,
-            aggregation = 'sum'
+            aggregation = 'sum',
+            residual = 0.5
         } = options;
         
-        let patchAttn;
-        
-        if (this.attnWeightsFlat) {
-            // Use flat array format - avoid creating nested structures
-            const Q = this.nQueries;
-            const H = this.nHeads;
-            
-            if (meanHeads) {
-                // Average over heads and extract patches
-                patchAttn = [];
-                for (let q = 0; q < Q; q++) {
-                    const qAttn = [];
-                    for (const kIdx of patchIndices) {
-                        let sum = 0;
-                        for (let h = 0; h < H; h++) {
-                            sum += this._getAttnFlat(0, h, q, kIdx);
-                        }
-                        qAttn.push(sum / H);
-                    }
-                    patchAttn.push(qAttn);
-                }
-            } else if (headIdx !== null) {
-                // Select specific head
-                patchAttn = [];
-                for (let q = 0; q < Q; q++) {
-                    const qAttn = [];
-                    for (const kIdx of patchIndices) {
-                        qAttn.push(this._getAttnFlat(0, headIdx, q, kIdx));
-                    }
-                    patchAttn.push(qAttn);
-                }
-            } else {
-                throw new Error("Specify headIdx or set meanHeads=true");
-            }
-        } else {
-            // Nested array format (legacy)
-            // Get attention: [1][H][Q][K] -> work with [H][Q][K]
-            let attn = this.attnWeights[0];
-            
-            if (meanHeads) {
-                // Average over heads: [H][Q][K] -> [Q][K]
-                attn = this._meanOverHeads(attn);
-            } else if (headIdx !== null) {
-                // Select specific head: [H][Q][K] -> [Q][K]
-                attn = attn[headIdx];
-            } else {
-                throw new Error("Specify headIdx or set meanHeads=true");
-            }
-            
-            // Select patches: For each query Q, get attention to selected patches
-            // attn is [Q][K], we want [Q][len(patchIndices)]
-            patchAttn = attn.map(qAttn => {
-                return patchIndices.map(kIdx => qAttn[kIdx]);
-            });
+        if (aggregation === 'rollout') {
+            return this._getRolloutAttention(patchIndices, meanHeads, headIdx, residual);
         }
-        
-        // Aggregate across patches
-        let bevAttn;
-        if (aggregation === 'sum') {
-            bevAttn = patchAttn.map(qAttn => {
-                return qAttn.reduce((sum, val) => sum + val, 0);
-            });
-        } else if (aggregation === 'max') {
-            bevAttn = patchAttn.map(qAttn => {
-                return Math.max(...qAttn);
-            });
-        } else if (aggregation === 'mean') {
-            bevAttn = patchAttn.map(qAttn => {
-                const sum = qAttn.reduce((sum, val) => sum + val, 0);
-                return sum / qAttn.length;
-            });
-        } else {
-            throw new Error(`Unknown aggregation: ${aggregation}`);
+        return super.getInverseAttention(patchIndices, { meanHeads, headIdx, aggregation });
+    }
+    
+    /**
+     * Contrastive inverse attention: which BEV queries attend to the positive patches (A)
+     * but not to the negative ones (B).
+     * 
+     * A and B are per-patch averages ('mean', or 'rollout' divided by the patch count) so a
+     * large negative region does not swamp a small positive one. The result is signed:
+     * - 'difference': A - lambda * B
+     * - 'ratio': log((A + eps) / (lambda * B + eps)), eps = 1e-3 * max(A, B)
+     * 
+     * @param {Array<number>} positiveIndices - Global patch indices of region A
+     * @param {Array<number>} negativeIndices - Global patch indices of region B
+     * @param {Object} options - getInverseAttention() options plus:
+     * @param {string} options.contrast - 'difference' or 'ratio' (default: 'difference')
+     * @param {number} options.lambda - Weight of B (default: 1)
+     * @param {string} options.aggregation - 'mean', 'max' or 'rollout' (default: 'mean')
+     * @returns {Float32Array} Signed BEV map [gridSize*gridSize], row-major
+     */
+    getContrastiveAttention(positiveIndices, negativeIndices, options = {}) {
+        const { contrast = 'difference', lambda = 1, aggregation = 'mean' } = options;
+        if (contrast !== 'difference' && contrast !== 'ratio') {
+            throw new Error(`Unknown contrast: ${contrast}`);
         }
-        
-        // Reshape to BEV grid
-        const bevMap = [];
-        for (let y = 0; y < this.gridSize; y++) {
-            const row = [];
-            for (let x = 0; x < this.gridSize; x++) {
-                const qIdx = y * this.gridSize + x;
-                row.push(bevAttn[qIdx]);
+        const perPatch = (indices) => {
+            const map = this.getInverseAttention(indices, { ...options, aggregation });
+            if (aggregation === 'rollout' && indices.length > 0) {
+                const inv = 1 / indices.length;
+                for (let q = 0; q < map.length; q++) map[q] *= inv;
             }
-            bevMap.push(row);
-        }
+            return map;
+        };
+        const a = perPatch(positiveIndices);
+        const b = perPatch(negativeIndices);
         
-        return bevMap;
+        const out = new Float32Array(a.length);
+        if (contrast === 'difference') {
+            for (let q = 0; q < out.length; q++) out[q] = a[q] - lambda * b[q];
+            return out;
+        }
+        let peak = 0;
+        for (let q = 0; q < out.length; q++) peak = Math.max(peak, a[q], lambda * b[q]);
+        if (peak <= 0) return out;
+        const eps = 1e-3 * peak;
+        for (let q = 0; q < out.length; q++) out[q] = Math.log((a[q] + eps) / (lambda * b[q] + eps));
+        return out;
     }
     
     /**
-     * Get attention value using flat array index
+     * Attention rollout (Abnar & Zuidema, 2020) of the selected patches through all layers.
+     *
+     * The BEV queries cross-attend to image tokens, so each layer's [Q][K] map is placed in the
+     * joint (queries + image tokens) space as M_l = [[0, A_l], [0, I]]: queries read the image
+     * tokens, image tokens stay fixed. With the residual mix r*I + (1-r)*M_l and rows of A_l
+     * normalized to 1, the product over layers keeps the block form, and its query->image block is
+     *
+     *     R = sum_l (1-r) * r^(L-1-l) * A_l
+     *
+     * i.e. each layer is discounted by the residual paths of the layers after it. The result for
+     * query q is the sum of R[q][k] over the selected patches. Layers (or heads) still loading
+     * contribute nothing until they arrive.
      * @private
      */
-    _getAttnFlat(b, h, q, k) {
-        if (!this.attnWeightsFlat || !this.attnWeightsShape) {
-            throw new Error('Flat array format not available');
+    _getRolloutAttention(patchIndices, meanHeads, headIdx, residual) {
+        if (!meanHeads && headIdx === null) {
+            throw new Error("Specify headIdx or set meanHeads=true");
+        }
+        const Q = this.nQueries;
+        const K = this.kSize;
+        const slabs = this.attnLayers
+            ? Array.from({ length: this.attnLayers.numLayers }, (_, l) => {
+                const tensor = this.attnLayers.getLayer(l);
+                return meanHeads ? tensor.getMeanHead() : tensor.getHead(headIdx);
+            })
+            : [this._getHeadSlab(meanHeads, headIdx)];
+        
+        const bevAttn = new Float32Array(Q);
+        const selected = new Float32Array(Q);
+        let weight = 1 - residual;
+        for (let l = slabs.length - 1; l >= 0; l--, weight *= residual) {
+            const slab = slabs[l];
+            if (!slab) continue;
+            const keyMajor = this._getKeyMajor(slab);
+            const rowSums = this._getRowSums(keyMajor, Q, K);
+            selected.fill(0);
+            for (const kIdx of patchIndices) {
+                const base = kIdx * Q;
+                for (let q = 0; q < Q; q++) selected[q] += keyMajor[base + q];
+            }
+            for (let q = 0; q < Q; q++) {
+                if (rowSums[q] > 0) bevAttn[q] += weight * selected[q] / rowSums[q];
+            }
         }
-        const [d1, d2, d3, d4] = this.attnWeightsShape;
-        const idx = b * d2 * d3 * d4 + h * d3 * d4 + q * d4 + k;
-        return this.attnWeightsFlat[idx];
+        return bevAttn;
     }
     
     /**
-     * Average attention over heads.
+     * Per-query row sums of a key-major [K*Q] index, memoized (top-k and quantized variants do
+     * not sum to exactly 1).
      * @private
      */
-    _meanOverHeads(attn) {
-        if (this.attnWeightsFlat) {
-            // Use flat array format
-            const Q = this.nQueries;
-            const K = this.attnWeightsShape[3];
-            const H = this.nHeads;
-            
-            const mean = [];
-            for (let q = 0; q < Q; q++) {
-                const row = [];
-                for (let k = 0; k < K; k++) {
-                    let sum = 0;
-                    for (let h = 0; h < H; h++) {
-                        sum += this._getAttnFlat(0, h, q, k);
-                    }
-                    row.push(sum / H);
-                }
-                mean.push(row);
+    _getRowSums(keyMajor, Q, K) {
+        let rowSums = this._rowSumCache.get(keyMajor);
+        if (!rowSums) {
+            rowSums = new Float32Array(Q);
+            for (let k = 0; k < K; k++) {
+                const base = k * Q;
+                for (let q = 0; q < Q; q++) rowSums[q] += keyMajor[base + q];
             }
-            return mean;
-        } else {
-            // Nested array format
-            // attn is [H][Q][K]
-            const H = attn.length;
-            const Q = attn[0].length;
-            const K = attn[0][0].length;
-            
-            const mean = [];
-            for (let q = 0; q < Q; q++) {
-                const row = [];
-                for (let k = 0; k < K; k++) {
-                    let sum = 0;
-                    for (let h = 0; h < H; h++) {
-                        sum += attn[h][q][k];
-                    }
-                    row.push(sum / H);
-                }
-                mean.push(row);
-            }
-            return mean;
+            this._rowSumCache.set(keyMajor, rowSums);
         }
+        return rowSums;
+    }
+    
+    /**
+     * Provide every layer of the scene for 'rollout' aggregation. Without it, rollout uses
+     * only the current tensor.
+     * @param {AttentionLayerSet} layerSet
+     */
+    setAttentionLayers(layerSet) {
+        const [, H, Q, K] = layerSet.shape;
+        if (H !== this.nHeads || Q !== this.nQueries || K !== this.kSize) {
+            throw new Error(`Attention layer shape [${layerSet.shape}] does not match this scene.`);
+        }
+        this.attnLayers = layerSet;
+    }
+    
+    /**
+     * Start fetching the heads a selection needs (all heads for the mean). With
+     * `rollout` set the heads are fetched in every layer.
+     * @param {Object} options - { meanHeads, headIdx, rollout }
+     * @returns {Promise<void>} Resolves once they are all available
+     */
+    ensureHeads(options = {}) {
+        const { meanHeads = true, headIdx = null, rollout = false } = options;
+        const tensor = this._getLoadingTensor(rollout);
+        if (tensor === this.attnTensor) return super.ensureHeads({ meanHeads, headIdx });
+        if (meanHeads) return tensor.loadAllHeads();
+        if (headIdx === null) return Promise.reject(new Error("Specify headIdx or set meanHeads=true"));
+        return tensor.loadHead(headIdx);
+    }
+    
+    /**
+     * Number of heads currently contributing to the mean (all of them for eager data).
+     * With `rollout` set, the number of heads ready in every layer.
+     */
+    getReadyHeadCount(rollout = false) {
+        const tensor = this._getLoadingTensor(rollout);
+        return tensor ? tensor.readyHeadCount : this.nHeads;
+    }
+
+    /**
+     * With `rollout` set, whether the head is ready in every layer.
+     */
+    isHeadReady(headIdx, rollout = false) {
+        const tensor = this._getLoadingTensor(rollout);
+        return tensor ? tensor.isHeadReady(headIdx) : true;
+    }
+
+    /**
+     * Tensor whose loading state matters for a view: the mean over layers tracks all layers.
+     * @private
+     */
+    _getLoadingTensor(rollout) {
+        if (rollout && this.attnLayers) return this.attnLayers.getLayerMean();
+        return this.attnTensor;
     }
     
     /**
      * Get BEV attention maps for each camera separately.
      * 
      * @param {Object} options - Computation options
-     * @returns {Object} Dictionary mapping camera name to BEV attention map
+     * @returns {Object} Dictionary mapping camera name to BEV attention map (Float32Array)
      */
     getInverseAttentionPerCamera(options = {}) {
         const result = {};
@@ -124,9 +124,9 @@ export class CameraRenderer {
     }
     
     /**
-     * Draw region boundaries (rectangles)
+     * Draw region boundaries (rectangles, lasso and polygon outlines)
      * 
-     * @param {Array<Object>} regions - Array of {xRange, yRange, color}
+     * @param {Array<Object>} regions - Array of {xRange, yRange, polygon?, color}
      * @param {string} defaultColor - Default color for regions without color
      */
     renderRegionBoundaries(regions, defaultColor = 'yellow') {
@@ -136,13 +136,18 @@ export class CameraRenderer {
         this.ctx.lineWidth = 2;
         this.ctx.setLineDash([5, 5]);
         
-        regions.forEach(({ xRange, yRange, color = defaultColor }) => {
+        regions.forEach(({ xRange, yRange, polygon, color = defaultColor }) => {
+            this.ctx.strokeStyle = color;
+            if (Array.isArray(polygon)) {
+                this._tracePolygon(polygon, true);
+                this.ctx.stroke();
+                return;
+            }
             const [x1, x2] = xRange;
             const [y1, y2] = yRange;
             const width = x2 - x1;
             const height = y2 - y1;
             
-            this.ctx.strokeStyle = color;
             this.ctx.strokeRect(x1, y1, width, height);
         });
         
@@ -172,4 +177,40 @@ export class CameraRenderer {
         this.ctx.strokeRect(x, y, width, height);
         this.ctx.restore();
     }
+    
+    /**
+     * Render an in-progress lasso or polygon selection
+     * 
+     * @param {Array<Array<number>>} points - [[x, y], ...]
+     * @param {boolean} closed - Close the outline back to the first point
+     * @param {string} color - Outline color (default: 'white')
+     */
+    renderSelectionPolygon(points, closed = false, color = 'white') {
+        if (!points || points.length === 0) return;
+        this.ctx.save();
+        this.ctx.strokeStyle = color;
+        this.ctx.fillStyle = color;
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([3, 3]);
+        
+        this._tracePolygon(points, closed);
+        this.ctx.stroke();
+        
+        // Mark the first vertex: clicking it closes a polygon
+        const [x0, y0] = points[0];
+        this.ctx.setLineDash([]);
+        this.ctx.beginPath();
+        this.ctx.arc(x0, y0, 4, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.restore();
+    }
+    
+    _tracePolygon(points, closed) {
+        this.ctx.beginPath();
+        this.ctx.moveTo(points[0][0], points[0][1]);
+        for (let i = 1; i < points.length; i++) {
+            this.ctx.lineTo(points[i][0], points[i][1]);
+        }
+        if (closed) this.ctx.closePath();
+    }
 }
@@ -2,9 +2,16 @@
  * Main application for interactive point cloud viewer
  */
 
-import { loadPointCloudData } from './pointCloudLoader.js';
-import { PointCloudRenderer } from './pointCloudRenderer.js';
+import { loadPointCloudData } from './pointCloudLoader.js?v=2026-10-18-asset-cache-v3';
+import { PointCloudRenderer } from './pointCloudRenderer.js?v=2026-10-18-pc-metrics-empty-v1';
 import { DatasetFrameDock } from '../../shared/DatasetFrameDock.js';
+import {
+  PointCloudMetricsClient,
+  PointDistanceCache,
+  pickErrorReferenceKey,
+} from '../../shared/pointCloudMetrics.js?v=2026-10-18-pc-metrics-empty-v1';
+
+const COLOR_MODES = ['solid', 'height', 'error'];
 
 async function fetchJson(url) {
   const res = await fetch(url);
@@ -59,7 +66,7 @@ function normalizePointCloudOptions(sceneManifest, sceneUrl) {
 }
 
 class App {
-  static VERSION = '2026-02-17-pointcloud-switch-v1';
+  static VERSION = '2026-10-18-asset-cache-v3';
 
   constructor() {
     this.loadingEl = null;
@@ -72,6 +79,11 @@ class App {
     this.pcSwitchEl = null;
     this.pcModelBtnGtEl = null;
     this.pcModelBtnVigtEl = null;
+    this.colorModeEl = null;
+    this.colorScaleEl = null;
+    this.colorMinEl = null;
+    this.colorMaxEl = null;
+    this.colorCaptionEl = null;
 
     this.renderer = null;
     this.dock = null;
@@ -80,6 +92,15 @@ class App {
     this.pcCacheByUrl = new Map();
     this.activeModelKey = '';
     this.isSceneMenuVisible = true;
+    this.metricsClient = null; // created when error coloring is first used
+    this.pointDistances = new PointDistanceCache(
+      (key) => this._loadPointCloudByKey(key),
+      () => {
+        if (!this.metricsClient) this.metricsClient = new PointCloudMetricsClient();
+        return this.metricsClient;
+      },
+    );
+    this._coloringToken = 0;
   }
 
   async init() {
@@ -93,6 +114,11 @@ class App {
     this.pcSwitchEl = document.getElementById('pc-model-switch');
     this.pcModelBtnGtEl = document.getElementById('pc-model-btn-gt');
     this.pcModelBtnVigtEl = document.getElementById('pc-model-btn-vigt');
+    this.colorModeEl = document.getElementById('pc-color-mode');
+    this.colorScaleEl = document.getElementById('pc-color-scale');
+    this.colorMinEl = document.getElementById('pc-color-min');
+    this.colorMaxEl = document.getElementById('pc-color-max');
+    this.colorCaptionEl = document.getElementById('pc-color-caption');
 
     const urlParams = new URLSearchParams(window.location.search);
     const defaultScene = 'data/pointclouds/vigt_frame000121.json';
@@ -161,6 +187,7 @@ class App {
       this.renderer = new PointCloudRenderer(this.canvas, pc);
       this._bindModelSwitcher();
       this._updateModelQueryParam(this.activeModelKey);
+      this._bindColorControls(urlParams.get('color'));
 
     } catch (err) {
       console.error(err);
@@ -254,6 +281,7 @@ class App {
         this.renderer?.updatePointCloud?.(data);
         this.activeModelKey = nextKey;
         this._updateModelQueryParam(nextKey);
+        this._applyColoring();
       } catch (err) {
         console.error('Point cloud switch failed:', err);
         this.activeModelKey = prevKey;
@@ -270,6 +298,77 @@ class App {
     setBusy(false);
   }
 
+  _bindColorControls(initialMode) {
+    if (!this.colorModeEl) return;
+    const errorOpt = this.colorModeEl.querySelector('option[value="error"]');
+    if (errorOpt) errorOpt.disabled = !this._getOptionByKey('gt');
+    if (COLOR_MODES.includes(initialMode) && !(initialMode === 'error' && errorOpt?.disabled)) {
+      this.colorModeEl.value = initialMode;
+    }
+    this.colorModeEl.addEventListener('change', () => {
+      this._updateColorQueryParam(this.colorModeEl.value);
+      this._applyColoring();
+    });
+    this.colorMinEl?.addEventListener('input', () => this._applyColoring());
+    this.colorMaxEl?.addEventListener('input', () => this._applyColoring());
+    this._applyColoring();
+  }
+
+  _getOptionByKey(key) {
+    return this.pcOptions.find((o) => String(o.key).toLowerCase() === key) || null;
+  }
+
+  _setColorCaption(text, isError = false) {
+    if (!this.colorCaptionEl) return;
+    this.colorCaptionEl.textContent = text;
+    this.colorCaptionEl.classList.toggle('error', isError);
+  }
+
+  async _applyColoring() {
+    const mode = this.colorModeEl?.value || 'solid';
+    const token = ++this._coloringToken;
+    this.colorScaleEl?.classList.toggle('hidden', mode !== 'error');
+    if (mode !== 'error') {
+      this._setColorCaption('');
+      this.renderer?.setColoring({ mode });
+      return;
+    }
+
+    const key = this.activeModelKey;
+    const refKey = pickErrorReferenceKey(this.pcOptions.map((o) => o.key), key);
+    if (!refKey) {
+      this._setColorCaption('No GT point cloud for this scene.', true);
+      return;
+    }
+    const range = [Number(this.colorMinEl?.value), Number(this.colorMaxEl?.value)];
+    if (!range.every(Number.isFinite) || range[0] < 0 || range[1] <= range[0]) {
+      this._setColorCaption('Clamp range must satisfy 0 ≤ min < max.', true);
+      return;
+    }
+
+    const label = this.pcOptions.find((o) => o.key === refKey)?.label || refKey;
+    if (!this.pointDistances.has(key, refKey)) {
+      this._setColorCaption('Computing distances…');
+    }
+    try {
+      const distances = await this.pointDistances.get(key, refKey);
+      if (token !== this._coloringToken) return;
+      this.renderer?.setColoring({ mode, distances, range });
+      this._setColorCaption(`Distance to nearest ${label} point`);
+    } catch (err) {
+      if (token !== this._coloringToken) return;
+      console.error('Error coloring failed:', err);
+      this._setColorCaption(`Error coloring failed: ${err?.message || err}`, true);
+    }
+  }
+
+  _updateColorQueryParam(mode) {
+    const url = new URL(window.location.href);
+    if (!mode || mode === 'solid') url.searchParams.delete('color');
+    else url.searchParams.set('color', mode);
+    window.history.replaceState({}, '', url.toString());
+  }
+
   async _loadPointCloudByKey(key) {
     const opt = this.pcOptions.find((o) => o.key === key) || null;
     if (!opt) throw new Error(`Unknown pointcloud key: ${key}`);
@@ -2,6 +2,24 @@
  * Data loader for point cloud files (JSON metadata + BIN payload)
  */
 
+import { resolveAssetCacheKey, readThroughAssetCache } from '../../shared/assetCache.js?v=2026-10-18-asset-cache-v3';
+
+async function fetchPointCloudBinary(binUrl) {
+  console.log(`Loading point cloud binary: ${binUrl.toString()}`);
+  const binResponse = await fetch(binUrl);
+  if (!binResponse.ok) {
+    const hint = binResponse.status === 404
+      ? ' (404). This usually means your HTTP server is running from the wrong directory. Start it from `interactive_pointcloud_js/` (or from the repo root and open `/interactive_pointcloud_js/`).'
+      : '';
+    throw new Error(
+      `Failed to load binary file (${binUrl.toString()}): ${binResponse.status} ${binResponse.statusText}${hint}`
+    );
+  }
+
+  const arrayBuffer = await binResponse.arrayBuffer();
+  return { value: arrayBuffer, bytes: arrayBuffer.byteLength };
+}
+
 /**
  * Expected JSON schema (minimal):
  * - points_file: string (relative path to binary, relative to JSON URL)
@@ -66,21 +84,14 @@ export async function loadPointCloudData(jsonPath, options = {}) {
 
   const binUrl = new URL(metadata.points_file, jsonUrl);
 
-  console.log(`Loading point cloud binary: ${binUrl.toString()}`);
-  const binResponse = await fetch(binUrl);
-  if (!binResponse.ok) {
-    const hint = binResponse.status === 404
-      ? ' (404). This usually means your HTTP server is running from the wrong directory. Start it from `interactive_pointcloud_js/` (or from the repo root and open `/interactive_pointcloud_js/`).'
-      : '';
-    throw new Error(
-      `Failed to load binary file (${binUrl.toString()}): ${binResponse.status} ${binResponse.statusText}${hint}`
-    );
-  }
-
-  const arrayBuffer = await binResponse.arrayBuffer();
+  const cacheKey = await resolveAssetCacheKey('pointcloud', [binUrl], metadata);
+  const count = Number(metadata.count ?? 0);
+  // Build scripts write exactly `count` points of `stride_bytes` each.
+  const { value: arrayBuffer } = await readThroughAssetCache(cacheKey, () => fetchPointCloudBinary(binUrl), {
+    expectedBytes: count > 0 ? count * Number(metadata.stride_bytes ?? 12) : null,
+  });
   const floats = new Float32Array(arrayBuffer);
 
-  const count = Number(metadata.count ?? 0);
   if (!Number.isFinite(count) || count <= 0) {
     // Fall back to length/3 for convenience
     console.warn('Metadata missing/invalid count; inferring from binary length.');
@@ -5,6 +5,7 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.160.0/build/three.module.js';
 import { OrbitControls } from 'https://cdn.jsdelivr.net/npm/three@0.160.0/examples/jsm/controls/OrbitControls.js';
 import { turboColormap, normalizeHeight } from './utils/turboColormap.js';
+import { fillErrorColors } from '../../shared/pointCloudMetrics.js?v=2026-10-18-pc-metrics-empty-v1';
 
 const FLIP_LEFT_RIGHT = true;
 const BASE_VFOV_DEG = 50;
@@ -87,12 +88,7 @@ function normalizePointCloudForRender(data) {
   };
 }
 
-function buildPointCloud(points, count, bounds, opts = {}) {
-  const geometry = new THREE.BufferGeometry();
-  geometry.setAttribute('position', new THREE.BufferAttribute(points, 3));
-
-  // Keep a height color attribute around for quick debugging.
-  const colors = new Float32Array(count * 3);
+function fillHeightColors(colors, points, count, bounds) {
   for (let i = 0; i < count; i++) {
     const z = points[i * 3 + 2];
     const t = normalizeHeight(z, bounds.z);
@@ -101,6 +97,15 @@ function buildPointCloud(points, count, bounds, opts = {}) {
     colors[i * 3 + 1] = g;
     colors[i * 3 + 2] = b;
   }
+}
+
+function buildPointCloud(points, count, bounds, opts = {}) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(points, 3));
+
+  // Height colors, shown in the 'height' coloring mode.
+  const colors = new Float32Array(count * 3);
+  fillHeightColors(colors, points, count, bounds);
   geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
   geometry.computeBoundingSphere();
 
@@ -114,6 +119,7 @@ function buildPointCloud(points, count, bounds, opts = {}) {
   });
 
   const pts = new THREE.Points(geometry, material);
+  pts.userData = { points, count, bounds, solidColor: opts.color ?? 0x66ccff };
   if (FLIP_LEFT_RIGHT) {
     pts.scale.x = -1;
   }
@@ -270,6 +276,37 @@ export class PointCloudRenderer {
     }
   }
 
+  /**
+   * Recolor the current point cloud in place (until the next updatePointCloud).
+   *
+   * @param {?Object} coloring null or { mode: 'solid' } for the flat color,
+   *   { mode: 'height' } for turbo over z, or { mode: 'error', distances, range } for turbo
+   *   over per-point distances (Float32Array, one per point) clamped to range = [min, max]
+   */
+  setColoring(coloring) {
+    const obj = this.pointsObject;
+    if (!obj) return;
+    const { points, count, bounds, solidColor } = obj.userData;
+    const mode = coloring?.mode || 'solid';
+    const colorAttr = obj.geometry.getAttribute('color');
+    if (mode === 'height') {
+      fillHeightColors(colorAttr.array, points, count, bounds);
+    } else if (mode === 'error') {
+      if (coloring.distances?.length !== count) {
+        throw new Error(`Error coloring needs ${count} distances, got ${coloring.distances?.length}.`);
+      }
+      fillErrorColors(colorAttr.array, coloring.distances, count, coloring.range, turboColormap);
+    }
+    colorAttr.needsUpdate = true;
+
+    const vertexColors = mode !== 'solid';
+    obj.material.color.set(vertexColors ? 0xffffff : solidColor);
+    if (obj.material.vertexColors !== vertexColors) {
+      obj.material.vertexColors = vertexColors;
+      obj.material.needsUpdate = true;
+    }
+  }
+
   updatePointCloud(nextData) {
     if (!nextData) return;
     this.data = nextData;
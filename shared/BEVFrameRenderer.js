@@ -17,7 +17,8 @@ import { fullWindow, windowToViewRange } from './BEVViewWindow.js';
  */
 
 /**
- * @typedef {{ bevMap:Array<Array<number>>, color:string, alpha?:number }} RegionOverlay
+ * @typedef {{ bevMap:Float32Array, color:string, alpha?:number }} RegionOverlay
+ * `bevMap` is row-major [gridSize*gridSize] (index y*gridSize + x).
  */
 
 function clamp01(x) {
@@ -61,6 +62,38 @@ function colorToRgb(color) {
   return [1, 0, 0];
 }
 
+/**
+ * Diverging blue - white - red colormap for a signed value in [-1, 1].
+ */
+function divergingRgb(value) {
+  const t = Math.max(-1, Math.min(1, value));
+  const mid = [0.95, 0.95, 0.95];
+  const end = t < 0 ? [0.23, 0.3, 0.75] : [0.71, 0.02, 0.15];
+  const a = Math.abs(t);
+  return [mid[0] + (end[0] - mid[0]) * a, mid[1] + (end[1] - mid[1]) * a, mid[2] + (end[2] - mid[2]) * a];
+}
+
+// Viridis, sampled at 0, 0.25, 0.5, 0.75, 1.
+const SEQUENTIAL_STOPS = [
+  [0.267, 0.005, 0.329],
+  [0.231, 0.322, 0.545],
+  [0.129, 0.569, 0.549],
+  [0.369, 0.788, 0.384],
+  [0.993, 0.906, 0.144],
+];
+
+/**
+ * Sequential (viridis) colormap for a value in [0, 1].
+ */
+function sequentialRgb(value) {
+  const t = clamp01(value) * (SEQUENTIAL_STOPS.length - 1);
+  const i = Math.min(SEQUENTIAL_STOPS.length - 2, Math.floor(t));
+  const f = t - i;
+  const a = SEQUENTIAL_STOPS[i];
+  const b = SEQUENTIAL_STOPS[i + 1];
+  return [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f, a[2] + (b[2] - a[2]) * f];
+}
+
 function rgbToCss(rgb) {
   const [r, g, b] = rgb;
   return `rgb(${Math.round(clamp01(r) * 255)}, ${Math.round(clamp01(g) * 255)}, ${Math.round(clamp01(b) * 255)})`;
@@ -104,6 +137,15 @@ function worldToPlot(worldX, worldY, viewRange, plotWidth, plotHeight) {
   return [pixelX, pixelY];
 }
 
+/**
+ * CSS gradient matching renderScalarMap(), for legends.
+ * @returns {string}
+ */
+export function scalarMapLegendCss() {
+  const stops = SEQUENTIAL_STOPS.map((rgb, i) => `${rgbToCss(rgb)} ${(i / (SEQUENTIAL_STOPS.length - 1)) * 100}%`);
+  return `linear-gradient(to right, ${stops.join(', ')})`;
+}
+
 export class BEVFrameRenderer {
   /**
    * @param {HTMLCanvasElement} canvas
@@ -316,13 +358,10 @@ export class BEVFrameRenderer {
       if (!m || m.length === 0) return { min: 0, max: 0, color: colorToRgb(r.color), alpha: r.alpha ?? 0.7 };
       let min = Infinity;
       let max = -Infinity;
-      for (let y = 0; y < m.length; y++) {
-        const row = m[y];
-        for (let x = 0; x < row.length; x++) {
-          const v = row[x];
-          if (v < min) min = v;
-          if (v > max) max = v;
-        }
+      for (let i = 0; i < m.length; i++) {
+        const v = m[i];
+        if (v < min) min = v;
+        if (v > max) max = v;
       }
       if (!isFinite(min) || !isFinite(max)) return { min: 0, max: 0, color: colorToRgb(r.color), alpha: r.alpha ?? 0.7 };
       return { min, max, color: colorToRgb(r.color), alpha: r.alpha ?? 0.7 };
@@ -344,13 +383,14 @@ export class BEVFrameRenderer {
         for (let i = 0; i < regions.length; i++) {
           const r = regions[i];
           const m = r?.bevMap;
-          if (!m || !m[y] || m[y][x] === undefined) continue;
+          const idx = y * this.gridSize + x;
+          if (!m || idx >= m.length) continue;
 
           const { min, max, color, alpha } = stats[i];
           const range = max - min;
           if (range === 0) continue;
 
-          const v = m[y][x];
+          const v = m[idx];
           const norm = (v - min) / range;
           if (norm <= skipBelow) continue;
 
@@ -374,4 +414,162 @@ export class BEVFrameRenderer {
 
     this.ctx.restore();
   }
+
+  /**
+   * Render a signed map (e.g. contrastive attention) with a diverging colormap.
+   * Values are scaled by max |value| so zero stays transparent/white, positive red, negative blue.
+   *
+   * @param {Float32Array} bevMap Row-major [gridSize*gridSize].
+   * @param {Object} [opts]
+   * @param {number} [opts.alpha=0.8]
+   * @param {number} [opts.skipBelow=0.01] Skip cells with |normalized value| at or below this.
+   */
+  renderSignedMap(bevMap, opts = {}) {
+    if (!bevMap || bevMap.length === 0) return;
+    const alpha = opts.alpha ?? 0.8;
+    const skipBelow = opts.skipBelow ?? 0.01;
+
+    const winW = this.viewWindow.x1 - this.viewWindow.x0;
+    const winH = this.viewWindow.y1 - this.viewWindow.y0;
+    if (winW <= 0 || winH <= 0) return;
+
+    let maxAbs = 0;
+    for (let i = 0; i < bevMap.length; i++) {
+      const v = Math.abs(bevMap[i]);
+      if (v > maxAbs) maxAbs = v;
+    }
+    if (!isFinite(maxAbs) || maxAbs === 0) return;
+
+    const cellW = this.canvas.width / winW;
+    const cellH = this.canvas.height / winH;
+
+    this.ctx.save();
+    for (let localY = 0; localY < winH; localY++) {
+      const y = this.viewWindow.y0 + localY;
+      for (let localX = 0; localX < winW; localX++) {
+        const x = this.viewWindow.x0 + localX;
+        const t = bevMap[y * this.gridSize + x] / maxAbs;
+        if (!(Math.abs(t) > skipBelow)) continue;
+
+        const plotX = this.canvas.width - (localX + 1) * cellW;
+        const plotY = this.canvas.height - (localY + 1) * cellH;
+        this.ctx.globalAlpha = clamp01(alpha * Math.abs(t));
+        this.ctx.fillStyle = rgbToCss(divergingRgb(t));
+        this.ctx.fillRect(plotX, plotY, cellW, cellH);
+      }
+    }
+    this.ctx.restore();
+  }
+
+  /**
+   * Render a per-cell scalar (e.g. a score in [0, 1]) with a sequential colormap over a
+   * fixed range, so maps stay comparable across frames. Non-finite cells are left empty.
+   *
+   * @param {Float32Array} bevMap Row-major [gridSize*gridSize].
+   * @param {Object} [opts]
+   * @param {number} [opts.min=0]
+   * @param {number} [opts.max=1]
+   * @param {number} [opts.alpha=0.75]
+   */
+  renderScalarMap(bevMap, opts = {}) {
+    if (!bevMap || bevMap.length === 0) return;
+    const min = opts.min ?? 0;
+    const max = opts.max ?? 1;
+    const alpha = opts.alpha ?? 0.75;
+    const span = max - min || 1;
+
+    const winW = this.viewWindow.x1 - this.viewWindow.x0;
+    const winH = this.viewWindow.y1 - this.viewWindow.y0;
+    if (winW <= 0 || winH <= 0) return;
+
+    const cellW = this.canvas.width / winW;
+    const cellH = this.canvas.height / winH;
+
+    this.ctx.save();
+    this.ctx.globalAlpha = alpha;
+    for (let localY = 0; localY < winH; localY++) {
+      const y = this.viewWindow.y0 + localY;
+      for (let localX = 0; localX < winW; localX++) {
+        const x = this.viewWindow.x0 + localX;
+        const v = bevMap[y * this.gridSize + x];
+        if (!Number.isFinite(v)) continue;
+
+        const plotX = this.canvas.width - (localX + 1) * cellW;
+        const plotY = this.canvas.height - (localY + 1) * cellH;
+        this.ctx.fillStyle = rgbToCss(sequentialRgb((v - min) / span));
+        this.ctx.fillRect(plotX, plotY, cellW, cellH);
+      }
+    }
+    this.ctx.restore();
+  }
+
+  /**
+   * Stroke a dashed outline given in canvas pixels (e.g. a selection being drawn).
+   *
+   * @param {Array<[number, number]>} points
+   * @param {Object} [opts]
+   * @param {boolean} [opts.closed=false]
+   * @param {boolean} [opts.markVertices=false] Draw a dot on every vertex.
+   * @param {string} [opts.color='#ff2d2d']
+   */
+  renderCanvasPolyline(points, opts = {}) {
+    if (!points || points.length === 0) return;
+    const color = opts.color ?? '#ff2d2d';
+
+    this.ctx.save();
+    this.ctx.strokeStyle = color;
+    this.ctx.fillStyle = color;
+    this.ctx.lineWidth = 2;
+    this.ctx.setLineDash([6, 4]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(points[0][0], points[0][1]);
+    for (let i = 1; i < points.length; i++) this.ctx.lineTo(points[i][0], points[i][1]);
+    if (opts.closed) this.ctx.closePath();
+    this.ctx.stroke();
+    if (opts.markVertices) {
+      for (const [x, y] of points) {
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, 3, 0, Math.PI * 2);
+        this.ctx.fill();
+      }
+    }
+    this.ctx.restore();
+  }
+
+  /**
+   * Render a per-cell category (e.g. dominant camera) with one color per category.
+   *
+   * @param {Float32Array} bevMap Row-major [gridSize*gridSize] of category indices; NaN cells are left empty.
+   * @param {Array<string>} colors CSS color per category index.
+   * @param {Object} [opts]
+   * @param {number} [opts.alpha=0.75]
+   */
+  renderCategoricalMap(bevMap, colors, opts = {}) {
+    if (!bevMap || bevMap.length === 0 || !colors || colors.length === 0) return;
+    const alpha = opts.alpha ?? 0.75;
+
+    const winW = this.viewWindow.x1 - this.viewWindow.x0;
+    const winH = this.viewWindow.y1 - this.viewWindow.y0;
+    if (winW <= 0 || winH <= 0) return;
+
+    const cellW = this.canvas.width / winW;
+    const cellH = this.canvas.height / winH;
+
+    this.ctx.save();
+    this.ctx.globalAlpha = alpha;
+    for (let localY = 0; localY < winH; localY++) {
+      const y = this.viewWindow.y0 + localY;
+      for (let localX = 0; localX < winW; localX++) {
+        const x = this.viewWindow.x0 + localX;
+        const color = colors[bevMap[y * this.gridSize + x]];
+        if (!color) continue;
+
+        const plotX = this.canvas.width - (localX + 1) * cellW;
+        const plotY = this.canvas.height - (localY + 1) * cellH;
+        this.ctx.fillStyle = color;
+        this.ctx.fillRect(plotX, plotY, cellW, cellH);
+      }
+    }
+    this.ctx.restore();
+  }
 }
@@ -7,6 +7,9 @@
  */
 import { InfiniteStrip } from './InfiniteStrip.js';
 
+// Pointer travel (CSS px) beyond which a press is a pan of the strip rather than a click.
+const CLICK_SLOP_PX = 6;
+
 export class CameraCanvasStrip {
   /**
    * @param {HTMLElement} container
@@ -16,6 +19,8 @@ export class CameraCanvasStrip {
    * @param {(camName:string)=>Image} deps.getImageForCam
    * @param {(camName:string, queryIdx:number, opts:{meanHeads:boolean, headIdx:?number})=>Float32Array} deps.getPatchAttention
    * @param {(canvas:HTMLCanvasElement)=>any} deps.rendererFactory
+   * @param {(camName:string, type:'move'|'leave'|'click', x?:number, y?:number)=>void} [deps.onCanvasPointer]
+   *   Pointer over a camera (main or clone), in the main canvas' pixels; no coordinates for 'leave'
    * @param {Object} [options]
    * @param {number} [options.overlayAlpha=0.6]
    * @param {boolean} [options.alwaysPannable=true]
@@ -29,11 +34,14 @@ export class CameraCanvasStrip {
     this.getImageForCam = deps.getImageForCam;
     this.getPatchAttention = deps.getPatchAttention;
     this.rendererFactory = deps.rendererFactory;
+    this.onCanvasPointer = deps.onCanvasPointer || null;
 
     this.overlayAlpha = options.overlayAlpha !== undefined ? options.overlayAlpha : 0.6;
 
-    this._main = new Map(); // camName -> { canvas, renderer, patchInfo, labelEl }
+    this._main = new Map(); // camName -> { canvas, renderer, patchInfo, labelEl, badgeEl }
     this._clones = new Map(); // camName -> Array<HTMLCanvasElement>
+    this._cloneBadges = new Map(); // camName -> Array<HTMLElement>
+    this._badges = null; // last opts.badges, re-applied when the strip re-renders
     this._strip = null;
 
     this._initStrip({
@@ -47,21 +55,51 @@ export class CameraCanvasStrip {
     this._strip = null;
     this._main.clear();
     this._clones.clear();
+    this._cloneBadges.clear();
   }
 
   setOverlayAlpha(alpha) {
     this.overlayAlpha = alpha;
   }
 
+  /**
+   * Primary (non-clone) canvas per camera, in strip order.
+   * @returns {Array<{camName:string, canvas:HTMLCanvasElement}>}
+   */
+  getCameraCanvases() {
+    return this.cameraNames
+      .filter((camName) => this._main.has(camName))
+      .map((camName) => ({ camName, canvas: this._main.get(camName).canvas }));
+  }
+
   setSelected(camName) {
     this._strip?.setSelected(camName);
   }
 
   /**
    * Render or update overlays for a given query.
+   *
+   * `queryIdx` and `opts.aggregation` are passed through to `getPatchAttention` as is
+   * (a number, or a list of queries when the app aggregates several).
+   * `opts.outlines` optionally maps camName -> list of pixel polygons drawn on top
+   * (needs `renderer.renderPolygonOutline`); `opts.highlights` works the same way in
+   * `opts.highlightColor`, e.g. for a picked patch. `opts.badges` optionally maps
+   * camName -> `{ text, fraction, title? }`, shown under the camera as text and a bar
+   * filled to `fraction` (0..1); cameras without an entry hide their badge.
    */
   updateOverlaysForQuery(queryIdx, opts = {}) {
-    const { meanHeads = true, headIdx = null, globalMax = null, colorScheme = 'red' } = opts;
+    const {
+      meanHeads = true,
+      headIdx = null,
+      globalMax = null,
+      colorScheme = 'red',
+      aggregation = undefined,
+      outlines = null,
+      outlineColor = '#ffd400',
+      highlights = null,
+      highlightColor = '#00e5ff',
+      badges = null
+    } = opts;
 
     for (const camName of this.cameraNames) {
       const item = this._main.get(camName);
@@ -72,7 +110,7 @@ export class CameraCanvasStrip {
       renderer.clear();
       renderer.renderImage(img);
 
-      const patchAttn = this.getPatchAttention(camName, queryIdx, { meanHeads, headIdx });
+      const patchAttn = this.getPatchAttention(camName, queryIdx, { meanHeads, headIdx, aggregation });
       renderer.renderPatchAttentionOverlay(patchAttn, patchInfo, {
         alpha: this.overlayAlpha,
         globalMax,
@@ -80,11 +118,51 @@ export class CameraCanvasStrip {
       });
 
       renderer.renderPatchGrid(patchInfo, 'cyan', 0.15);
+
+      if (outlines?.[camName] && typeof renderer.renderPolygonOutline === 'function') {
+        for (const outline of outlines[camName]) renderer.renderPolygonOutline(outline, outlineColor);
+      }
+      if (highlights?.[camName] && typeof renderer.renderPolygonOutline === 'function') {
+        for (const outline of highlights[camName]) renderer.renderPolygonOutline(outline, highlightColor);
+      }
     }
 
+    this._badges = badges;
+    this._applyBadges();
     this._syncClonesFromMain();
   }
 
+  _applyBadges() {
+    for (const camName of this.cameraNames) {
+      const badge = this._badges?.[camName] || null;
+      const els = [this._main.get(camName)?.badgeEl, ...(this._cloneBadges.get(camName) || [])];
+      for (const el of els) {
+        if (!el) continue;
+        el.classList.toggle('hidden', !badge);
+        if (!badge) continue;
+        el.title = badge.title || '';
+        el.querySelector('.camera-strip-badge-text').textContent = badge.text;
+        const fraction = Math.max(0, Math.min(1, badge.fraction || 0));
+        el.querySelector('.camera-strip-badge-fill').style.width = `${(fraction * 100).toFixed(1)}%`;
+      }
+    }
+  }
+
+  _createBadge() {
+    const badge = document.createElement('div');
+    badge.className = 'camera-strip-badge hidden';
+    const bar = document.createElement('div');
+    bar.className = 'camera-strip-badge-bar';
+    const fill = document.createElement('div');
+    fill.className = 'camera-strip-badge-fill';
+    bar.appendChild(fill);
+    const text = document.createElement('span');
+    text.className = 'camera-strip-badge-text';
+    badge.appendChild(bar);
+    badge.appendChild(text);
+    return badge;
+  }
+
   _initStrip({ alwaysPannable, maxSegments }) {
     this._main.clear();
     this._clones.clear();
@@ -100,10 +178,12 @@ export class CameraCanvasStrip {
       onRenderStart: () => {
         this._main.clear();
         this._clones.clear();
+        this._cloneBadges.clear();
       },
       onRenderEnd: () => {
         // When InfiniteStrip re-renders (e.g., iframe autoheight triggers resize),
         // clones are re-created and need to be synced again.
+        this._applyBadges();
         requestAnimationFrame(() => this._syncClonesFromMain());
       },
       renderMainItem: (el, it) => {
@@ -114,12 +194,16 @@ export class CameraCanvasStrip {
         label.className = 'camera-strip-label';
         label.textContent = it.label;
 
+        const badgeEl = this._createBadge();
+
         el.appendChild(canvas);
         el.appendChild(label);
+        el.appendChild(badgeEl);
 
         const patchInfo = this.getPatchInfoForCam(camName);
         const renderer = this.rendererFactory(canvas);
-        this._main.set(camName, { canvas, renderer, patchInfo, labelEl: label });
+        this._main.set(camName, { canvas, renderer, patchInfo, labelEl: label, badgeEl });
+        this._attachPointerHandlers(canvas, camName);
 
         // Initial render: image + grid only
         const img = this.getImageForCam(camName);
@@ -153,12 +237,19 @@ export class CameraCanvasStrip {
         label.className = 'camera-strip-label';
         label.textContent = it.label;
 
+        const badgeEl = this._createBadge();
+
         el.appendChild(canvas);
         el.appendChild(label);
+        el.appendChild(badgeEl);
 
         const arr = this._clones.get(camName) || [];
         arr.push(canvas);
         this._clones.set(camName, arr);
+        const badgeArr = this._cloneBadges.get(camName) || [];
+        badgeArr.push(badgeEl);
+        this._cloneBadges.set(camName, badgeArr);
+        this._attachPointerHandlers(canvas, camName);
       }
     });
 
@@ -166,6 +257,33 @@ export class CameraCanvasStrip {
     requestAnimationFrame(() => this._syncClonesFromMain());
   }
 
+  _attachPointerHandlers(canvas, camName) {
+    if (!this.onCanvasPointer) return;
+    // Clones are kept at the main canvas' size, so both map into the same pixels.
+    const toCanvasPx = (ev) => {
+      const rect = canvas.getBoundingClientRect();
+      return [
+        (ev.clientX - rect.left) * (canvas.width / (rect.width || 1)),
+        (ev.clientY - rect.top) * (canvas.height / (rect.height || 1))
+      ];
+    };
+    let down = null;
+
+    canvas.addEventListener('pointermove', (ev) => {
+      if (ev.buttons) return; // panning
+      this.onCanvasPointer(camName, 'move', ...toCanvasPx(ev));
+    });
+    canvas.addEventListener('pointerleave', () => this.onCanvasPointer(camName, 'leave'));
+    canvas.addEventListener('pointerdown', (ev) => {
+      down = { x: ev.clientX, y: ev.clientY };
+    });
+    canvas.addEventListener('click', (ev) => {
+      const moved = down && Math.hypot(ev.clientX - down.x, ev.clientY - down.y) > CLICK_SLOP_PX;
+      down = null;
+      if (!moved) this.onCanvasPointer(camName, 'click', ...toCanvasPx(ev));
+    });
+  }
+
   _syncClonesFromMain() {
     for (const camName of this.cameraNames) {
       const main = this._main.get(camName);
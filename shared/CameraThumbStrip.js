@@ -115,7 +115,7 @@ export class CameraThumbStrip {
   }
 
   /**
-   * Update thumbnail content. Regions are [{xRange:[x1,x2], yRange:[y1,y2], color}]
+   * Update thumbnail content. Regions are [{xRange:[x1,x2], yRange:[y1,y2], polygon?:[[x,y],...], color}]
    */
   updateThumbnail(camName, image, regions = []) {
     this._state.set(camName, { image, regions });
@@ -178,12 +178,22 @@ export class CameraThumbStrip {
       if (regions && regions.length > 0) {
         ctx.lineWidth = 2;
         for (let i = 0; i < regions.length; i++) {
-          const { xRange, yRange, color = 'yellow' } = regions[i];
+          const { xRange, yRange, polygon, color = 'yellow' } = regions[i];
           const [x1, x2] = xRange;
           const [y1, y2] = yRange;
           const scaleX = width / iw;
           const scaleY = height / ih;
           ctx.strokeStyle = color;
+          if (Array.isArray(polygon) && polygon.length >= 3) {
+            ctx.beginPath();
+            polygon.forEach(([px, py], j) => {
+              if (j === 0) ctx.moveTo(x + px * scaleX, y + py * scaleY);
+              else ctx.lineTo(x + px * scaleX, y + py * scaleY);
+            });
+            ctx.closePath();
+            ctx.stroke();
+            continue;
+          }
           ctx.strokeRect(
             x + x1 * scaleX,
             y + y1 * scaleY,
@@ -0,0 +1,239 @@
+/**
+ * Persistent asset cache (IndexedDB) shared by the attention, occupancy and point cloud loaders.
+ *
+ * Entries are keyed by resolved URL plus a version string, so a changed file never
+ * hits a stale entry:
+ * - a content hash declared in the manifest (`content_hash` or `sha256`; `version` fields in
+ *   this repo are schema versions and say nothing about the bytes), or
+ * - the server's ETag / Last-Modified validators (one HEAD request per file and page load).
+ * If neither is available the asset is not cached. Callers that know the decoded size pass
+ * it as `expectedBytes`; an entry of any other size is evicted instead of being returned.
+ *
+ * Metadata (size + last access) lives in its own store so LRU eviction never has to
+ * read the large payloads. Any IndexedDB failure (private mode, quota, old browser)
+ * degrades to plain network loads.
+ */
+
+const DB_NAME = 'whesense-asset-cache';
+const DB_VERSION = 1;
+const STORE_DATA = 'data';
+const STORE_META = 'meta';
+const DEFAULT_MAX_BYTES = 512 * 1024 * 1024;
+
+let dbPromise = null;
+let maxBytes = DEFAULT_MAX_BYTES;
+let disabled = false;
+// URL -> Promise<validator>; files do not change while a page is open.
+const validators = new Map();
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function openDb() {
+  if (disabled || typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    let req;
+    try {
+      req = indexedDB.open(DB_NAME, DB_VERSION);
+    } catch (err) {
+      console.warn('Asset cache unavailable:', err);
+      resolve(null);
+      return;
+    }
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE_DATA)) db.createObjectStore(STORE_DATA);
+      if (!db.objectStoreNames.contains(STORE_META)) {
+        const meta = db.createObjectStore(STORE_META, { keyPath: 'key' });
+        meta.createIndex('lastAccess', 'lastAccess');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      console.warn('Asset cache unavailable:', req.error);
+      resolve(null);
+    };
+    req.onblocked = () => resolve(null);
+  });
+  return dbPromise;
+}
+
+/**
+ * @param {Object} options
+ * @param {number} [options.maxBytes] Size budget for all cached payloads.
+ * @param {boolean} [options.enabled]
+ */
+export function configureAssetCache(options = {}) {
+  const next = Number(options.maxBytes);
+  if (Number.isFinite(next) && next >= 0) maxBytes = next;
+  if (options.enabled !== undefined) disabled = !options.enabled;
+}
+
+function pickDeclaredVersion(...sources) {
+  for (const src of sources) {
+    if (!src || typeof src !== 'object') continue;
+    for (const field of ['content_hash', 'sha256']) {
+      const v = src[field];
+      if (v !== undefined && v !== null && String(v).length > 0) return String(v);
+    }
+  }
+  return '';
+}
+
+async function headValidator(url) {
+  try {
+    const res = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+    if (!res.ok) return '';
+    return res.headers.get('etag') || res.headers.get('last-modified') || '';
+  } catch (err) {
+    return '';
+  }
+}
+
+function fetchValidator(url) {
+  if (!validators.has(url)) validators.set(url, headValidator(url));
+  return validators.get(url);
+}
+
+/**
+ * Build a cache key for one or more files that together form an asset. A content hash
+ * declared in the manifest avoids the HEAD requests.
+ *
+ * @param {string} kind Namespace, e.g. 'attention', 'occupancy', 'pointcloud'.
+ * @param {Array<URL|string>} urls Resolved URLs of every file the decoded value depends on.
+ * @param {...Object} declaredSources Manifest objects that may declare a content hash,
+ *   most specific first.
+ * @returns {Promise<string>} '' when no version could be determined (do not cache).
+ */
+export async function resolveAssetCacheKey(kind, urls, ...declaredSources) {
+  if (disabled || typeof indexedDB === 'undefined') return '';
+  const list = urls.map((u) => u.toString());
+  let version = pickDeclaredVersion(...declaredSources);
+  if (!version) {
+    const found = await Promise.all(list.map((u) => fetchValidator(u)));
+    if (found.some((v) => !v)) return '';
+    version = found.join('+');
+  }
+  return `${kind}:${list.join('+')}#${version}`;
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<any|null>}
+ */
+export async function getCachedAsset(key) {
+  if (!key) return null;
+  const db = await openDb();
+  if (!db) return null;
+  try {
+    const tx = db.transaction([STORE_DATA, STORE_META], 'readwrite');
+    const value = await requestToPromise(tx.objectStore(STORE_DATA).get(key));
+    if (value === undefined) return null;
+    const metaStore = tx.objectStore(STORE_META);
+    const meta = await requestToPromise(metaStore.get(key));
+    if (meta) {
+      meta.lastAccess = Date.now();
+      metaStore.put(meta);
+    }
+    await transactionDone(tx);
+    return value;
+  } catch (err) {
+    console.warn('Asset cache read failed:', key, err);
+    return null;
+  }
+}
+
+async function deleteCachedAsset(key) {
+  const db = await openDb();
+  if (!db) return;
+  try {
+    const tx = db.transaction([STORE_DATA, STORE_META], 'readwrite');
+    tx.objectStore(STORE_DATA).delete(key);
+    tx.objectStore(STORE_META).delete(key);
+    await transactionDone(tx);
+  } catch (err) {
+    console.warn('Asset cache delete failed:', key, err);
+  }
+}
+
+async function evictToBudget(db, incomingBytes) {
+  const tx = db.transaction([STORE_DATA, STORE_META], 'readwrite');
+  const metaStore = tx.objectStore(STORE_META);
+  const dataStore = tx.objectStore(STORE_DATA);
+  const all = await requestToPromise(metaStore.index('lastAccess').getAll());
+  let total = all.reduce((sum, m) => sum + (m.bytes || 0), 0) + incomingBytes;
+  for (const meta of all) {
+    if (total <= maxBytes) break;
+    metaStore.delete(meta.key);
+    dataStore.delete(meta.key);
+    total -= meta.bytes || 0;
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Store a value and evict least-recently-used entries beyond the size budget.
+ *
+ * @param {string} key
+ * @param {any} value Structured-cloneable value (typed arrays are stored as-is).
+ * @param {number} bytes Approximate payload size used for the budget.
+ * @returns {Promise<void>} Rejects when IndexedDB fails (e.g. quota exceeded).
+ */
+export async function putCachedAsset(key, value, bytes) {
+  if (!key) return;
+  const size = Math.max(0, Number(bytes) || 0);
+  if (size > maxBytes) return;
+  const db = await openDb();
+  if (!db) return;
+  await evictToBudget(db, size);
+  const tx = db.transaction([STORE_DATA, STORE_META], 'readwrite');
+  tx.objectStore(STORE_DATA).put(value, key);
+  tx.objectStore(STORE_META).put({ key, bytes: size, lastAccess: Date.now() });
+  await transactionDone(tx);
+}
+
+/**
+ * Read-through helper: return the cached value for `key`, or run `load()` and cache its result.
+ *
+ * @param {string} key From resolveAssetCacheKey(); '' bypasses the cache.
+ * @param {() => Promise<{value:any, bytes:number}>} load
+ * @param {Object} [options]
+ * @param {?number} [options.expectedBytes] `byteLength` the value must have (ArrayBuffer or
+ *   typed array). A cached value of another size (stale or truncated) is evicted and reloaded;
+ *   a loaded one is returned but not cached, so the caller's own size check reports it.
+ * @returns {Promise<{value:any, fromCache:boolean}>}
+ */
+export async function readThroughAssetCache(key, load, options = {}) {
+  const expectedBytes = Number.isFinite(options.expectedBytes) ? options.expectedBytes : null;
+  const sizeMatches = (value) => expectedBytes === null || value?.byteLength === expectedBytes;
+
+  const cached = await getCachedAsset(key);
+  if (cached !== null) {
+    if (sizeMatches(cached)) return { value: cached, fromCache: true };
+    console.warn(`Asset cache entry has ${cached?.byteLength} bytes, expected ${expectedBytes}; evicting:`, key);
+    await deleteCachedAsset(key);
+  }
+  const { value, bytes } = await load();
+  if (key && sizeMatches(value)) {
+    // Writing can take a while for large tensors; do not block the caller on it.
+    putCachedAsset(key, value, bytes).catch((err) => {
+      console.warn('Asset cache write failed:', key, err);
+      deleteCachedAsset(key);
+    });
+  }
+  return { value, fromCache: false };
+}
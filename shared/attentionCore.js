@@ -0,0 +1,502 @@
+/**
+ * Attention core shared by the forward and inverse attention apps.
+ *
+ * Holds one [1, H, Q, K] cross-attention tensor between BEV queries and camera tokens,
+ * together with its token layout:
+ * - Q is the BEV grid, row-major: queryIdx = y * gridSize + x.
+ * - K is described by the manifest's optional `token_layout` (see buildTokenLayout). Without
+ *   one, K is every camera's patch tokens, cameras in lexicographic name order (matching the
+ *   Python utilities), each block optionally preceded by a CLS token.
+ *
+ * Weights may be a lazily decoded AttentionTensor (shared/attentionDecode.js) whose heads
+ * arrive one at a time, a flat [H*Q*K] array (`options.attnWeightsShape`), or a nested
+ * [1][H][Q][K] array, which is flattened once.
+ *
+ * The app-specific visualizers extend AttentionCore: forward attention looks up a query's
+ * patches, inverse attention the queries of a set of patches.
+ */
+
+export class PatchInfo {
+  constructor(camName, camIdx, startIdx, nPatches, patchH, patchW, imgH, imgW, hScale, wScale) {
+    this.camName = camName;
+    this.camIdx = camIdx; // original image index in arrays passed to the loader
+    this.startIdx = startIdx; // global K index (points at first patch token, after CLS if present)
+    this.nPatches = nPatches;
+    this.patchH = patchH;
+    this.patchW = patchW;
+    this.imgH = imgH; // model-input image size
+    this.imgW = imgW;
+    this.hScale = hScale; // original / model-input image size
+    this.wScale = wScale;
+  }
+
+  /**
+   * Patch under a pixel of the original-resolution camera image.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @param {number} patchSize Patch size on the model-input image
+   * @returns {number} Row-major index into this camera's patches, or -1 outside the grid
+   */
+  patchAtPixel(x, y, patchSize) {
+    const px = Math.floor(x / (patchSize * this.wScale));
+    const py = Math.floor(y / (patchSize * this.hScale));
+    if (px < 0 || py < 0 || px >= this.patchW || py >= this.patchH) return -1;
+    return py * this.patchW + px;
+  }
+}
+
+/**
+ * [height, width] of an image element (natural size first, so images that are not in the
+ * DOM work), an image-like `{ width, height }`, or a nested [C][H][W] array.
+ */
+function imageSize(img) {
+  if (Array.isArray(img)) return [img[0].length, img[0][0].length];
+  if (img && typeof img === 'object') {
+    return [img.naturalHeight || img.height || 0, img.naturalWidth || img.width || 0];
+  }
+  return null;
+}
+
+/**
+ * Layout used when the manifest declares none: cameras sorted by name, each an optional
+ * CLS token followed by its patches.
+ */
+function defaultTokenLayout(cameras, patchSize, hasClsTokens) {
+  const segments = [];
+  const sorted = cameras.slice().sort((a, b) => a.name.localeCompare(b.name));
+  for (const { name, height, width } of sorted) {
+    if (hasClsTokens) segments.push({ camera: name, type: 'cls' });
+    segments.push({
+      camera: name,
+      type: 'patch',
+      patch_grid: [Math.floor(height / patchSize), Math.floor(width / patchSize)],
+    });
+  }
+  return segments;
+}
+
+/**
+ * Token layout of K.
+ *
+ * `options.tokenLayout` is the manifest's `token_layout`: segments in token order, each
+ * `{ type, camera?, count?, patch_grid?, offset? }`:
+ * - `type`: 'patch' (a camera's patch grid, row-major), 'cls', 'register', 'global', ...;
+ *   only 'patch' and 'cls' are interpreted, other tokens are skipped.
+ * - `camera`: one of the scene's cameras; required for 'patch', optional otherwise.
+ * - `patch_grid`: [rows, cols] for 'patch'; must match the model-input image at `patchSize`.
+ * - `count`: number of tokens for other types (default 1).
+ * - `offset`: K index of the first token; optional, checked against the previous segments.
+ * Segments must cover K without gaps or overlaps, and every camera needs one 'patch' segment.
+ *
+ * @param {Array<{name:string, height:number, width:number, originalHeight?:number, originalWidth?:number}>} cameras
+ *   Model-input (patch-aligned) size per camera, in the order of the loader's image arrays;
+ *   the original size defaults to the model-input size.
+ * @param {Object} [options]
+ * @param {number} [options.patchSize=14]
+ * @param {?Array<Object>} [options.tokenLayout] Explicit layout; default: see defaultTokenLayout
+ * @param {boolean} [options.hasClsTokens=true] Default layout only: one CLS token before each camera
+ * @returns {{ patchInfos: Array<PatchInfo>, clsTokenIdxs: Array<number>, segments: Array<Object>, nTokens: number }}
+ *   `patchInfos` in token order (`camIdx` indexes `cameras`); `segments` normalized, with offsets
+ * @throws {Error} When the layout is malformed or does not fit the cameras
+ */
+export function buildTokenLayout(cameras, options = {}) {
+  const patchSize = options.patchSize || 14;
+  const hasClsTokens = options.hasClsTokens !== undefined ? options.hasClsTokens : true;
+  const layout = options.tokenLayout || defaultTokenLayout(cameras, patchSize, hasClsTokens);
+  if (!Array.isArray(layout) || layout.length === 0) {
+    throw new Error('token_layout must be a non-empty list of segments.');
+  }
+
+  const byName = new Map(cameras.map((cam, idx) => [cam.name, { ...cam, idx }]));
+  const patchInfos = [];
+  const clsTokenIdxs = [];
+  const segments = [];
+  let next = 0;
+  layout.forEach((seg, i) => {
+    const where = `token_layout[${i}]`;
+    const type = seg?.type;
+    if (typeof type !== 'string' || !type) throw new Error(`${where}: missing token type.`);
+    const camera = seg.camera ?? null;
+    if (camera !== null && !byName.has(camera)) {
+      throw new Error(`${where}: camera "${camera}" is not in image_names.`);
+    }
+
+    let count = seg.count ?? 1;
+    const grid = seg.patch_grid;
+    if (type === 'patch') {
+      if (camera === null) throw new Error(`${where}: a patch segment needs a camera.`);
+      if (!Array.isArray(grid) || grid.length !== 2 || !grid.every((n) => Number.isInteger(n) && n > 0)) {
+        throw new Error(`${where}: patch_grid must be [rows, cols].`);
+      }
+      if (patchInfos.some((info) => info.camName === camera)) {
+        throw new Error(`${where}: camera "${camera}" has more than one patch segment.`);
+      }
+      count = grid[0] * grid[1];
+    } else if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`${where}: count must be a positive integer.`);
+    }
+    const offset = seg.offset ?? next;
+    if (offset !== next) {
+      throw new Error(`${where}: offset ${offset}, but the segments before it end at token ${next}.`);
+    }
+
+    if (type === 'patch') {
+      const cam = byName.get(camera);
+      const { height: H, width: W } = cam;
+      if (!H || !W) {
+        throw new Error(`Camera image has zero size for ${camera} (not loaded/decoded yet)`);
+      }
+      const [patchH, patchW] = grid;
+      if (patchH !== Math.floor(H / patchSize) || patchW !== Math.floor(W / patchSize)) {
+        throw new Error(
+          `${where}: patch_grid [${grid}] does not match the ${W}x${H} image of "${camera}" at patch size ${patchSize}.`
+        );
+      }
+      const origH = cam.originalHeight || H;
+      const origW = cam.originalWidth || W;
+      patchInfos.push(new PatchInfo(camera, cam.idx, offset, count, patchH, patchW, H, W, origH / H, origW / W));
+    } else if (type === 'cls') {
+      for (let k = 0; k < count; k++) clsTokenIdxs.push(offset + k);
+    }
+    segments.push({ type, camera, offset, count, ...(type === 'patch' ? { patch_grid: [...grid] } : {}) });
+    next = offset + count;
+  });
+
+  const missing = cameras.filter((cam) => !patchInfos.some((info) => info.camName === cam.name));
+  if (missing.length > 0) {
+    throw new Error(`token_layout has no patch segment for ${missing.map((cam) => `"${cam.name}"`).join(', ')}.`);
+  }
+  return { patchInfos, clsTokenIdxs, segments, nTokens: next };
+}
+
+export class AttentionCore {
+  /**
+   * @param {AttentionTensor|Array|Float32Array|ArrayBuffer} attnWeights [1][H][Q][K], flat, or lazy tensor
+   * @param {Array} cameraImages Model-input images (patch-aligned sizing)
+   * @param {Array<string>} cameraNames
+   * @param {Object} [options]
+   * @param {number} [options.gridSize=32]
+   * @param {number} [options.patchSize=14]
+   * @param {Array<number>} [options.bevRange=[-40, 40, -40, 40]]
+   * @param {boolean} [options.hasClsTokens=true] Default token layout only
+   * @param {?Array<Object>} [options.tokenLayout] Manifest `token_layout` (see buildTokenLayout)
+   * @param {Array} [options.originalImages] Full-resolution images (default: cameraImages)
+   * @param {Array<number>} [options.attnWeightsShape] [1, H, Q, K] for flat weights
+   *   (default: 8 heads over the BEV grid)
+   */
+  constructor(attnWeights, cameraImages, cameraNames, options = {}) {
+    this.cameraImages = cameraImages;
+    this.originalImages = options.originalImages || cameraImages;
+    this.cameraNames = cameraNames;
+
+    this.gridSize = options.gridSize || 32;
+    this.patchSize = options.patchSize || 14;
+    this.bevRange = options.bevRange || [-40, 40, -40, 40];
+    this.nQueries = this.gridSize * this.gridSize;
+
+    this.attnTensor = null;
+    this.attnWeightsFlat = null;
+    this.attnWeightsShape = null;
+    this._setWeights(attnWeights, options.attnWeightsShape);
+    this.nHeads = this.attnWeightsShape[1];
+    this.kSize = this.attnWeightsShape[3];
+
+    const layout = buildTokenLayout(
+      cameraNames.map((name, idx) => {
+        const [height, width] = imageSize(cameraImages[idx]) || [0, 0];
+        const [originalHeight, originalWidth] = imageSize(this.originalImages[idx]) || [height, width];
+        return { name, height, width, originalHeight, originalWidth };
+      }),
+      { patchSize: this.patchSize, tokenLayout: options.tokenLayout, hasClsTokens: options.hasClsTokens }
+    );
+    if (layout.nTokens !== this.kSize) {
+      const source = options.tokenLayout
+        ? 'token_layout'
+        : 'The default token layout (cameras sorted by name, CLS tokens per has_cls_tokens)';
+      throw new Error(
+        `${source} describes ${layout.nTokens} tokens but attn_weights_shape[3] is ${this.kSize}.`
+        + (options.tokenLayout ? '' : ' Declare the layout with token_layout in the manifest.')
+      );
+    }
+    this.tokenLayoutExplicit = Boolean(options.tokenLayout);
+    this.tokenSegments = layout.segments;
+    this.clsTokenIdxs = layout.clsTokenIdxs;
+    this.hasClsTokens = this.clsTokenIdxs.length > 0;
+    this._patchInfo = layout.patchInfos;
+    this._nameToInfo = {};
+    this._patchInfo.forEach((info) => {
+      this._nameToInfo[info.camName] = info;
+    });
+  }
+
+  _setWeights(attnWeights, shape) {
+    this._flatMeanHead = null;
+    this._flatHeadSlabs = [];
+    // Derived per-slab arrays; a slab is replaced whenever its head selection changes.
+    this._keyMajorCache = new WeakMap();
+
+    if (attnWeights && typeof attnWeights.getHead === 'function') {
+      this.attnTensor = attnWeights;
+      this.attnWeightsShape = attnWeights.shape;
+      return;
+    }
+    if (attnWeights instanceof Float32Array || attnWeights instanceof ArrayBuffer
+      || (Array.isArray(attnWeights) && typeof attnWeights[0] === 'number')) {
+      this.attnWeightsFlat = attnWeights instanceof Float32Array ? attnWeights : new Float32Array(attnWeights);
+      const H = 8;
+      this.attnWeightsShape = shape
+        || [1, H, this.nQueries, this.attnWeightsFlat.length / (H * this.nQueries)];
+      return;
+    }
+    // Nested [1][H][Q][K] (legacy): flatten once so every path shares the flat layout.
+    const heads = attnWeights[0];
+    const H = heads.length;
+    const Q = heads[0].length;
+    const K = heads[0][0].length;
+    this.attnWeightsFlat = new Float32Array(H * Q * K);
+    for (let h = 0; h < H; h++) {
+      for (let q = 0; q < Q; q++) {
+        this.attnWeightsFlat.set(heads[h][q], (h * Q + q) * K);
+      }
+    }
+    this.attnWeightsShape = [1, H, Q, K];
+  }
+
+  getNumHeads() {
+    return this.nHeads;
+  }
+
+  /**
+   * @param {string} camName
+   * @returns {PatchInfo}
+   */
+  getCameraInfo(camName) {
+    return this._nameToInfo[camName];
+  }
+
+  /**
+   * @returns {Array<PatchInfo>} Every camera's patch block, in token order
+   */
+  getTokenLayout() {
+    return this._patchInfo;
+  }
+
+  /**
+   * Key tokens outside every patch block (CLS, register and global tokens).
+   *
+   * @returns {Array<number>} Global K indices, ascending
+   */
+  getNonPatchTokenIdxs() {
+    const idxs = [];
+    for (const seg of this.tokenSegments) {
+      if (seg.type === 'patch') continue;
+      for (let k = 0; k < seg.count; k++) idxs.push(seg.offset + k);
+    }
+    return idxs;
+  }
+
+  /**
+   * Model-input image of a camera (the one the patch grid is aligned to).
+   */
+  getCameraImage(camName) {
+    const info = this.getCameraInfo(camName);
+    return info ? this.cameraImages[info.camIdx] : null;
+  }
+
+  /**
+   * Swap in another lazily decoded tensor with the same shape (e.g. a different layer,
+   * or the mean over layers).
+   *
+   * @param {AttentionTensor} tensor
+   */
+  setAttentionTensor(tensor) {
+    const [, H, Q, K] = tensor.shape;
+    if (H !== this.nHeads || Q !== this.nQueries || K !== this.kSize) {
+      throw new Error(`Attention tensor shape [${tensor.shape}] does not match this scene.`);
+    }
+    this.attnWeightsFlat = null;
+    this._setWeights(tensor);
+  }
+
+  /**
+   * Start fetching the heads a selection needs (all heads for the mean).
+   *
+   * @param {Object} options { meanHeads, headIdx }
+   * @returns {Promise<void>} Resolves once they are all available
+   */
+  ensureHeads(options = {}) {
+    const { meanHeads = true, headIdx = null } = options;
+    if (!this.attnTensor) return Promise.resolve();
+    if (meanHeads) return this.attnTensor.loadAllHeads();
+    if (headIdx === null) return Promise.reject(new Error('Specify headIdx or set meanHeads=true'));
+    return this.attnTensor.loadHead(headIdx);
+  }
+
+  /**
+   * Number of heads currently contributing to the mean (all of them for eager data).
+   */
+  getReadyHeadCount() {
+    return this.attnTensor ? this.attnTensor.readyHeadCount : this.nHeads;
+  }
+
+  isHeadReady(headIdx) {
+    return this.attnTensor ? this.attnTensor.isHeadReady(headIdx) : true;
+  }
+
+  /**
+   * [Q*K] attention block for a head selection, or null while a lazy head is still loading.
+   * In mean mode a lazy tensor returns the mean of the heads that have arrived so far.
+   * @protected
+   */
+  _getHeadSlab(meanHeads, headIdx) {
+    if (!meanHeads && headIdx === null) {
+      throw new Error('Specify headIdx or set meanHeads=true');
+    }
+    if (this.attnTensor) {
+      return meanHeads ? this.attnTensor.getMeanHead() : this.attnTensor.getHead(headIdx);
+    }
+    const [, H, Q, K] = this.attnWeightsShape;
+    const size = Q * K;
+    if (!meanHeads) {
+      // Keep one view per head so derived per-slab caches hit.
+      if (!this._flatHeadSlabs[headIdx]) {
+        this._flatHeadSlabs[headIdx] = this.attnWeightsFlat.subarray(headIdx * size, (headIdx + 1) * size);
+      }
+      return this._flatHeadSlabs[headIdx];
+    }
+    if (!this._flatMeanHead) {
+      const mean = new Float32Array(size);
+      for (let h = 0; h < H; h++) {
+        const base = h * size;
+        for (let i = 0; i < size; i++) mean[i] += this.attnWeightsFlat[base + i];
+      }
+      for (let i = 0; i < size; i++) mean[i] /= H;
+      this._flatMeanHead = mean;
+    }
+    return this._flatMeanHead;
+  }
+
+  /**
+   * Transposed [K*Q] copy of a [Q*K] head slab, so the queries attending to one key are
+   * contiguous. Built once per slab, i.e. once per head selection (a lazy mean gets a new
+   * slab as heads arrive).
+   * @protected
+   */
+  _getKeyMajor(slab) {
+    let keyMajor = this._keyMajorCache.get(slab);
+    if (!keyMajor) {
+      const Q = this.nQueries;
+      const K = this.kSize;
+      keyMajor = new Float32Array(K * Q);
+      for (let q = 0; q < Q; q++) {
+        const base = q * K;
+        for (let k = 0; k < K; k++) keyMajor[k * Q + q] = slab[base + k];
+      }
+      this._keyMajorCache.set(slab, keyMajor);
+    }
+    return keyMajor;
+  }
+
+  /**
+   * Forward lookup: full attention row of one query over all K tokens (CLS tokens included).
+   * Zeros while a lazily loaded head has not arrived yet.
+   *
+   * @param {number} queryIdx
+   * @param {Object} options { meanHeads, headIdx }
+   * @returns {Float32Array} [K]
+   */
+  getQueryAttentionRow(queryIdx, options = {}) {
+    const { meanHeads = true, headIdx = null } = options;
+    const out = new Float32Array(this.kSize);
+    const slab = this._getHeadSlab(meanHeads, headIdx);
+    if (slab) out.set(slab.subarray(queryIdx * this.kSize, (queryIdx + 1) * this.kSize));
+    return out;
+  }
+
+  /**
+   * Forward lookup: attention of one query on one camera's patches.
+   * Zeros while a lazily loaded head has not arrived yet.
+   *
+   * @param {number} queryIdx
+   * @param {string} camName
+   * @param {Object} options { meanHeads, headIdx }
+   * @returns {Float32Array} [nPatches] of that camera, row-major patchH x patchW
+   */
+  getCameraPatchAttentionForQuery(queryIdx, camName, options = {}) {
+    const { meanHeads = true, headIdx = null } = options;
+    const info = this.getCameraInfo(camName);
+    if (!info) throw new Error(`Unknown camera: ${camName}`);
+
+    const out = new Float32Array(info.nPatches);
+    const slab = this._getHeadSlab(meanHeads, headIdx);
+    if (!slab) return out;
+    const base = queryIdx * this.kSize + info.startIdx;
+    out.set(slab.subarray(base, base + info.nPatches));
+    return out;
+  }
+
+  /**
+   * Inverse lookup: attention of every query on one key token (a column of the matrix).
+   *
+   * @param {number} kIdx Global K index
+   * @param {Object} options { meanHeads, headIdx }
+   * @returns {?Float32Array} [Q], or null while a lazily loaded head has not arrived yet
+   */
+  getKeyAttentionColumn(kIdx, options = {}) {
+    const { meanHeads = true, headIdx = null } = options;
+    const slab = this._getHeadSlab(meanHeads, headIdx);
+    if (!slab) return null;
+    const Q = this.nQueries;
+    return this._getKeyMajor(slab).slice(kIdx * Q, (kIdx + 1) * Q);
+  }
+
+  /**
+   * Inverse lookup: BEV attention map of a set of patches.
+   *
+   * Reads the key-major index, so the cost is one contiguous [Q] row per patch - cheap
+   * enough to recompute on every pointer move.
+   *
+   * @param {Array<number>} patchIndices Global K indices
+   * @param {Object} options
+   * @param {boolean} [options.meanHeads=true]
+   * @param {?number} [options.headIdx]
+   * @param {'sum'|'max'|'mean'} [options.aggregation='sum'] How the patches are combined
+   * @returns {Float32Array} [Q] row-major (y * gridSize + x); zeros while a lazily decoded
+   *   head is still loading
+   */
+  getInverseAttention(patchIndices, options = {}) {
+    const { meanHeads = true, headIdx = null, aggregation = 'sum' } = options;
+    if (aggregation !== 'sum' && aggregation !== 'max' && aggregation !== 'mean') {
+      throw new Error(`Unknown aggregation: ${aggregation}`);
+    }
+
+    const Q = this.nQueries;
+    const bevAttn = new Float32Array(Q);
+    const slab = this._getHeadSlab(meanHeads, headIdx);
+    if (!slab || patchIndices.length === 0) return bevAttn;
+    const keyMajor = this._getKeyMajor(slab);
+
+    if (aggregation === 'max') {
+      bevAttn.fill(-Infinity);
+      for (const kIdx of patchIndices) {
+        const base = kIdx * Q;
+        for (let q = 0; q < Q; q++) {
+          const v = keyMajor[base + q];
+          if (v > bevAttn[q]) bevAttn[q] = v;
+        }
+      }
+      return bevAttn;
+    }
+
+    for (const kIdx of patchIndices) {
+      const base = kIdx * Q;
+      for (let q = 0; q < Q; q++) bevAttn[q] += keyMajor[base + q];
+    }
+    if (aggregation === 'mean') {
+      const inv = 1 / patchIndices.length;
+      for (let q = 0; q < Q; q++) bevAttn[q] *= inv;
+    }
+    return bevAttn;
+  }
+}
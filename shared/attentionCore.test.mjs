@@ -0,0 +1,193 @@
+/**
+ * Token layout tests for every camera set in cameraOrder.js.
+ *
+ * Run from the repo root: node --test shared/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AttentionCore, buildTokenLayout } from './attentionCore.js';
+import { UI_ORDER } from './cameraOrder.js';
+
+const PATCH_SIZE = 14;
+
+/** Model-input sizes that differ per camera and are not all multiples of the patch size. */
+function camerasFor(names) {
+  return names.map((name, i) => ({
+    name,
+    height: PATCH_SIZE * (12 + (i % 3)) + (i % 2) * 5,
+    width: PATCH_SIZE * (20 + i),
+  }));
+}
+
+function patchGrid(cam) {
+  return [Math.floor(cam.height / PATCH_SIZE), Math.floor(cam.width / PATCH_SIZE)];
+}
+
+/** Explicit layout in UI order: 4 register tokens, then a CLS token before each camera. */
+function explicitLayout(cameras) {
+  const segments = [{ type: 'register', count: 4 }];
+  for (const cam of cameras) {
+    segments.push({ type: 'cls', camera: cam.name });
+    segments.push({ type: 'patch', camera: cam.name, patch_grid: patchGrid(cam) });
+  }
+  return segments;
+}
+
+function withOffsets(segments) {
+  let next = 0;
+  return segments.map((seg) => {
+    const count = seg.type === 'patch' ? seg.patch_grid[0] * seg.patch_grid[1] : (seg.count ?? 1);
+    const out = { ...seg, offset: next };
+    next += count;
+    return out;
+  });
+}
+
+function makeCore(cameras, nTokens, options = {}) {
+  const gridSize = 2;
+  const weights = new Float32Array(gridSize * gridSize * nTokens);
+  return new AttentionCore(
+    weights,
+    cameras.map(({ height, width }) => ({ height, width })),
+    cameras.map((cam) => cam.name),
+    { gridSize, patchSize: PATCH_SIZE, attnWeightsShape: [1, 1, gridSize * gridSize, nTokens], ...options }
+  );
+}
+
+for (const [dataset, names] of Object.entries(UI_ORDER)) {
+  const cameras = camerasFor(names);
+
+  test(`${dataset}: default layout sorts cameras by name with a CLS token before each`, () => {
+    const layout = buildTokenLayout(cameras, { patchSize: PATCH_SIZE });
+    const sorted = names.slice().sort((a, b) => a.localeCompare(b));
+    assert.deepEqual(layout.patchInfos.map((info) => info.camName), sorted);
+
+    let next = 0;
+    for (const info of layout.patchInfos) {
+      const cam = cameras[info.camIdx];
+      assert.equal(cam.name, info.camName);
+      const [rows, cols] = patchGrid(cam);
+      assert.equal(info.startIdx, next + 1);
+      assert.equal(info.nPatches, rows * cols);
+      assert.equal(info.patchH, rows);
+      assert.equal(info.patchW, cols);
+      assert.ok(layout.clsTokenIdxs.includes(info.startIdx - 1));
+      next = info.startIdx + info.nPatches;
+    }
+    assert.equal(layout.nTokens, next);
+    assert.equal(layout.clsTokenIdxs.length, names.length);
+  });
+
+  test(`${dataset}: default layout without CLS tokens packs the patch blocks`, () => {
+    const layout = buildTokenLayout(cameras, { patchSize: PATCH_SIZE, hasClsTokens: false });
+    let next = 0;
+    for (const info of layout.patchInfos) {
+      assert.equal(info.startIdx, next);
+      next += info.nPatches;
+    }
+    assert.equal(layout.nTokens, next);
+    assert.deepEqual(layout.clsTokenIdxs, []);
+  });
+
+  test(`${dataset}: explicit token_layout keeps its order and offsets`, () => {
+    const tokenLayout = withOffsets(explicitLayout(cameras));
+    const layout = buildTokenLayout(cameras, { patchSize: PATCH_SIZE, tokenLayout });
+    assert.deepEqual(layout.patchInfos.map((info) => info.camName), names);
+
+    for (const seg of tokenLayout.filter((s) => s.type === 'patch')) {
+      const info = layout.patchInfos.find((p) => p.camName === seg.camera);
+      assert.equal(info.startIdx, seg.offset);
+      assert.equal(info.nPatches, seg.patch_grid[0] * seg.patch_grid[1]);
+      assert.equal(info.camIdx, names.indexOf(seg.camera));
+    }
+    assert.deepEqual(
+      layout.clsTokenIdxs,
+      tokenLayout.filter((s) => s.type === 'cls').map((s) => s.offset)
+    );
+    const last = tokenLayout[tokenLayout.length - 1];
+    assert.equal(layout.nTokens, last.offset + last.patch_grid[0] * last.patch_grid[1]);
+
+    const core = makeCore(cameras, layout.nTokens, { tokenLayout });
+    assert.deepEqual(core.getNonPatchTokenIdxs(), [0, 1, 2, 3, ...layout.clsTokenIdxs]);
+    for (const info of layout.patchInfos) {
+      const coreInfo = core.getCameraInfo(info.camName);
+      assert.equal(coreInfo.startIdx, info.startIdx);
+      assert.equal(coreInfo.nPatches, info.nPatches);
+    }
+  });
+
+  test(`${dataset}: explicit token_layout rejects overlaps and gaps`, () => {
+    const base = withOffsets(explicitLayout(cameras));
+    const i = base.findIndex((s) => s.type === 'patch' && s.camera === names[names.length - 1]);
+
+    const overlap = base.map((seg, j) => (j === i ? { ...seg, offset: seg.offset - 1 } : seg));
+    assert.throws(
+      () => buildTokenLayout(cameras, { patchSize: PATCH_SIZE, tokenLayout: overlap }),
+      new RegExp(`^Error: token_layout\\[${i}\\]: offset ${base[i].offset - 1}, but the segments before it end at token ${base[i].offset}\\.`)
+    );
+
+    const gap = base.map((seg, j) => (j === i ? { ...seg, offset: seg.offset + 2 } : seg));
+    assert.throws(
+      () => buildTokenLayout(cameras, { patchSize: PATCH_SIZE, tokenLayout: gap }),
+      new RegExp(`^Error: token_layout\\[${i}\\]: offset ${base[i].offset + 2}, but the segments before it end at token ${base[i].offset}\\.`)
+    );
+  });
+
+  test(`${dataset}: explicit token_layout rejects malformed patch segments`, () => {
+    const base = explicitLayout(cameras);
+    const first = base.findIndex((s) => s.type === 'patch');
+
+    const missing = base.filter((seg) => !(seg.type === 'patch' && seg.camera === names[0]));
+    assert.throws(
+      () => buildTokenLayout(cameras, { patchSize: PATCH_SIZE, tokenLayout: missing }),
+      { message: `token_layout has no patch segment for "${names[0]}".` }
+    );
+
+    const duplicate = [...base, { ...base[first] }];
+    assert.throws(
+      () => buildTokenLayout(cameras, { patchSize: PATCH_SIZE, tokenLayout: duplicate }),
+      { message: `token_layout[${base.length}]: camera "${names[0]}" has more than one patch segment.` }
+    );
+
+    const [rows, cols] = base[first].patch_grid;
+    const wrongGrid = base.map((seg, j) => (j === first ? { ...seg, patch_grid: [rows, cols + 1] } : seg));
+    assert.throws(
+      () => buildTokenLayout(cameras, { patchSize: PATCH_SIZE, tokenLayout: wrongGrid }),
+      /does not match the \d+x\d+ image/
+    );
+
+    const unknown = [...base, { type: 'cls', camera: 'not_a_camera' }];
+    assert.throws(
+      () => buildTokenLayout(cameras, { patchSize: PATCH_SIZE, tokenLayout: unknown }),
+      { message: `token_layout[${base.length}]: camera "not_a_camera" is not in image_names.` }
+    );
+  });
+
+  test(`${dataset}: token count must match attn_weights_shape[3]`, () => {
+    const tokenLayout = explicitLayout(cameras);
+    const { nTokens } = buildTokenLayout(cameras, { patchSize: PATCH_SIZE, tokenLayout });
+    assert.throws(
+      () => makeCore(cameras, nTokens + 1, { tokenLayout }),
+      { message: `token_layout describes ${nTokens} tokens but attn_weights_shape[3] is ${nTokens + 1}.` }
+    );
+
+    const defaultTokens = buildTokenLayout(cameras, { patchSize: PATCH_SIZE }).nTokens;
+    assert.throws(() => makeCore(cameras, defaultTokens - 1), /Declare the layout with token_layout/);
+    assert.doesNotThrow(() => makeCore(cameras, defaultTokens));
+  });
+}
+
+test('patchAtPixel maps original-resolution pixels through the model-input scale', () => {
+  const [cam] = camerasFor(['front']);
+  const layout = buildTokenLayout(
+    [{ ...cam, originalHeight: cam.height * 2, originalWidth: cam.width * 2 }],
+    { patchSize: PATCH_SIZE }
+  );
+  const info = layout.patchInfos[0];
+  assert.equal(info.patchAtPixel(0, 0, PATCH_SIZE), 0);
+  assert.equal(info.patchAtPixel(2 * PATCH_SIZE * 3 + 1, 2 * PATCH_SIZE + 1, PATCH_SIZE), info.patchW + 3);
+  assert.equal(info.patchAtPixel(-1, 0, PATCH_SIZE), -1);
+  assert.equal(info.patchAtPixel(cam.width * 2, 0, PATCH_SIZE), -1);
+});
@@ -1,16 +1,27 @@
+import { resolveAssetCacheKey, readThroughAssetCache } from "./assetCache.js?v=2026-10-18-asset-cache-v3";
+
+// URL precision name -> manifest variant key.
+const VARIANT_KEYS = {
+  fp32: "fp32",
+  fp16: "fp16",
+  int8: "int8_phs_v1",
+  int4: "int4_phq_v1",
+  topk: "topk_v1",
+};
+
 function normalizePrecision(value) {
   const raw = (value || "auto").toString().trim().toLowerCase();
   if (raw === "auto") return "auto";
   if (raw === "fp32" || raw === "float32") return "fp32";
+  if (raw === "fp16" || raw === "float16" || raw === "half") return "fp16";
   if (raw === "int8" || raw === "int8_phs_v1") return "int8";
   if (raw === "int4" || raw === "int4_phq_v1") return "int4";
+  if (raw === "topk" || raw === "topk_v1") return "topk";
   return "auto";
 }
 
 function toVariantKey(requested, sceneJson) {
-  if (requested === "fp32") return "fp32";
-  if (requested === "int8") return "int8_phs_v1";
-  if (requested === "int4") return "int4_phq_v1";
+  if (VARIANT_KEYS[requested]) return VARIANT_KEYS[requested];
 
   const metadata = sceneJson?.metadata || {};
   const variants = sceneJson?.attn_variants || {};
@@ -21,28 +32,173 @@ function toVariantKey(requested, sceneJson) {
   if (preferred && variants[preferred]) return preferred;
   if (variants.int4_phq_v1) return "int4_phq_v1";
   if (variants.int8_phs_v1) return "int8_phs_v1";
+  if (variants.fp16) return "fp16";
   if (variants.fp32) return "fp32";
+  // Sparse top-k drops the attention tail, so auto only picks it when nothing else exists.
+  if (variants.topk_v1) return "topk_v1";
   return "";
 }
 
 function ensureShape(sceneJson) {
   const shape = sceneJson?.attn_weights_shape;
-  if (!Array.isArray(shape) || shape.length !== 4) {
+  if (!Array.isArray(shape) || (shape.length !== 4 && shape.length !== 5)) {
     throw new Error("Missing or invalid attn_weights_shape in scene manifest.");
   }
   return shape.map((x) => Number(x));
 }
 
-function prod(nums) {
-  return nums.reduce((a, b) => a * b, 1);
+/**
+ * Split a (possibly layered) manifest into per-layer specs. Two layouts are accepted:
+ *
+ * - `attn_layers: [{ name?, attn_variants, attn_weights_shape? }, ...]`, one variant set
+ *   per layer (the shape defaults to the top-level [1,H,Q,K]);
+ * - a 5D `attn_weights_shape: [L,1,H,Q,K]`, where every variant file stores the layers
+ *   back to back. Such a file is read as [1,L*H,Q,K] and layer l uses heads l*H..l*H+H-1
+ *   (int8 scales are [L,1,H,1,1], int4 scales [L,1,H,Q,1]).
+ *
+ * Plain [1,H,Q,K] manifests are a single layer.
+ */
+function resolveLayerSpecs(sceneJson) {
+  if (Array.isArray(sceneJson?.attn_layers) && sceneJson.attn_layers.length > 0) {
+    return sceneJson.attn_layers.map((entry, index) => {
+      const layerScene = {
+        ...entry,
+        metadata: sceneJson.metadata,
+        attn_weights_shape: entry?.attn_weights_shape || sceneJson.attn_weights_shape,
+      };
+      const shape = ensureShape(layerScene);
+      if (shape.length !== 4) {
+        throw new Error(`Attention layer ${index} must have a [1,H,Q,K] shape.`);
+      }
+      return {
+        index,
+        name: entry?.name || `Layer ${index}`,
+        layerScene,
+        shape,
+        sourceShape: shape,
+        headOffset: 0,
+      };
+    });
+  }
+
+  const fullShape = ensureShape(sceneJson);
+  if (fullShape.length === 4) {
+    return [{
+      index: 0,
+      name: "Layer 0",
+      layerScene: sceneJson,
+      shape: fullShape,
+      sourceShape: fullShape,
+      headOffset: 0,
+    }];
+  }
+  const [nLayers, b, h, qDim, kDim] = fullShape;
+  const names = Array.isArray(sceneJson.attn_layer_names) ? sceneJson.attn_layer_names : [];
+  return Array.from({ length: nLayers }, (_, index) => ({
+    index,
+    name: names[index] || `Layer ${index}`,
+    layerScene: sceneJson,
+    shape: [b, h, qDim, kDim],
+    sourceShape: [b, nLayers * h, qDim, kDim],
+    headOffset: index * h,
+  }));
+}
+
+/**
+ * @param {Object} sceneJson
+ * @returns {Array<{index:number, name:string}>} One entry per attention layer (at least one).
+ */
+export function describeAttentionLayers(sceneJson) {
+  return resolveLayerSpecs(sceneJson).map(({ index, name }) => ({ index, name }));
+}
+
+// Share of the overall progress bar spent on network transfer; the rest is dequantization.
+const FETCH_PROGRESS_SHARE = 0.7;
+
+function createProgressReporter(onProgress) {
+  if (typeof onProgress !== "function") return null;
+  let lastPercent = -1;
+  return (phase, fraction) => {
+    const clamped = Math.max(0, Math.min(1, fraction));
+    const overall = phase === "fetch"
+      ? clamped * FETCH_PROGRESS_SHARE
+      : FETCH_PROGRESS_SHARE + clamped * (1 - FETCH_PROGRESS_SHARE);
+    const percent = Math.floor(overall * 100);
+    if (percent === lastPercent) return;
+    lastPercent = percent;
+    onProgress({ phase, fraction: overall });
+  };
+}
+
+async function readBodyWithProgress(res, onBytes = null) {
+  const total = Number(res.headers.get("content-length")) || 0;
+  if (!onBytes || !res.body || typeof res.body.getReader !== "function") {
+    const buffer = await res.arrayBuffer();
+    onBytes?.(buffer.byteLength, buffer.byteLength);
+    return buffer;
+  }
+
+  // Stream the body so callers can report progress. content-length may be the
+  // compressed size, so collect chunks instead of preallocating.
+  const reader = res.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onBytes(loaded, Math.max(total, loaded));
+  }
+  const out = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  onBytes(loaded, loaded);
+  return out.buffer;
 }
 
-async function fetchArrayBufferOrThrow(url) {
+async function fetchArrayBufferOrThrow(url, onBytes = null) {
   const res = await fetch(url);
   if (!res.ok) {
     throw new Error(`Failed to load ${url.toString()}: ${res.status} ${res.statusText}`);
   }
-  return await res.arrayBuffer();
+  return await readBodyWithProgress(res, onBytes);
+}
+
+/**
+ * Fetch bytes [start, end) of `url`. `partial` is false when the server ignored the
+ * Range header and sent the whole file; `total` is the full file size when known.
+ */
+async function fetchByteRange(url, start, end, onBytes = null) {
+  const res = await fetch(url, { headers: { Range: `bytes=${start}-${end - 1}` } });
+  if (!res.ok) {
+    throw new Error(`Failed to load ${url.toString()}: ${res.status} ${res.statusText}`);
+  }
+  const buffer = await readBodyWithProgress(res, onBytes);
+  if (res.status !== 206) {
+    return { buffer, partial: false, total: buffer.byteLength };
+  }
+  const match = /\/(\d+)\s*$/.exec(res.headers.get("content-range") || "");
+  return { buffer, partial: true, total: match ? Number(match[1]) : null };
+}
+
+async function fetchAllWithProgress(urls, report) {
+  const loaded = urls.map(() => 0);
+  const totals = urls.map(() => 0);
+  const onBytesFor = (i) => (bytes, total) => {
+    loaded[i] = bytes;
+    totals[i] = total;
+    const sumTotal = totals.reduce((a, b) => a + b, 0);
+    if (sumTotal > 0) {
+      report?.("fetch", loaded.reduce((a, b) => a + b, 0) / sumTotal);
+    }
+  };
+  return await Promise.all(
+    urls.map((url, i) => fetchArrayBufferOrThrow(url, report ? onBytesFor(i) : null))
+  );
 }
 
 function buildLegacyFp32Variant(sceneJson) {
@@ -59,7 +215,7 @@ export function resolveAttentionVariant(sceneJson, urlPrecision = "auto") {
   const variants = sceneJson?.attn_variants || null;
 
   if (!variants || typeof variants !== "object") {
-    if (requested === "int8" || requested === "int4") {
+    if (requested !== "auto" && requested !== "fp32") {
       throw new Error(`This scene does not provide ${requested} attention variants.`);
     }
     const legacy = buildLegacyFp32Variant(sceneJson);
@@ -90,7 +246,7 @@ export function resolveAttentionVariant(sceneJson, urlPrecision = "auto") {
 
   const variant = variants[key];
   if (!variant) {
-    if (requested === "int8" || requested === "int4") {
+    if (requested !== "auto" && requested !== "fp32") {
       throw new Error(`Requested ${requested} attention variant is missing for this scene.`);
     }
     const fallback = variants.fp32 || buildLegacyFp32Variant(sceneJson);
@@ -105,168 +261,857 @@ export function resolveAttentionVariant(sceneJson, urlPrecision = "auto") {
     };
   }
 
-  const fallbackUsed =
-    (requested === "int8" && key !== "int8_phs_v1")
-    || (requested === "int4" && key !== "int4_phq_v1");
+  const fallbackUsed = requested !== "auto" && key !== VARIANT_KEYS[requested];
   return { key, variant, fallbackUsed, requested };
 }
 
-async function loadRawFp32(variant, jsonUrl, shape) {
-  const file = variant?.file;
-  if (!file) {
-    throw new Error("Attention fp32 variant is missing file path.");
+
+function nibbleToSigned(value) {
+  return (value & 0x08) ? (value - 16) : value;
+}
+
+function int4At(packed, index) {
+  const byte = packed[index >> 1];
+  if ((index & 1) === 0) {
+    return nibbleToSigned(byte & 0x0f);
   }
-  const url = new URL(file, jsonUrl);
-  const buffer = await fetchArrayBufferOrThrow(url);
-  const out = new Float32Array(buffer);
-  const expected = prod(shape);
-  if (out.length !== expected) {
-    throw new Error(
-      `Attention fp32 size mismatch: got ${out.length} values, expected ${expected}.`
-    );
+  return nibbleToSigned((byte >> 4) & 0x0f);
+}
+
+
+function halfToFloat(h) {
+  const sign = (h & 0x8000) ? -1 : 1;
+  const exp = (h >> 10) & 0x1f;
+  const frac = h & 0x03ff;
+  if (exp === 0) return sign * frac * 2 ** -24;
+  if (exp === 0x1f) return frac ? NaN : sign * Infinity;
+  return sign * (1 + frac / 1024) * 2 ** (exp - 15);
+}
+
+function halfArrayToFloat32(half, out = new Float32Array(half.length), onChunk = null) {
+  const chunk = 1 << 20;
+  for (let start = 0; start < half.length; start += chunk) {
+    const end = Math.min(half.length, start + chunk);
+    for (let i = start; i < end; i++) {
+      out[i] = halfToFloat(half[i]);
+    }
+    onChunk?.(end / half.length);
   }
   return out;
 }
 
-async function loadInt8PerHead(variant, jsonUrl, shape) {
-  const file = variant?.file;
-  const scaleFile = variant?.scale_file;
-  if (!file || !scaleFile) {
-    throw new Error("Int8 attention variant requires file and scale_file.");
-  }
-  if (variant.encoding !== "symmetric_per_head") {
-    throw new Error(`Unsupported int8 encoding '${variant.encoding}'.`);
-  }
 
-  const qUrl = new URL(file, jsonUrl);
-  const sUrl = new URL(scaleFile, jsonUrl);
-  const [qBuffer, sBuffer] = await Promise.all([
-    fetchArrayBufferOrThrow(qUrl),
-    fetchArrayBufferOrThrow(sUrl),
-  ]);
+/**
+ * Sparse top-k attention: for every (head, query) row only the `k` largest keys are stored.
+ *
+ * Manifest entry (`attn_variants.topk_v1`):
+ *   file         values, [1,H,Q,k] in `dtype` (float16 | float32)
+ *   index_file   key indices, [1,H,Q,k] in `index_dtype` (uint16 | int32)
+ *   encoding     "sparse_topk_per_head_query"
+ *   k            entries per row
+ *
+ * The file is small, so it is fetched whole and kept sparse ({ encoding: "topk", k, indices,
+ * values }); dense [Q,K] blocks are only materialized per head by expandTopkHead().
+ */
+async function loadTopkSparse(variant, jsonUrl, shape, report) {
+  const file = variant.file;
+  const indexFile = variant.index_file;
+  const [, h, qDim, kDim] = shape;
+  const k = Number(variant.k);
 
-  const q = new Int8Array(qBuffer);
-  const scales = new Float32Array(sBuffer);
+  const vUrl = new URL(file, jsonUrl);
+  const iUrl = new URL(indexFile, jsonUrl);
+  const [vBuffer, iBuffer] = await fetchAllWithProgress([vUrl, iUrl], report);
 
-  const [b, h, qDim, kDim] = shape;
-  if (b !== 1) {
-    throw new Error(`Only batch size 1 is supported, got ${b}.`);
+  const valueDtype = (variant.dtype || "float16").toLowerCase();
+  const indexDtype = (variant.index_dtype || "uint16").toLowerCase();
+  if (valueDtype !== "float16" && valueDtype !== "float32") {
+    throw new Error(`Unsupported top-k value dtype '${variant.dtype}'.`);
+  }
+  if (indexDtype !== "uint16" && indexDtype !== "int32") {
+    throw new Error(`Unsupported top-k index dtype '${variant.index_dtype}'.`);
   }
 
-  const expectedValues = b * h * qDim * kDim;
-  if (q.length !== expectedValues) {
+  const expectedEntries = h * qDim * k;
+  const valueBytes = valueDtype === "float16" ? 2 : 4;
+  const indexBytes = indexDtype === "uint16" ? 2 : 4;
+  if (vBuffer.byteLength !== expectedEntries * valueBytes) {
     throw new Error(
-      `Int8 attention size mismatch: got ${q.length} values, expected ${expectedValues}.`
+      `Top-k values size mismatch: got ${vBuffer.byteLength} bytes, expected ${expectedEntries * valueBytes}.`
     );
   }
-
-  const expectedScales = h;
-  if (scales.length !== expectedScales) {
+  if (iBuffer.byteLength !== expectedEntries * indexBytes) {
     throw new Error(
-      `Int8 scales size mismatch: got ${scales.length} values, expected ${expectedScales}.`
+      `Top-k indices size mismatch: got ${iBuffer.byteLength} bytes, expected ${expectedEntries * indexBytes}.`
     );
   }
 
-  const out = new Float32Array(expectedValues);
-  const headStride = qDim * kDim;
-  for (let head = 0; head < h; head++) {
-    const scale = scales[head];
-    const base = head * headStride;
-    for (let i = 0; i < headStride; i++) {
-      out[base + i] = q[base + i] * scale;
+  const indices = indexDtype === "uint16" ? new Uint16Array(iBuffer) : new Int32Array(iBuffer);
+  for (let i = 0; i < indices.length; i++) {
+    if (indices[i] < 0 || indices[i] >= kDim) {
+      throw new Error(`Top-k index out of range at entry ${i}: ${indices[i]} (K=${kDim}).`);
     }
   }
-  return out;
+  const values = valueDtype === "float16"
+    ? halfArrayToFloat32(new Uint16Array(vBuffer), new Float32Array(expectedEntries), (f) => report?.("decode", f))
+    : new Float32Array(vBuffer);
+  report?.("decode", 1);
+  return { encoding: "topk", k, indices, values };
 }
 
-function nibbleToSigned(value) {
-  return (value & 0x08) ? (value - 16) : value;
+/**
+ * Scatter one head of a sparse top-k tensor into a dense [Q,K] block (missing keys are 0).
+ *
+ * @param {{k:number, indices:Uint16Array|Int32Array, values:Float32Array}} sparse
+ * @param {number[]} shape [1,H,Q,K]
+ * @param {number} head
+ * @param {Float32Array} [out] Length Q*K; zero-filled before writing.
+ * @returns {Float32Array}
+ */
+export function expandTopkHead(sparse, shape, head, out = null) {
+  const [, , qDim, kDim] = shape;
+  const { k, indices, values } = sparse;
+  const dense = out || new Float32Array(qDim * kDim);
+  dense.fill(0);
+  const base = head * qDim * k;
+  for (let q = 0; q < qDim; q++) {
+    const row = q * kDim;
+    const src = base + q * k;
+    for (let j = 0; j < k; j++) {
+      dense[row + indices[src + j]] = values[src + j];
+    }
+  }
+  return dense;
 }
 
-function int4At(packed, index) {
-  const byte = packed[index >> 1];
-  if ((index & 1) === 0) {
-    return nibbleToSigned(byte & 0x0f);
+function variantKind(variant) {
+  const dtype = (variant?.dtype || "").toLowerCase();
+  const encoding = (variant?.encoding || "").toLowerCase();
+  if (dtype === "int4" || encoding === "symmetric_per_head_query_packed_int4") return "int4";
+  if (dtype === "int8" || encoding === "symmetric_per_head") return "int8";
+  if (encoding === "sparse_topk_per_head_query") return "topk";
+  if (dtype === "float16" || dtype === "fp16") return "fp16";
+  return "fp32";
+}
+
+// Stored bytes per value of the dense encodings (int4 packs two values per byte).
+const DENSE_VALUE_BYTES = { fp32: 4, fp16: 2, int8: 1, int4: 0.5 };
+
+/**
+ * Fetches and dequantizes single heads of one resolved attention variant.
+ *
+ * Dense files are read one head slab at a time with HTTP Range requests. The first
+ * request doubles as a probe: if the server answers 200 instead of 206 the full body is
+ * kept and sliced, so every file is downloaded at most once either way. Scale files
+ * and the sparse top-k payload are small and always fetched whole.
+ *
+ * Runs unchanged on the main thread and inside the decode worker.
+ */
+export class AttentionHeadSource {
+  constructor(variant, jsonUrl, shape) {
+    const [b, h, qDim, kDim] = shape;
+    if (b !== 1) {
+      throw new Error(`Only batch size 1 is supported, got ${b}.`);
+    }
+    this.variant = variant || {};
+    this.jsonUrl = jsonUrl;
+    this.shape = shape;
+    this.kind = variantKind(this.variant);
+    this.numHeads = h;
+    this.headValues = qDim * kDim;
+
+    const { file, scale_file: scaleFile, index_file: indexFile } = this.variant;
+    if (this.kind === "int8" || this.kind === "int4") {
+      if (!file || !scaleFile) {
+        throw new Error(`${this.kind === "int8" ? "Int8" : "Int4"} attention variant requires file and scale_file.`);
+      }
+      if (this.kind === "int8" && this.variant.encoding !== "symmetric_per_head") {
+        throw new Error(`Unsupported int8 encoding '${this.variant.encoding}'.`);
+      }
+    } else if (this.kind === "topk") {
+      if (!file || !indexFile) {
+        throw new Error("Top-k attention variant requires file and index_file.");
+      }
+      const k = Number(this.variant.k);
+      if (!Number.isInteger(k) || k <= 0 || k > kDim) {
+        throw new Error(`Top-k attention has invalid k=${this.variant.k} (K=${kDim}).`);
+      }
+    } else if (!file) {
+      throw new Error(`Attention ${this.kind} variant is missing file path.`);
+    }
+
+    this.url = new URL(file, jsonUrl);
+    this.scaleUrl = scaleFile ? new URL(scaleFile, jsonUrl) : null;
+    this.headBytes = this.kind === "topk" ? 0 : this.headValues * DENSE_VALUE_BYTES[this.kind];
+    // null = unknown until the first response. Odd-sized int4 heads do not start on a
+    // byte boundary, so those always take the whole file.
+    this.rangeSupported = Number.isInteger(this.headBytes) ? null : false;
+    this._probe = null;
+    this._fullPromise = null;
+    this._scalesPromise = null;
+    this._sparsePromise = null;
+  }
+
+  _checkTotalBytes(total) {
+    const expected = Math.ceil(this.numHeads * this.headValues * DENSE_VALUE_BYTES[this.kind]);
+    if (total !== expected) {
+      throw new Error(
+        `Attention ${this.kind} size mismatch: got ${total} bytes, expected ${expected}.`
+      );
+    }
+  }
+
+  _loadFull(onBytes) {
+    if (!this._fullPromise) {
+      this._fullPromise = fetchArrayBufferOrThrow(this.url, onBytes).then((buffer) => {
+        this._checkTotalBytes(buffer.byteLength);
+        return buffer;
+      });
+      this._fullPromise.catch(() => { this._fullPromise = null; });
+    }
+    return this._fullPromise;
+  }
+
+  _loadScales() {
+    if (!this._scalesPromise) {
+      this._scalesPromise = fetchArrayBufferOrThrow(this.scaleUrl).then((buffer) => {
+        const scales = new Float32Array(buffer);
+        const [, h, qDim] = this.shape;
+        const expected = this.kind === "int8" ? h : h * qDim;
+        if (scales.length !== expected) {
+          throw new Error(
+            `${this.kind === "int8" ? "Int8" : "Int4"} scales size mismatch: got ${scales.length} values, expected ${expected}.`
+          );
+        }
+        return scales;
+      });
+      this._scalesPromise.catch(() => { this._scalesPromise = null; });
+    }
+    return this._scalesPromise;
+  }
+
+  _loadSparse(report) {
+    if (!this._sparsePromise) {
+      this._sparsePromise = loadTopkSparse(this.variant, this.jsonUrl, this.shape, report);
+      this._sparsePromise.catch(() => { this._sparsePromise = null; });
+    }
+    return this._sparsePromise;
+  }
+
+  /**
+   * @returns {Promise<{buffer:ArrayBuffer, valueOffset:number}>} `valueOffset` is the
+   *   index of the head's first value inside `buffer`.
+   */
+  async _fetchHeadBytes(head, onBytes) {
+    if (this.rangeSupported === false) {
+      const full = await this._loadFull(onBytes);
+      return { buffer: full, valueOffset: head * this.headValues };
+    }
+    if (this.rangeSupported === null && this._probe) {
+      await this._probe.catch(() => {});
+      return await this._fetchHeadBytes(head, onBytes);
+    }
+
+    const start = head * this.headBytes;
+    const attempt = fetchByteRange(this.url, start, start + this.headBytes, onBytes);
+    if (this.rangeSupported === null) {
+      this._probe = attempt;
+      attempt.catch(() => {
+        if (this._probe === attempt) this._probe = null;
+      });
+    }
+    const { buffer, partial, total } = await attempt;
+    if (!partial) {
+      this.rangeSupported = false;
+      this._checkTotalBytes(buffer.byteLength);
+      this._fullPromise = Promise.resolve(buffer);
+      return { buffer, valueOffset: head * this.headValues };
+    }
+    this.rangeSupported = true;
+    if (total !== null) {
+      this._checkTotalBytes(total);
+    }
+    if (buffer.byteLength !== this.headBytes) {
+      throw new Error(
+        `Attention head ${head} range returned ${buffer.byteLength} bytes, expected ${this.headBytes}.`
+      );
+    }
+    return { buffer, valueOffset: 0 };
+  }
+
+  /**
+   * @param {number} head
+   * @param {(p:{phase:string, fraction:number})=>void} [onProgress]
+   * @returns {Promise<Float32Array>} Fresh [Q*K] array owned by the caller.
+   */
+  async decodeHead(head, onProgress = null) {
+    if (!Number.isInteger(head) || head < 0 || head >= this.numHeads) {
+      throw new Error(`Attention head ${head} out of range (H=${this.numHeads}).`);
+    }
+    const report = createProgressReporter(onProgress);
+    if (this.kind === "topk") {
+      const sparse = await this._loadSparse(report);
+      return expandTopkHead(sparse, this.shape, head);
+    }
+
+    const scalesPromise = this.scaleUrl ? this._loadScales() : null;
+    const onBytes = report ? (loaded, total) => report("fetch", total > 0 ? loaded / total : 0) : null;
+    const { buffer, valueOffset } = await this._fetchHeadBytes(head, onBytes);
+    const scales = scalesPromise ? await scalesPromise : null;
+    const n = this.headValues;
+    let out;
+
+    if (this.kind === "fp32") {
+      out = new Float32Array(buffer, valueOffset * 4, n).slice();
+    } else if (this.kind === "fp16") {
+      out = halfArrayToFloat32(new Uint16Array(buffer, valueOffset * 2, n), new Float32Array(n),
+        (f) => report?.("decode", f));
+    } else if (this.kind === "int8") {
+      const q = new Int8Array(buffer, valueOffset, n);
+      const scale = scales[head];
+      out = new Float32Array(n);
+      for (let i = 0; i < n; i++) {
+        out[i] = q[i] * scale;
+      }
+    } else {
+      const packed = new Uint8Array(buffer);
+      const [, , qDim, kDim] = this.shape;
+      out = new Float32Array(n);
+      for (let q = 0; q < qDim; q++) {
+        const scale = scales[head * qDim + q];
+        const base = q * kDim;
+        for (let k = 0; k < kDim; k++) {
+          out[base + k] = int4At(packed, valueOffset + base + k) * scale;
+        }
+      }
+    }
+    report?.("decode", 1);
+    return out;
   }
-  return nibbleToSigned((byte >> 4) & 0x0f);
 }
 
-async function loadInt4Packed(variant, jsonUrl, shape) {
-  const file = variant?.file;
-  const scaleFile = variant?.scale_file;
-  if (!file || !scaleFile) {
-    throw new Error("Int4 attention variant requires file and scale_file.");
+/**
+ * Main-thread handle that decodes heads in a module worker. One decoder (and worker) is
+ * shared by every layer of a scene; the worker keeps one AttentionHeadSource per variant
+ * file so scales / full-file fallbacks are fetched once. Falls back to in-thread sources
+ * when the worker cannot start (e.g. file:// pages).
+ */
+class AttentionHeadDecoder {
+  constructor(useWorker) {
+    this._useWorker = useWorker && typeof Worker !== "undefined";
+    this._worker = null;
+    this._requests = new Map();
+    this._nextId = 1;
   }
 
-  const qUrl = new URL(file, jsonUrl);
-  const sUrl = new URL(scaleFile, jsonUrl);
-  const [qBuffer, sBuffer] = await Promise.all([
-    fetchArrayBufferOrThrow(qUrl),
-    fetchArrayBufferOrThrow(sUrl),
-  ]);
+  /**
+   * Describe one variant file. Constructing the local source validates the variant up
+   * front on the main thread; it only does I/O if the worker is unavailable.
+   */
+  createSource(variant, jsonUrl, shape) {
+    return {
+      local: new AttentionHeadSource(variant, jsonUrl, shape),
+      message: { variant, jsonUrl: jsonUrl.toString(), shape },
+    };
+  }
 
-  const packed = new Uint8Array(qBuffer);
-  const scales = new Float32Array(sBuffer);
+  _ensureWorker() {
+    if (this._worker || !this._useWorker) return this._worker;
+    try {
+      // Versioned like this module's own imports, so a cached worker never pairs with a newer protocol.
+      this._worker = new Worker(new URL("./attentionDecodeWorker.js?v=2026-10-18-asset-cache-v3", import.meta.url), { type: "module" });
+    } catch (err) {
+      this._failWorker(err);
+      return null;
+    }
+    this._worker.onmessage = (event) => {
+      const msg = event.data || {};
+      const req = this._requests.get(msg.id);
+      if (!req) return;
+      if (msg.type === "progress") {
+        req.onProgress?.({ phase: msg.phase, fraction: msg.fraction });
+        return;
+      }
+      this._requests.delete(msg.id);
+      if (msg.type === "done") {
+        req.resolve(new Float32Array(msg.buffer));
+      } else {
+        req.reject(new Error(msg.message || "Attention decode worker failed."));
+      }
+    };
+    // Fires when the worker script itself cannot be loaded.
+    this._worker.onerror = (event) => {
+      event.preventDefault?.();
+      this._failWorker(new Error(event.message || "Attention decode worker failed to start."));
+    };
+    return this._worker;
+  }
 
-  const [b, h, qDim, kDim] = shape;
-  if (b !== 1) {
-    throw new Error(`Only batch size 1 is supported, got ${b}.`);
+  _failWorker(err) {
+    console.warn("Attention decode worker unavailable; decoding on the main thread.", err);
+    this._worker?.terminate();
+    this._worker = null;
+    this._useWorker = false;
+    const pending = [...this._requests.values()];
+    this._requests.clear();
+    pending.forEach((req) => {
+      req.source.local.decodeHead(req.head, req.onProgress).then(req.resolve, req.reject);
+    });
   }
 
-  const expectedValues = b * h * qDim * kDim;
-  const expectedPacked = Math.ceil(expectedValues / 2);
-  if (packed.length !== expectedPacked) {
-    throw new Error(
-      `Int4 packed size mismatch: got ${packed.length} bytes, expected ${expectedPacked}.`
-    );
+  decodeHead(source, head, onProgress = null) {
+    const worker = this._ensureWorker();
+    if (!worker) {
+      return source.local.decodeHead(head, onProgress);
+    }
+    return new Promise((resolve, reject) => {
+      const id = this._nextId++;
+      this._requests.set(id, { source, head, onProgress, resolve, reject });
+      worker.postMessage({ ...source.message, id, head });
+    });
   }
 
-  const expectedScales = h * qDim;
-  if (scales.length !== expectedScales) {
-    throw new Error(
-      `Int4 scales size mismatch: got ${scales.length} values, expected ${expectedScales}.`
-    );
+  dispose() {
+    this._worker?.terminate();
+    this._worker = null;
+    this._requests.forEach((req) => req.reject(new Error("Attention tensor disposed.")));
+    this._requests.clear();
+  }
+}
+
+// Heads decoded concurrently; more only competes for bandwidth with the head the user is waiting on.
+const MAX_ACTIVE_HEADS = 2;
+
+/**
+ * [1,H,Q,K] attention whose heads are fetched and decoded on first use.
+ *
+ * - getHead(h) is synchronous and returns null until head h has arrived.
+ * - loadHead(h) queues h ahead of background work and resolves with its [Q*K] block.
+ * - getMeanHead() averages the heads that are ready so far; onHeadReady() listeners
+ *   fire each time another head is folded in, so "mean" views can refine in place.
+ */
+export class AttentionTensor {
+  constructor({ shape, decoder, source, headOffset = 0, cacheKeyPromise, selectedPrecision, fallbackUsed, requestedPrecision }) {
+    this.shape = shape;
+    this.numHeads = shape[1];
+    this.headSize = shape[2] * shape[3];
+    this.selectedPrecision = selectedPrecision;
+    this.fallbackUsed = fallbackUsed;
+    this.requestedPrecision = requestedPrecision;
+
+    this._decoder = decoder;
+    this._source = source;
+    // Position of this layer's first head inside the variant file (5D manifests).
+    this._headOffset = headOffset;
+    this._cacheKeyPromise = cacheKeyPromise;
+    this._heads = new Array(this.numHeads).fill(null);
+    this._pending = new Map();
+    this._queue = [];
+    this._active = 0;
+    this._listeners = new Set();
+    this._meanSum = null;
+    this._mean = null;
+    this._readyCount = 0;
   }
 
-  const out = new Float32Array(expectedValues);
-  for (let head = 0; head < h; head++) {
-    for (let q = 0; q < qDim; q++) {
-      const scale = scales[head * qDim + q];
-      const base = (head * qDim + q) * kDim;
-      for (let k = 0; k < kDim; k++) {
-        const idx = base + k;
-        out[idx] = int4At(packed, idx) * scale;
+  get readyHeadCount() {
+    return this._readyCount;
+  }
+
+  isHeadReady(head) {
+    return !!this._heads[head];
+  }
+
+  isComplete() {
+    return this._readyCount === this.numHeads;
+  }
+
+  getHead(head) {
+    return this._heads[head] || null;
+  }
+
+  /** Mean over the heads loaded so far (null before the first one arrives). */
+  getMeanHead() {
+    if (this._readyCount === 0) return null;
+    if (!this._mean) {
+      const inv = 1 / this._readyCount;
+      this._mean = new Float32Array(this.headSize);
+      for (let i = 0; i < this.headSize; i++) {
+        this._mean[i] = this._meanSum[i] * inv;
       }
     }
+    return this._mean;
+  }
+
+  /**
+   * @param {(head:number)=>void} listener
+   * @returns {() => void} Unsubscribe.
+   */
+  onHeadReady(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * @param {number} head
+   * @param {Object} [options]
+   * @param {boolean} [options.background=false] Queue behind already requested heads.
+   * @param {(p:{phase:string, fraction:number})=>void} [options.onProgress] Progress of this head.
+   * @returns {Promise<Float32Array>}
+   */
+  loadHead(head, options = {}) {
+    if (this._heads[head]) return Promise.resolve(this._heads[head]);
+    if (!Number.isInteger(head) || head < 0 || head >= this.numHeads) {
+      return Promise.reject(new Error(`Attention head ${head} out of range (H=${this.numHeads}).`));
+    }
+
+    let entry = this._pending.get(head);
+    if (!entry) {
+      entry = { progress: new Set() };
+      entry.promise = new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+      });
+      this._pending.set(head, entry);
+      this._queue.push(head);
+    }
+    if (typeof options.onProgress === "function") {
+      entry.progress.add(options.onProgress);
+    }
+    if (!options.background) {
+      const pos = this._queue.indexOf(head);
+      if (pos > 0) {
+        this._queue.splice(pos, 1);
+        this._queue.unshift(head);
+      }
+    }
+    this._pump();
+    return entry.promise;
+  }
+
+  /**
+   * Queue every missing head in the background.
+   *
+   * @param {Object} [options]
+   * @param {(p:{phase:string, fraction:number})=>void} [options.onProgress] Progress over all heads.
+   * @returns {Promise<void>}
+   */
+  async loadAllHeads(options = {}) {
+    const onProgress = typeof options.onProgress === "function" ? options.onProgress : null;
+    const fractions = this._heads.map((data) => (data ? 1 : 0));
+    const update = (head) => (p) => {
+      fractions[head] = p.fraction;
+      onProgress({ phase: p.phase, fraction: fractions.reduce((a, b) => a + b, 0) / this.numHeads });
+    };
+    await Promise.all(this._heads.map((_, head) => this.loadHead(head, {
+      background: true,
+      onProgress: onProgress ? update(head) : null,
+    })));
+  }
+
+  /** Concatenate all heads into a flat [1,H,Q,K] array (every head must be loaded). */
+  toFloat32() {
+    if (!this.isComplete()) {
+      throw new Error(`Attention tensor incomplete: ${this._readyCount}/${this.numHeads} heads loaded.`);
+    }
+    const out = new Float32Array(this.numHeads * this.headSize);
+    this._heads.forEach((data, head) => out.set(data, head * this.headSize));
+    return out;
+  }
+
+  /**
+   * Drop listeners and queued work, and reject every pending loadHead(); the shared decoder
+   * is disposed by its owner.
+   */
+  dispose() {
+    this._listeners.clear();
+    this._queue = [];
+    this._pending.forEach((entry) => entry.reject(new Error("Attention tensor disposed.")));
+    this._pending.clear();
+  }
+
+  _pump() {
+    while (this._active < MAX_ACTIVE_HEADS && this._queue.length > 0) {
+      const head = this._queue.shift();
+      this._active++;
+      this._runHead(head).finally(() => {
+        this._active--;
+        this._pump();
+      });
+    }
+  }
+
+  async _runHead(head) {
+    const entry = this._pending.get(head);
+    const notify = (p) => entry.progress.forEach((cb) => cb(p));
+    try {
+      const baseKey = await this._cacheKeyPromise;
+      const fileHead = this._headOffset + head;
+      const { value, fromCache } = await readThroughAssetCache(baseKey ? `${baseKey}:h${fileHead}` : "", async () => {
+        const data = await this._decoder.decodeHead(this._source, fileHead, notify);
+        return { value: data, bytes: data.byteLength };
+      }, { expectedBytes: this.headSize * Float32Array.BYTES_PER_ELEMENT });
+      if (fromCache) notify({ phase: "cache", fraction: 1 });
+      this._acceptHead(head, value);
+      entry.resolve(value);
+    } catch (err) {
+      entry.reject(err);
+    } finally {
+      // dispose() may have dropped this entry and a later loadHead() queued a new one.
+      if (this._pending.get(head) === entry) this._pending.delete(head);
+    }
+  }
+
+  _acceptHead(head, data) {
+    this._heads[head] = data;
+    if (!this._meanSum) this._meanSum = new Float32Array(this.headSize);
+    for (let i = 0; i < this.headSize; i++) {
+      this._meanSum[i] += data[i];
+    }
+    this._readyCount++;
+    this._mean = null;
+    this._listeners.forEach((listener) => listener(head));
   }
-  return out;
 }
 
-export async function loadAttentionAsFloat32(sceneJson, jsonUrl, urlPrecision = "auto") {
-  const shape = ensureShape(sceneJson);
-  const resolved = resolveAttentionVariant(sceneJson, urlPrecision);
+/**
+ * Mean over layers with the AttentionTensor read interface, so visualizers can use it in
+ * place of a single layer. Like the per-layer head mean it is partial while data is still
+ * arriving: each value averages the layers that already have it.
+ */
+export class LayerMeanTensor {
+  constructor(layers) {
+    this.layers = layers;
+    this.shape = layers[0].shape;
+    this.numHeads = layers[0].numHeads;
+    this.headSize = layers[0].headSize;
+    this._headMeans = new Map();
+    this._mean = null;
+    this._unsubscribes = layers.map((layer) => layer.onHeadReady((head) => {
+      this._headMeans.delete(head);
+      this._mean = null;
+    }));
+  }
 
-  const variant = resolved.variant || {};
-  const dtype = (variant.dtype || "").toLowerCase();
-  const encoding = (variant.encoding || "").toLowerCase();
+  /** Heads that are ready in every layer. */
+  get readyHeadCount() {
+    return Math.min(...this.layers.map((layer) => layer.readyHeadCount));
+  }
 
-  let float32 = null;
-  if (
-    dtype === "int4"
-    || encoding === "symmetric_per_head_query_packed_int4"
-  ) {
-    float32 = await loadInt4Packed(variant, jsonUrl, shape);
-  } else if (dtype === "int8" || encoding === "symmetric_per_head") {
-    float32 = await loadInt8PerHead(variant, jsonUrl, shape);
-  } else {
-    float32 = await loadRawFp32(variant, jsonUrl, shape);
+  isHeadReady(head) {
+    return this.layers.every((layer) => layer.isHeadReady(head));
   }
 
-  return {
-    float32,
-    shape,
-    selectedPrecision: resolved.key,
-    fallbackUsed: resolved.fallbackUsed,
-    requestedPrecision: resolved.requested,
-  };
+  isComplete() {
+    return this.layers.every((layer) => layer.isComplete());
+  }
+
+  _average(blocks) {
+    const ready = blocks.filter(Boolean);
+    if (ready.length === 0) return null;
+    const out = new Float32Array(this.headSize);
+    ready.forEach((block) => {
+      for (let i = 0; i < this.headSize; i++) out[i] += block[i];
+    });
+    const inv = 1 / ready.length;
+    for (let i = 0; i < this.headSize; i++) out[i] *= inv;
+    return out;
+  }
+
+  getHead(head) {
+    if (!this._headMeans.has(head)) {
+      this._headMeans.set(head, this._average(this.layers.map((layer) => layer.getHead(head))));
+    }
+    return this._headMeans.get(head);
+  }
+
+  getMeanHead() {
+    if (!this._mean) {
+      this._mean = this._average(this.layers.map((layer) => layer.getMeanHead()));
+    }
+    return this._mean;
+  }
+
+  onHeadReady(listener) {
+    const unsubscribes = this.layers.map((layer) => layer.onHeadReady(listener));
+    return () => unsubscribes.forEach((fn) => fn());
+  }
+
+  async loadHead(head, options = {}) {
+    const onProgress = typeof options.onProgress === "function" ? options.onProgress : null;
+    const fractions = this.layers.map(() => 0);
+    await Promise.all(this.layers.map((layer, i) => layer.loadHead(head, {
+      background: options.background,
+      onProgress: onProgress
+        ? (p) => {
+          fractions[i] = p.fraction;
+          onProgress({ phase: p.phase, fraction: fractions.reduce((a, b) => a + b, 0) / fractions.length });
+        }
+        : null,
+    })));
+    return this.getHead(head);
+  }
+
+  async loadAllHeads(options = {}) {
+    const onProgress = typeof options.onProgress === "function" ? options.onProgress : null;
+    const fractions = this.layers.map(() => 0);
+    await Promise.all(this.layers.map((layer, i) => layer.loadAllHeads({
+      onProgress: onProgress
+        ? (p) => {
+          fractions[i] = p.fraction;
+          onProgress({ phase: p.phase, fraction: fractions.reduce((a, b) => a + b, 0) / fractions.length });
+        }
+        : null,
+    })));
+  }
+
+  dispose() {
+    this._unsubscribes.forEach((fn) => fn());
+    this._headMeans.clear();
+  }
+}
+
+/**
+ * All attention layers of a scene. Variants are resolved (and validated) for every layer
+ * up front, but a layer's tensor is only created, and its heads only fetched, on demand.
+ * Layers share one decode worker.
+ */
+export class AttentionLayerSet {
+  constructor(sceneJson, jsonUrl, urlPrecision = "auto", options = {}) {
+    this._decoder = new AttentionHeadDecoder(options.useWorker !== false);
+    this._useCache = options.useCache !== false;
+    this._sources = new Map();
+    this._tensors = [];
+    this._layerMean = null;
+
+    this._specs = resolveLayerSpecs(sceneJson).map((spec) => {
+      const resolved = resolveAttentionVariant(spec.layerScene, urlPrecision);
+      return { ...spec, resolved, variant: resolved.variant || {} };
+    });
+    const [first] = this._specs;
+    this._specs.forEach((spec) => {
+      if (spec.shape.some((dim, i) => dim !== first.shape[i])) {
+        throw new Error(
+          `Attention layer ${spec.index} shape [${spec.shape}] differs from layer 0 [${first.shape}].`
+        );
+      }
+      if (spec.resolved.fallbackUsed) {
+        console.warn(
+          `Attention precision fallback used for ${spec.name} (requested=${spec.resolved.requested}, selected=${spec.resolved.key}).`
+        );
+      }
+      this._sourceFor(spec, jsonUrl);
+    });
+
+    this.shape = first.shape;
+    this.numLayers = this._specs.length;
+    this.layerNames = this._specs.map((spec) => spec.name);
+    this.selectedPrecision = first.resolved.key;
+    this.fallbackUsed = this._specs.some((spec) => spec.resolved.fallbackUsed);
+    this.requestedPrecision = first.resolved.requested;
+  }
+
+  _sourceFor(spec, jsonUrl) {
+    const key = `${spec.resolved.key}|${spec.variant.file}`;
+    let entry = this._sources.get(key);
+    if (!entry) {
+      const { variant, resolved } = spec;
+      const fileUrls = [variant.file, variant.scale_file, variant.index_file]
+        .filter(Boolean)
+        .map((file) => new URL(file, jsonUrl));
+      entry = {
+        source: this._decoder.createSource(variant, jsonUrl, spec.sourceShape),
+        cacheKeyPromise: this._useCache
+          ? resolveAssetCacheKey(`attention:${resolved.key}`, fileUrls, variant, spec.layerScene).catch(() => "")
+          : Promise.resolve(""),
+      };
+      this._sources.set(key, entry);
+    }
+    spec.sourceEntry = entry;
+    return entry;
+  }
+
+  /** @returns {AttentionTensor} */
+  getLayer(layer) {
+    const spec = this._specs[layer];
+    if (!spec) {
+      throw new Error(`Attention layer ${layer} out of range (L=${this.numLayers}).`);
+    }
+    if (!this._tensors[layer]) {
+      this._tensors[layer] = new AttentionTensor({
+        shape: spec.shape,
+        decoder: this._decoder,
+        source: spec.sourceEntry.source,
+        headOffset: spec.headOffset,
+        cacheKeyPromise: spec.sourceEntry.cacheKeyPromise,
+        selectedPrecision: spec.resolved.key,
+        fallbackUsed: spec.resolved.fallbackUsed,
+        requestedPrecision: spec.resolved.requested,
+      });
+    }
+    return this._tensors[layer];
+  }
+
+  /** @returns {LayerMeanTensor} Mean over all layers (fetches every layer on use). */
+  getLayerMean() {
+    if (!this._layerMean) {
+      this._layerMean = new LayerMeanTensor(this._specs.map((spec) => this.getLayer(spec.index)));
+    }
+    return this._layerMean;
+  }
+
+  /**
+   * @param {number|"mean"} selection Layer index or "mean" for the mean over layers.
+   */
+  getTensor(selection) {
+    return selection === "mean" ? this.getLayerMean() : this.getLayer(selection);
+  }
+
+  dispose() {
+    this._layerMean?.dispose();
+    this._tensors.forEach((tensor) => tensor?.dispose());
+    this._decoder.dispose();
+  }
+}
+
+/**
+ * Resolve the attention variant(s) for a scene. Nothing is fetched until a head is requested.
+ *
+ * @param {Object} sceneJson
+ * @param {URL|string} jsonUrl
+ * @param {string} [urlPrecision="auto"]
+ * @param {Object} [options]
+ * @param {boolean} [options.useWorker=true] Decode off the main thread when Web Workers are available.
+ * @param {boolean} [options.useCache=true] Read/write decoded heads through the IndexedDB asset cache.
+ * @returns {AttentionLayerSet}
+ */
+export function openAttentionLayers(sceneJson, jsonUrl, urlPrecision = "auto", options = {}) {
+  return new AttentionLayerSet(sceneJson, jsonUrl, urlPrecision, options);
+}
+
+/**
+ * Eagerly load every head of one layer into a flat [1,H,Q,K] Float32Array.
+ *
+ * @param {Object} sceneJson
+ * @param {URL|string} jsonUrl
+ * @param {string} [urlPrecision="auto"]
+ * @param {Object} [options] See openAttentionLayers(), plus:
+ * @param {number} [options.layer=0]
+ * @param {(p:{phase:string, fraction:number})=>void} [options.onProgress] Overall progress in [0, 1].
+ */
+export async function loadAttentionAsFloat32(sceneJson, jsonUrl, urlPrecision = "auto", options = {}) {
+  const layers = openAttentionLayers(sceneJson, jsonUrl, urlPrecision, options);
+  try {
+    const tensor = layers.getLayer(options.layer ?? 0);
+    await tensor.loadAllHeads({ onProgress: options.onProgress });
+    return {
+      float32: tensor.toFloat32(),
+      shape: tensor.shape,
+      selectedPrecision: tensor.selectedPrecision,
+      fallbackUsed: tensor.fallbackUsed,
+      requestedPrecision: tensor.requestedPrecision,
+    };
+  } finally {
+    layers.dispose();
+  }
 }
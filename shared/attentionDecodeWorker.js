@@ -0,0 +1,36 @@
+/**
+ * Module worker: fetch + validate + dequantize single attention heads off the main thread.
+ *
+ * Request:  { id, variant, jsonUrl, shape, head }
+ * Replies:  { id, type: "progress", phase, fraction }
+ *           { id, type: "done", buffer }   ([Q*K] Float32Array buffer, transferred)
+ *           { id, type: "error", message }
+ *
+ * One AttentionHeadSource is kept per variant file, so scale files and whole-file
+ * fallbacks (servers without Range support) are fetched once per worker.
+ */
+import { AttentionHeadSource } from "./attentionDecode.js?v=2026-10-18-asset-cache-v3";
+
+const sources = new Map();
+
+function sourceFor(variant, jsonUrl, shape) {
+  const key = `${jsonUrl}|${variant?.file}`;
+  let source = sources.get(key);
+  if (!source) {
+    source = new AttentionHeadSource(variant, jsonUrl, shape);
+    sources.set(key, source);
+  }
+  return source;
+}
+
+self.onmessage = async (event) => {
+  const { id, variant, jsonUrl, shape, head } = event.data || {};
+  try {
+    const data = await sourceFor(variant, jsonUrl, shape).decodeHead(head, (p) => {
+      self.postMessage({ id, type: "progress", phase: p.phase, fraction: p.fraction });
+    });
+    self.postMessage({ id, type: "done", buffer: data.buffer }, [data.buffer]);
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err?.message || String(err) });
+  }
+};
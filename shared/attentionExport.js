@@ -0,0 +1,175 @@
+/**
+ * Export helpers shared by the attention apps: PNG snapshots of canvases, raw values as
+ * NumPy `.npy` files and JSON sidecars describing how a figure was produced.
+ *
+ * Everything runs client-side; files are handed to the browser as downloads.
+ */
+
+/**
+ * Encode a float32 array as an NPY (format version 1.0) file.
+ *
+ * @param {Float32Array} data Row-major (C order) values.
+ * @param {Array<number>} shape Must multiply out to data.length.
+ * @returns {ArrayBuffer}
+ */
+export function encodeNpy(data, shape) {
+  const count = shape.reduce((a, b) => a * b, 1);
+  if (count !== data.length) {
+    throw new Error(`NPY shape [${shape}] does not match ${data.length} values.`);
+  }
+  const shapeStr = shape.length === 1 ? `(${shape[0]},)` : `(${shape.join(', ')})`;
+  let header = `{'descr': '<f4', 'fortran_order': False, 'shape': ${shapeStr}, }`;
+  // magic (6) + version (2) + header length (2) + header must be a multiple of 64, ending in '\n'.
+  const preamble = 10;
+  const padded = Math.ceil((preamble + header.length + 1) / 64) * 64;
+  header = header.padEnd(padded - preamble - 1, ' ') + '\n';
+
+  const buffer = new ArrayBuffer(padded + data.length * 4);
+  const bytes = new Uint8Array(buffer);
+  bytes.set([0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0]); // \x93NUMPY v1.0
+  new DataView(buffer).setUint16(8, header.length, true);
+  for (let i = 0; i < header.length; i++) bytes[preamble + i] = header.charCodeAt(i);
+
+  const view = new DataView(buffer, padded);
+  for (let i = 0; i < data.length; i++) view.setFloat32(i * 4, data[i], true);
+  return buffer;
+}
+
+/**
+ * File name stem for exports of a scene, e.g. `.../scene_0001.scene.json` -> `scene_0001`.
+ *
+ * @param {string} sceneUrl
+ * @returns {string}
+ */
+export function exportFileStem(sceneUrl) {
+  const path = String(sceneUrl || '').split(/[?#]/)[0];
+  const base = path.split('/').filter(Boolean).pop() || 'attention';
+  return base.replace(/\.scene\.json$|\.json$/i, '') || 'attention';
+}
+
+/**
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // Give the browser a moment to start the download before revoking.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download a canvas as PNG at its backing-store (native) resolution.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} filename
+ * @returns {Promise<void>}
+ */
+export function downloadCanvasPng(canvas, filename) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('Canvas could not be encoded as PNG.'));
+        return;
+      }
+      downloadBlob(blob, filename);
+      resolve();
+    }, 'image/png');
+  });
+}
+
+/**
+ * Place canvases side by side (top-aligned) on one canvas, each at its native resolution.
+ *
+ * @param {Array<HTMLCanvasElement>} canvases
+ * @param {number} [gap=0] Pixels between neighbours.
+ * @returns {HTMLCanvasElement}
+ */
+export function composeCanvasesHorizontally(canvases, gap = 0) {
+  const out = document.createElement('canvas');
+  out.width = Math.max(1, canvases.reduce((w, c) => w + c.width, 0) + gap * Math.max(0, canvases.length - 1));
+  out.height = Math.max(1, ...canvases.map((c) => c.height));
+  const ctx = out.getContext('2d');
+  let x = 0;
+  for (const c of canvases) {
+    ctx.drawImage(c, x, 0);
+    x += c.width + gap;
+  }
+  return out;
+}
+
+/**
+ * @param {Float32Array} data
+ * @param {Array<number>} shape
+ * @param {string} filename
+ */
+export function downloadNpy(data, shape, filename) {
+  downloadBlob(new Blob([encodeNpy(data, shape)], { type: 'application/octet-stream' }), filename);
+}
+
+/**
+ * @param {Object} value
+ * @param {string} filename
+ */
+export function downloadJson(value, filename) {
+  downloadBlob(new Blob([JSON.stringify(value, null, 2) + '\n'], { type: 'application/json' }), filename);
+}
+
+const WEBM_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * Record a canvas as WebM with `MediaRecorder`. Draw to the canvas, then call
+ * `captureFrame()` to push the drawing into the clip; `stop()` resolves with the video.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} [options]
+ * @param {number} [options.fps=30] Frame rate hint where frames cannot be pushed manually.
+ * @returns {{ mimeType: string, captureFrame: () => void, stop: () => Promise<Blob> }}
+ */
+export function startCanvasWebmRecording(canvas, options = {}) {
+  if (typeof MediaRecorder === 'undefined' || typeof canvas.captureStream !== 'function') {
+    throw new Error('This browser cannot record canvases (MediaRecorder is unavailable).');
+  }
+  const mimeType = WEBM_MIME_TYPES.find((t) => MediaRecorder.isTypeSupported(t));
+  if (!mimeType) throw new Error('This browser cannot record WebM video.');
+
+  // With a frame rate of 0 the stream only emits frames on requestFrame().
+  let stream = canvas.captureStream(0);
+  let track = stream.getVideoTracks()[0];
+  if (!track || typeof track.requestFrame !== 'function') {
+    stream = canvas.captureStream(options.fps || 30);
+    track = null;
+  }
+
+  const chunks = [];
+  const recorder = new MediaRecorder(stream, { mimeType });
+  recorder.addEventListener('dataavailable', (e) => {
+    if (e.data && e.data.size > 0) chunks.push(e.data);
+  });
+  recorder.start();
+
+  return {
+    mimeType,
+    captureFrame() {
+      if (track) track.requestFrame();
+    },
+    stop() {
+      return new Promise((resolve, reject) => {
+        if (recorder.state === 'inactive') {
+          reject(new Error('Recording already stopped.'));
+          return;
+        }
+        recorder.addEventListener('stop', () => {
+          stream.getTracks().forEach((t) => t.stop());
+          resolve(new Blob(chunks, { type: 'video/webm' }));
+        }, { once: true });
+        recorder.stop();
+      });
+    },
+  };
+}
@@ -0,0 +1,194 @@
+/**
+ * Camera geometry shared by the apps: camera poses from `meta/cameras.json` and projection
+ * of ego-frame geometry into the camera images.
+ *
+ * Conventions (as written by the export pipeline):
+ * - `translation` / `quaternion` (w,x,y,z) are camera -> ego.
+ * - Camera axes are OpenCV: x right, y down, z forward.
+ * - `K` is normalized by image size, so pixel = K-projection * [width, height].
+ */
+
+function normalize4(q) {
+  const n = Math.hypot(q[0], q[1], q[2], q[3]) || 1e-8;
+  return [q[0] / n, q[1] / n, q[2] / n, q[3] / n];
+}
+
+/**
+ * Quaternion (w,x,y,z) -> 3x3 rotation matrix.
+ * Matches python `_quat_to_rotation_matrix` for quat_convention='wxyz'.
+ *
+ * @param {[number, number, number, number]} qWxyz
+ * @returns {number[][]} Row-major 3x3
+ */
+export function quatWxyzToMat3(qWxyz) {
+  const [w, x, y, z] = normalize4(qWxyz);
+  return [
+    [1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w)],
+    [2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w)],
+    [2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y)],
+  ];
+}
+
+/**
+ * @typedef {{
+ *  translation: [number, number, number],
+ *  rotation: number[][],
+ *  K: number[][]
+ * }} CameraPose
+ * `rotation` is camera -> ego; `K` is normalized by image size.
+ */
+
+/**
+ * Read per-camera poses from a `meta/cameras.json` object. Cameras without a usable
+ * translation, quaternion and K are skipped.
+ *
+ * @param {Object} meta
+ * @returns {Object<string, CameraPose>}
+ */
+export function parseCameraPoses(meta) {
+  const out = {};
+  for (const [cam, pose] of Object.entries(meta?.cameras || {})) {
+    if (!pose || typeof pose !== 'object') continue;
+    const t = pose.translation || pose.sensor2ego_translation || pose.t;
+    const q = pose.quaternion_wxyz || pose.sensor2ego_quaternion_wxyz || pose.quaternion || pose.q;
+    const K = pose.K || pose.intrinsics;
+    if (!Array.isArray(t) || t.length < 3 || !Array.isArray(q) || q.length !== 4) continue;
+    if (!Array.isArray(K) || K.length < 3) continue;
+    out[cam] = { translation: t.slice(0, 3), rotation: quatWxyzToMat3(q), K };
+  }
+  return out;
+}
+
+/**
+ * Ego-frame corners of the pillar over one BEV grid cell.
+ *
+ * Cell indices follow the BEV views: `yIdx` runs along ego x (forward) and `xIdx` along
+ * ego y (left), each spanning `bevRange` = [xMin, xMax, yMin, yMax] in `gridSize` steps.
+ *
+ * @param {number} xIdx
+ * @param {number} yIdx
+ * @param {number} gridSize
+ * @param {[number, number, number, number]} bevRange
+ * @param {[number, number]} zRange Pillar bottom and top (ego z, meters)
+ * @returns {Array<[number, number, number]>} 8 corners: bottom face, then top face
+ */
+export function bevCellPillarCorners(xIdx, yIdx, gridSize, bevRange, zRange) {
+  const [xMin, xMax, yMin, yMax] = bevRange;
+  const dx = (xMax - xMin) / gridSize;
+  const dy = (yMax - yMin) / gridSize;
+  const x0 = xMin + yIdx * dx;
+  const y0 = yMin + xIdx * dy;
+  const footprint = [[x0, y0], [x0 + dx, y0], [x0 + dx, y0 + dy], [x0, y0 + dy]];
+  const corners = [];
+  for (const z of zRange) {
+    for (const [x, y] of footprint) corners.push([x, y, z]);
+  }
+  return corners;
+}
+
+// Pairs of indices into bevCellPillarCorners() forming the box edges.
+const BOX_EDGES = [
+  [0, 1], [1, 2], [2, 3], [3, 0],
+  [4, 5], [5, 6], [6, 7], [7, 4],
+  [0, 4], [1, 5], [2, 6], [3, 7],
+];
+
+function egoToCamera(p, pose) {
+  const { translation: t, rotation: R } = pose;
+  const d = [p[0] - t[0], p[1] - t[1], p[2] - t[2]];
+  // R is camera -> ego, so ego -> camera is R^T.
+  return [
+    R[0][0] * d[0] + R[1][0] * d[1] + R[2][0] * d[2],
+    R[0][1] * d[0] + R[1][1] * d[1] + R[2][1] * d[2],
+    R[0][2] * d[0] + R[1][2] * d[1] + R[2][2] * d[2],
+  ];
+}
+
+function convexHull(points) {
+  const pts = points.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (pts.length < 3) return pts;
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [];
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = pts.length - 1; i >= 0; i--) {
+    const p = pts[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  lower.pop();
+  upper.pop();
+  return lower.concat(upper);
+}
+
+/**
+ * Outline of a pillar (from bevCellPillarCorners) in one camera image.
+ *
+ * The box is clipped at the camera's near plane first, so pillars that are partly behind
+ * the camera still project correctly; the outline is the convex hull of the projected
+ * vertices and may extend past the image borders.
+ *
+ * @param {Array<[number, number, number]>} corners
+ * @param {CameraPose} pose
+ * @param {number} imageW
+ * @param {number} imageH
+ * @param {Object} [options]
+ * @param {number} [options.near=0.1] Near plane distance (meters)
+ * @returns {?Array<[number, number]>} Pixel polygon, or null if the pillar is not in view
+ */
+export function projectPillarToImage(corners, pose, imageW, imageH, options = {}) {
+  const near = options.near ?? 0.1;
+  const cam = corners.map((p) => egoToCamera(p, pose));
+
+  const visible = cam.filter((p) => p[2] >= near);
+  if (visible.length === 0) return null;
+  for (const [a, b] of BOX_EDGES) {
+    const pa = cam[a];
+    const pb = cam[b];
+    if ((pa[2] < near) === (pb[2] < near)) continue;
+    const s = (near - pa[2]) / (pb[2] - pa[2]);
+    visible.push([pa[0] + s * (pb[0] - pa[0]), pa[1] + s * (pb[1] - pa[1]), near]);
+  }
+
+  const K = pose.K;
+  const pixels = visible.map(([x, y, z]) => [
+    (K[0][0] * x / z + K[0][1] * y / z + K[0][2]) * imageW,
+    (K[1][1] * y / z + K[1][2]) * imageH,
+  ]);
+  const hull = convexHull(pixels);
+  if (hull.length < 3) return null;
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const [x, y] of hull) {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  }
+  if (maxX < 0 || maxY < 0 || minX > imageW || minY > imageH) return null;
+  return hull;
+}
+
+/**
+ * Even-odd point-in-polygon test.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {Array<[number, number]>} polygon
+ * @returns {boolean}
+ */
+export function pointInPolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
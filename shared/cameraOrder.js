@@ -4,7 +4,8 @@
  * UI order is decoupled from model/feature-map order.
  */
 
-const UI_ORDER = {
+/** UI camera order per dataset (also the camera sets covered by attentionCore.test.mjs). */
+export const UI_ORDER = {
   av2: [
     'ring_rear_left',
     'ring_side_left',
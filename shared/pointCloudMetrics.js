@@ -0,0 +1,498 @@
+/**
+ * Point cloud comparison metrics (Chamfer distance, F-score, accuracy, completeness).
+ *
+ * Distances are nearest-neighbour distances in the clouds' own units (meters), found with a
+ * k-d tree. For a prediction P against a reference R:
+ * - accuracy: mean distance from each point of P to R (lower is better)
+ * - completeness: mean distance from each point of R to P
+ * - chamfer: mean of accuracy and completeness
+ * - F-score at threshold t: harmonic mean of precision (share of P within t of R) and
+ *   recall (share of R within t of P)
+ *
+ * `computePointDistances` keeps one distance per point, for coloring a cloud by its error;
+ * `PointDistanceCache`, `pickErrorReferenceKey` and `fillErrorColors` are the app side of
+ * that coloring.
+ *
+ * Both run in shared/pointCloudMetricsWorker.js; `PointCloudMetricsClient` is the
+ * main-thread handle, computing in-thread when the worker cannot start.
+ */
+
+export const DEFAULT_FSCORE_THRESHOLDS = [0.1, 0.2, 0.5];
+
+/**
+ * Copy the finite xyz triples of a cloud into a packed Float32Array.
+ *
+ * @param {Float32Array} points Interleaved xyz
+ * @param {number} count
+ * @returns {Float32Array} [n * 3]
+ */
+function packFinitePoints(points, count) {
+  const out = new Float32Array(count * 3);
+  let n = 0;
+  for (let i = 0; i < count; i++) {
+    const x = points[i * 3];
+    const y = points[i * 3 + 1];
+    const z = points[i * 3 + 2];
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) continue;
+    out[n * 3] = x;
+    out[n * 3 + 1] = y;
+    out[n * 3 + 2] = z;
+    n++;
+  }
+  return n === count ? out : out.slice(0, n * 3);
+}
+
+// Index ranges this small are scanned linearly instead of split further.
+const KD_LEAF_SIZE = 12;
+
+/**
+ * Balanced k-d tree over packed xyz points, stored implicitly: the index range [lo, hi)
+ * splits at its median point `mid = (lo + hi) >> 1` into [lo, mid) and [mid + 1, hi),
+ * along the range's widest axis, down to KD_LEAF_SIZE points. Every range keeps its tight
+ * bounding box at `boxes[mid * 6]` (min xyz, max xyz), which prunes queries far outside
+ * the cloud much better than the split planes alone.
+ */
+export class KdTree {
+  /**
+   * @param {Float32Array} points Packed xyz (see packFinitePoints)
+   */
+  constructor(points) {
+    this.points = points;
+    this.size = Math.floor(points.length / 3);
+    this.order = new Uint32Array(this.size);
+    for (let i = 0; i < this.size; i++) this.order[i] = i;
+    this.axes = new Uint8Array(this.size);
+    this.boxes = new Float32Array(this.size * 6);
+
+    const stack = [[0, this.size]];
+    while (stack.length > 0) {
+      const [lo, hi] = stack.pop();
+      if (hi <= lo) continue;
+      const mid = (lo + hi) >> 1;
+      const axis = this._storeBox(lo, hi, mid);
+      if (hi - lo <= KD_LEAF_SIZE) continue;
+      this.axes[mid] = axis;
+      this._select(lo, hi - 1, mid, axis);
+      stack.push([lo, mid], [mid + 1, hi]);
+    }
+  }
+
+  // Bounding box of [lo, hi) into boxes[mid * 6]; returns the widest axis.
+  _storeBox(lo, hi, mid) {
+    const { order, points, boxes } = this;
+    const b = mid * 6;
+    for (let a = 0; a < 3; a++) {
+      boxes[b + a] = Infinity;
+      boxes[b + 3 + a] = -Infinity;
+    }
+    for (let i = lo; i < hi; i++) {
+      const p = order[i] * 3;
+      for (let a = 0; a < 3; a++) {
+        const v = points[p + a];
+        if (v < boxes[b + a]) boxes[b + a] = v;
+        if (v > boxes[b + 3 + a]) boxes[b + 3 + a] = v;
+      }
+    }
+    const sx = boxes[b + 3] - boxes[b];
+    const sy = boxes[b + 4] - boxes[b + 1];
+    const sz = boxes[b + 5] - boxes[b + 2];
+    return sx >= sy && sx >= sz ? 0 : sy >= sz ? 1 : 2;
+  }
+
+  // Quickselect: order[k] gets the point with the k-th smallest coordinate on `axis` in [left, right].
+  _select(left, right, k, axis) {
+    const { order, points } = this;
+    while (right > left) {
+      const pivot = points[order[(left + right) >> 1] * 3 + axis];
+      let i = left;
+      let j = right;
+      while (i <= j) {
+        while (points[order[i] * 3 + axis] < pivot) i++;
+        while (points[order[j] * 3 + axis] > pivot) j--;
+        if (i <= j) {
+          const tmp = order[i];
+          order[i] = order[j];
+          order[j] = tmp;
+          i++;
+          j--;
+        }
+      }
+      if (k <= j) right = j;
+      else if (k >= i) left = i;
+      else return;
+    }
+  }
+
+  /**
+   * Nearest tree point to (x, y, z).
+   *
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} [hint=-1] A tree point index likely close by; only tightens the search
+   * @returns {{index:number, distance:number}} index -1 and distance Infinity for an empty tree
+   */
+  nearest(x, y, z, hint = -1) {
+    const { order, points, axes, boxes } = this;
+    let best = Infinity;
+    let bestIdx = -1;
+    if (hint >= 0) {
+      const dx = points[hint * 3] - x;
+      const dy = points[hint * 3 + 1] - y;
+      const dz = points[hint * 3 + 2] - z;
+      best = dx * dx + dy * dy + dz * dz;
+      bestIdx = hint;
+    }
+    const boxDist2 = (mid) => {
+      const b = mid * 6;
+      const dx = Math.max(boxes[b] - x, 0, x - boxes[b + 3]);
+      const dy = Math.max(boxes[b + 1] - y, 0, y - boxes[b + 4]);
+      const dz = Math.max(boxes[b + 2] - z, 0, z - boxes[b + 5]);
+      return dx * dx + dy * dy + dz * dz;
+    };
+    const visit = (lo, hi) => {
+      const mid = (lo + hi) >> 1;
+      if (boxDist2(mid) >= best) return;
+      if (hi - lo <= KD_LEAF_SIZE) {
+        for (let i = lo; i < hi; i++) {
+          const p = order[i] * 3;
+          const dx = points[p] - x;
+          const dy = points[p + 1] - y;
+          const dz = points[p + 2] - z;
+          const d2 = dx * dx + dy * dy + dz * dz;
+          if (d2 < best) {
+            best = d2;
+            bestIdx = order[i];
+          }
+        }
+        return;
+      }
+      const p = order[mid] * 3;
+      const dx = points[p] - x;
+      const dy = points[p + 1] - y;
+      const dz = points[p + 2] - z;
+      const d2 = dx * dx + dy * dy + dz * dz;
+      if (d2 < best) {
+        best = d2;
+        bestIdx = order[mid];
+      }
+      // Points of [lo, mid) are <= the median on the split axis, points of [mid + 1, hi) >= it.
+      const axis = axes[mid];
+      const below = (axis === 0 ? dx : axis === 1 ? dy : dz) > 0;
+      if (below) {
+        if (lo < mid) visit(lo, mid);
+        if (mid + 1 < hi) visit(mid + 1, hi);
+      } else {
+        if (mid + 1 < hi) visit(mid + 1, hi);
+        if (lo < mid) visit(lo, mid);
+      }
+    };
+    if (this.size > 0) visit(0, this.size);
+    return { index: bestIdx, distance: Math.sqrt(best) };
+  }
+
+  /**
+   * Nearest-neighbour distance for every point of another packed cloud.
+   *
+   * Queries run in `visitOrder` (e.g. the other cloud's own KdTree order, which keeps
+   * consecutive queries close), each seeded with the previous query's match.
+   *
+   * @param {Float32Array} points Packed xyz
+   * @param {?Uint32Array} [visitOrder]
+   * @returns {Float32Array} Indexed like `points`
+   */
+  nearestDistances(points, visitOrder = null) {
+    const n = Math.floor(points.length / 3);
+    const out = new Float32Array(n);
+    let hint = -1;
+    for (let j = 0; j < n; j++) {
+      const i = visitOrder ? visitOrder[j] : j;
+      const { index, distance } = this.nearest(points[i * 3], points[i * 3 + 1], points[i * 3 + 2], hint);
+      out[i] = distance;
+      hint = index;
+    }
+    return out;
+  }
+}
+
+function mean(values) {
+  if (values.length === 0) return NaN;
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) sum += values[i];
+  return sum / values.length;
+}
+
+function shareWithin(values, threshold) {
+  if (values.length === 0) return NaN;
+  let n = 0;
+  for (let i = 0; i < values.length; i++) if (values[i] < threshold) n++;
+  return n / values.length;
+}
+
+/**
+ * Metrics of every (prediction, reference) pair; each cloud's tree is built once.
+ *
+ * @param {Array<{key:string, points:Float32Array, count:number}>} clouds
+ * @param {Array<[string, string]>} pairs [predKey, refKey]
+ * @param {Array<number>} [thresholds] F-score thresholds (meters)
+ * @returns {Array<{
+ *   pred:string, ref:string, predCount:number, refCount:number,
+ *   accuracy:number, completeness:number, chamfer:number,
+ *   fscores: Array<{threshold:number, precision:number, recall:number, fscore:number}>
+ * }>} Counts exclude non-finite points; a pair with an empty cloud on either side gets NaN metrics
+ */
+export function computeMetricsBatch(clouds, pairs, thresholds = DEFAULT_FSCORE_THRESHOLDS) {
+  const packed = new Map();
+  const trees = new Map();
+  const byKey = new Map(clouds.map((c) => [c.key, c]));
+  const getPacked = (key) => {
+    if (!packed.has(key)) {
+      const cloud = byKey.get(key);
+      if (!cloud) throw new Error(`Unknown point cloud: ${key}`);
+      packed.set(key, packFinitePoints(cloud.points, cloud.count));
+    }
+    return packed.get(key);
+  };
+  const getTree = (key) => {
+    if (!trees.has(key)) trees.set(key, new KdTree(getPacked(key)));
+    return trees.get(key);
+  };
+
+  return pairs.map(([pred, ref]) => {
+    const predCount = getPacked(pred).length / 3;
+    const refCount = getPacked(ref).length / 3;
+    if (predCount === 0 || refCount === 0) {
+      return {
+        pred,
+        ref,
+        predCount,
+        refCount,
+        accuracy: NaN,
+        completeness: NaN,
+        chamfer: NaN,
+        fscores: thresholds.map((threshold) => ({ threshold, precision: NaN, recall: NaN, fscore: NaN }))
+      };
+    }
+    const predToRef = getTree(ref).nearestDistances(getPacked(pred), getTree(pred).order);
+    const refToPred = getTree(pred).nearestDistances(getPacked(ref), getTree(ref).order);
+    const accuracy = mean(predToRef);
+    const completeness = mean(refToPred);
+    return {
+      pred,
+      ref,
+      predCount,
+      refCount,
+      accuracy,
+      completeness,
+      chamfer: (accuracy + completeness) / 2,
+      fscores: thresholds.map((threshold) => {
+        const precision = shareWithin(predToRef, threshold);
+        const recall = shareWithin(refToPred, threshold);
+        const fscore = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+        return { threshold, precision, recall, fscore };
+      })
+    };
+  });
+}
+
+/**
+ * Distance from every point of a cloud to the nearest point of a reference cloud.
+ *
+ * @param {{points:Float32Array, count:number}} cloud
+ * @param {{points:Float32Array, count:number}} ref
+ * @returns {Float32Array} [cloud.count]; NaN for non-finite points, Infinity if `ref` is empty
+ */
+export function computePointDistances(cloud, ref) {
+  const out = new Float32Array(cloud.count).fill(NaN);
+  // Packing drops non-finite points; remember where each packed point came from.
+  const source = new Uint32Array(cloud.count);
+  let n = 0;
+  for (let i = 0; i < cloud.count; i++) {
+    const x = cloud.points[i * 3];
+    const y = cloud.points[i * 3 + 1];
+    const z = cloud.points[i * 3 + 2];
+    if (Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(z)) source[n++] = i;
+  }
+  const packed = packFinitePoints(cloud.points, cloud.count);
+  const tree = new KdTree(packFinitePoints(ref.points, ref.count));
+  const distances = tree.nearestDistances(packed, new KdTree(packed).order);
+  for (let j = 0; j < n; j++) out[source[j]] = distances[j];
+  return out;
+}
+
+// Error-colored points without a distance (non-finite input).
+export const ERROR_COLOR_MISSING = [0.45, 0.45, 0.45];
+
+/**
+ * Color points by distance, clamped to range = [min, max] (meters).
+ *
+ * @param {Float32Array} colors Interleaved rgb, written in place
+ * @param {Float32Array} distances See computePointDistances
+ * @param {number} count
+ * @param {[number, number]} range
+ * @param {(t:number) => Array<number>} colormap [0, 1] -> [r, g, b]; the app's own turbo, so
+ *   the points match its legend
+ */
+export function fillErrorColors(colors, distances, count, range, colormap) {
+  const [lo, hi] = range;
+  const span = hi > lo ? hi - lo : 1;
+  for (let i = 0; i < count; i++) {
+    const d = distances[i];
+    const [r, g, b] = Number.isNaN(d) ? ERROR_COLOR_MISSING : colormap((d - lo) / span);
+    colors[i * 3 + 0] = r;
+    colors[i * 3 + 1] = g;
+    colors[i * 3 + 2] = b;
+  }
+}
+
+/**
+ * Reference cloud for coloring `key` by its error: GT for a prediction; for GT itself the
+ * cloud shown next to it, or 'vigt' / the first prediction when that is GT too or absent.
+ * 'gt' and 'vigt' match case-insensitively.
+ *
+ * @param {Array<string>} keys Every point cloud of the scene
+ * @param {string} key Cloud being colored
+ * @param {?string} [otherKey] Cloud shown alongside (the compare app's other pane)
+ * @returns {?string} null when the scene has no GT cloud
+ */
+export function pickErrorReferenceKey(keys, key, otherKey = null) {
+  const isGt = (k) => String(k).toLowerCase() === 'gt';
+  const gtKey = keys.find(isGt);
+  if (gtKey === undefined) return null;
+  if (!isGt(key)) return gtKey;
+  if (otherKey && !isGt(otherKey)) return otherKey;
+  const predictions = keys.filter((k) => !isGt(k));
+  return predictions.find((k) => String(k).toLowerCase() === 'vigt') ?? predictions[0] ?? null;
+}
+
+/**
+ * Per-point distances between clouds, computed once per (cloud, reference) pair.
+ */
+export class PointDistanceCache {
+  /**
+   * @param {(key:string) => Promise<{points:Float32Array, count:number}>} loadCloud
+   * @param {() => PointCloudMetricsClient} getClient Called when a pair is first computed
+   */
+  constructor(loadCloud, getClient) {
+    this._loadCloud = loadCloud;
+    this._getClient = getClient;
+    this._pending = new Map(); // `${key}->${refKey}` -> Promise<Float32Array>
+  }
+
+  has(key, refKey) {
+    return this._pending.has(`${key}->${refKey}`);
+  }
+
+  /**
+   * @returns {Promise<Float32Array>} See computePointDistances; failures are not cached
+   */
+  get(key, refKey) {
+    const cacheKey = `${key}->${refKey}`;
+    if (!this._pending.has(cacheKey)) {
+      const pending = (async () => {
+        const [cloud, ref] = await Promise.all([this._loadCloud(key), this._loadCloud(refKey)]);
+        return this._getClient().pointDistances(cloud, ref);
+      })();
+      this._pending.set(cacheKey, pending);
+      pending.catch(() => this._pending.delete(cacheKey));
+    }
+    return this._pending.get(cacheKey);
+  }
+}
+
+/**
+ * Main-thread handle for the metrics worker. Requests resolve in any order; callers that
+ * only want the latest result compare their own request tokens.
+ */
+export class PointCloudMetricsClient {
+  constructor() {
+    this._useWorker = typeof Worker !== 'undefined';
+    this._worker = null;
+    this._requests = new Map();
+    this._nextId = 1;
+  }
+
+  _ensureWorker() {
+    if (this._worker || !this._useWorker) return this._worker;
+    try {
+      this._worker = new Worker(new URL('./pointCloudMetricsWorker.js?v=2026-10-18-pc-metrics-empty-v1', import.meta.url), { type: 'module' });
+    } catch (err) {
+      this._failWorker(err);
+      return null;
+    }
+    this._worker.onmessage = (event) => {
+      const msg = event.data || {};
+      const req = this._requests.get(msg.id);
+      if (!req) return;
+      this._requests.delete(msg.id);
+      if (msg.type === 'done') req.resolve(msg.results);
+      else req.reject(new Error(msg.message || 'Point cloud metrics worker failed.'));
+    };
+    // Fires when the worker script itself cannot be loaded.
+    this._worker.onerror = (event) => {
+      event.preventDefault?.();
+      this._failWorker(new Error(event.message || 'Point cloud metrics worker failed to start.'));
+    };
+    return this._worker;
+  }
+
+  _failWorker(err) {
+    console.warn('Point cloud metrics worker unavailable; computing on the main thread.', err);
+    this._worker?.terminate();
+    this._worker = null;
+    this._useWorker = false;
+    const pending = [...this._requests.values()];
+    this._requests.clear();
+    pending.forEach((req) => this._computeLocal(req.message).then(req.resolve, req.reject));
+  }
+
+  async _computeLocal({ kind, clouds, pairs, thresholds, cloud, ref }) {
+    if (kind === 'distances') return computePointDistances(cloud, ref);
+    return computeMetricsBatch(clouds, pairs, thresholds);
+  }
+
+  _post(message) {
+    const worker = this._ensureWorker();
+    if (!worker) return this._computeLocal(message);
+    return new Promise((resolve, reject) => {
+      const id = this._nextId++;
+      this._requests.set(id, { message, resolve, reject });
+      worker.postMessage({ ...message, id });
+    });
+  }
+
+  /**
+   * @param {Array<{key:string, points:Float32Array, count:number}>} clouds Copied to the worker
+   * @param {Array<[string, string]>} pairs [predKey, refKey]
+   * @param {Array<number>} thresholds
+   * @returns {Promise<Array<Object>>} See computeMetricsBatch
+   */
+  compute(clouds, pairs, thresholds) {
+    return this._post({
+      kind: 'metrics',
+      clouds: clouds.map(({ key, points, count }) => ({ key, points, count })),
+      pairs,
+      thresholds
+    });
+  }
+
+  /**
+   * @param {{points:Float32Array, count:number}} cloud Copied to the worker
+   * @param {{points:Float32Array, count:number}} ref Copied to the worker
+   * @returns {Promise<Float32Array>} See computePointDistances
+   */
+  pointDistances(cloud, ref) {
+    return this._post({
+      kind: 'distances',
+      cloud: { points: cloud.points, count: cloud.count },
+      ref: { points: ref.points, count: ref.count }
+    });
+  }
+
+  dispose() {
+    this._worker?.terminate();
+    this._worker = null;
+    this._requests.forEach((req) => req.reject(new Error('Point cloud metrics client disposed.')));
+    this._requests.clear();
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * KdTree and computeMetricsBatch against brute-force nearest neighbours on small clouds.
+ *
+ * Run from the repo root: node --test shared/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { KdTree, computeMetricsBatch, computePointDistances } from './pointCloudMetrics.js';
+
+const THRESHOLDS = [0.1, 0.5, 2];
+
+/** Deterministic [0, 1) generator (mulberry32), so failures reproduce. */
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** `count` points in a 10 m box, a share of them snapped to a coarse grid so ties and duplicates occur. */
+function randomCloud(count, seed) {
+  const rand = rng(seed);
+  const points = new Float32Array(count * 3);
+  for (let i = 0; i < count * 3; i++) {
+    const v = rand() * 10 - 5;
+    points[i] = rand() < 0.3 ? Math.round(v) : v;
+  }
+  return points;
+}
+
+function bruteNearest(points, x, y, z) {
+  let best = Infinity;
+  for (let i = 0; i < points.length; i += 3) {
+    const dx = points[i] - x;
+    const dy = points[i + 1] - y;
+    const dz = points[i + 2] - z;
+    best = Math.min(best, dx * dx + dy * dy + dz * dz);
+  }
+  return Math.sqrt(best);
+}
+
+function bruteDistances(points, ref) {
+  const out = [];
+  for (let i = 0; i < points.length; i += 3) out.push(bruteNearest(ref, points[i], points[i + 1], points[i + 2]));
+  return out;
+}
+
+function bruteMetrics(pred, ref) {
+  const predToRef = bruteDistances(pred, ref);
+  const refToPred = bruteDistances(ref, pred);
+  const mean = (v) => v.reduce((s, d) => s + d, 0) / v.length;
+  const share = (v, t) => v.filter((d) => d < t).length / v.length;
+  const accuracy = mean(predToRef);
+  const completeness = mean(refToPred);
+  return {
+    accuracy,
+    completeness,
+    chamfer: (accuracy + completeness) / 2,
+    fscores: THRESHOLDS.map((threshold) => {
+      const precision = share(predToRef, threshold);
+      const recall = share(refToPred, threshold);
+      const fscore = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+      return { threshold, precision, recall, fscore };
+    }),
+  };
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) <= 1e-5 * Math.max(1, Math.abs(expected)), `${message}: ${actual} vs ${expected}`);
+}
+
+for (const size of [1, 2, 12, 13, 100, 500]) {
+  test(`KdTree.nearest matches brute force over ${size} points`, () => {
+    const points = randomCloud(size, size);
+    const tree = new KdTree(points);
+    const queries = randomCloud(200, 1000 + size);
+    for (let q = 0; q < queries.length; q += 3) {
+      const [x, y, z] = [queries[q], queries[q + 1], queries[q + 2]];
+      const { index, distance } = tree.nearest(x, y, z);
+      const expected = bruteNearest(points, x, y, z);
+      assertClose(distance, expected, `query ${q / 3}`);
+      assertClose(bruteNearest(points.subarray(index * 3, index * 3 + 3), x, y, z), expected, `index of query ${q / 3}`);
+    }
+  });
+}
+
+test('KdTree.nearestDistances in the query tree order matches brute force', () => {
+  const points = randomCloud(300, 7);
+  const queries = randomCloud(250, 8);
+  const distances = new KdTree(points).nearestDistances(queries, new KdTree(queries).order);
+  bruteDistances(queries, points).forEach((expected, i) => assertClose(distances[i], expected, `point ${i}`));
+});
+
+test('KdTree.nearest on an empty tree finds nothing', () => {
+  assert.deepEqual(new KdTree(new Float32Array(0)).nearest(0, 0, 0), { index: -1, distance: Infinity });
+});
+
+test('computeMetricsBatch matches brute force and skips non-finite points', () => {
+  const pred = randomCloud(400, 11);
+  const ref = randomCloud(350, 12);
+  const withHoles = new Float32Array([...pred, NaN, 0, 0, 1, Infinity, 1]);
+  const [result, reversed] = computeMetricsBatch(
+    [
+      { key: 'pred', points: withHoles, count: withHoles.length / 3 },
+      { key: 'gt', points: ref, count: ref.length / 3 },
+    ],
+    [['pred', 'gt'], ['gt', 'pred']],
+    THRESHOLDS
+  );
+
+  assert.equal(result.predCount, 400);
+  assert.equal(result.refCount, 350);
+  const expected = bruteMetrics(pred, ref);
+  for (const name of ['accuracy', 'completeness', 'chamfer']) assertClose(result[name], expected[name], name);
+  result.fscores.forEach((f, i) => {
+    assert.equal(f.threshold, THRESHOLDS[i]);
+    for (const name of ['precision', 'recall', 'fscore']) assertClose(f[name], expected.fscores[i][name], `${name}@${f.threshold}`);
+  });
+
+  assertClose(reversed.accuracy, result.completeness, 'reversed accuracy');
+  assertClose(reversed.completeness, result.accuracy, 'reversed completeness');
+});
+
+test('computeMetricsBatch gives NaN metrics when either cloud is empty', () => {
+  const clouds = [
+    { key: 'pred', points: randomCloud(50, 21), count: 50 },
+    { key: 'empty', points: new Float32Array(0), count: 0 },
+    { key: 'nonfinite', points: new Float32Array([NaN, 0, 0]), count: 1 },
+  ];
+  const results = computeMetricsBatch(clouds, [['pred', 'empty'], ['empty', 'pred'], ['pred', 'nonfinite']], THRESHOLDS);
+  for (const r of results) {
+    assert.equal(r.predCount + r.refCount, 50);
+    for (const name of ['accuracy', 'completeness', 'chamfer']) assert.ok(Number.isNaN(r[name]), `${r.pred} → ${r.ref} ${name}`);
+    for (const f of r.fscores) {
+      assert.ok(Number.isNaN(f.precision) && Number.isNaN(f.recall) && Number.isNaN(f.fscore), `${r.pred} → ${r.ref} F@${f.threshold}`);
+    }
+  }
+});
+
+test('computePointDistances keeps NaN for non-finite points and matches brute force elsewhere', () => {
+  const ref = randomCloud(120, 31);
+  const points = new Float32Array([...randomCloud(3, 32), NaN, 1, 1, ...randomCloud(2, 33)]);
+  const distances = computePointDistances({ points, count: 6 }, { points: ref, count: 120 });
+  assert.ok(Number.isNaN(distances[3]));
+  for (const i of [0, 1, 2, 4, 5]) {
+    assertClose(distances[i], bruteNearest(ref, points[i * 3], points[i * 3 + 1], points[i * 3 + 2]), `point ${i}`);
+  }
+});
@@ -0,0 +1,24 @@
+/**
+ * Module worker: point cloud metrics (see pointCloudMetrics.js) off the main thread.
+ *
+ * Requests: { id, kind: 'metrics', clouds: [{ key, points, count }], pairs: [[predKey, refKey]], thresholds }
+ *           { id, kind: 'distances', cloud: { points, count }, ref: { points, count } }
+ * Replies:  { id, type: 'done', results }
+ *           { id, type: 'error', message }
+ */
+import {
+  computeMetricsBatch,
+  computePointDistances
+} from './pointCloudMetrics.js?v=2026-10-18-pc-metrics-empty-v1';
+
+self.onmessage = (event) => {
+  const { id, kind, clouds, pairs, thresholds, cloud, ref } = event.data || {};
+  try {
+    const results = kind === 'distances'
+      ? computePointDistances(cloud, ref)
+      : computeMetricsBatch(clouds, pairs, thresholds);
+    self.postMessage({ id, type: 'done', results });
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err?.message || String(err) });
+  }
+};